@@ -3,15 +3,105 @@
 // and implementations for catalog, meta, and stream methods.
 
 const config = require('./config');
-const { searchBitMagnet } = require('./utils/bitmagnet');
-const { getTmdbMetadata, searchTmdb } = require('./utils/tmdb');
+const {
+    searchBitMagnet,
+    searchBitMagnetByFacets,
+    getTorrentFiles,
+    getContentExternalIds,
+    getContentKey,
+    groupTorrentContentByContent,
+    searchBitMagnetContent,
+    findContentTorrents,
+} = require('./utils/bitmagnet');
+const { getTmdbMetadata, searchTmdb, getTmdbDetails, getTmdbSeason } = require('./utils/tmdb');
 const { getOmdbMetadata } = require('./utils/omdb'); // Import the new OMDb utility
 const { getTrackers } = require('./utils/trackerFetcher'); // Import the new tracker fetcher
-const NodeCache = require('node-cache');
+const { getDefaultUserConfig } = require('./utils/userConfig');
+const { getExpectedTitles, verifyTorrentRelevance } = require('./utils/relevance');
+const { getScoringProfile, calculateQualityScore } = require('./utils/scoring');
+const { parseRelease, parseEpisodeInfo } = require('./utils/releaseParser');
+const { parseFilterRules, applyFilterRules } = require('./utils/filterRules');
+const { parseLanguagePreferences, matchLanguagePreference } = require('./utils/languages');
+const { dedupeReleases, getDiversityTiers, selectDiverseTop } = require('./utils/releaseClusters');
+const { getStreamTemplates, getStreamFields, renderTemplate } = require('./utils/streamTemplates');
+const { selectVideoSubtitles, isSubtitleFetchEnabled, findPlayedTorrent, buildSubtitleEntries } = require('./utils/subtitles');
+const { createCache } = require('./utils/cache');
+const { logger } = require('./utils/logger');
+const { collectUpstreamFailures, hasUpstreamFailures } = require('./utils/httpClient');
+const { getDebridProviders, getCachedInfoHashes } = require('./utils/debrid');
+const { getDownloadClient, getDownloadPath } = require('./utils/downloadClient');
 
 // Initialize caches
-const tmdbCache = new NodeCache({ stdTTL: 3600, checkperiod: 120 }); // Cache combined metadata responses for 1 hour
-const bitMagnetCache = new NodeCache({ stdTTL: 900, checkperiod: 60 }); // Cache BitMagnet responses for 15 mins
+const tmdbCache = createCache('metadata', { ttl: 3600 }); // Cache combined metadata responses for 1 hour
+const bitMagnetCache = createCache('streams', { ttl: 86400 }); // Cache stream results for 24 hours (served stale after STREAM_CACHE_FRESH_SECONDS)
+const catalogCache = createCache('catalog', { ttl: 600 }); // Cache BitMagnet catalog pages for 10 mins
+const bitMagnetContentCache = createCache('bitmagnet-content', { ttl: 86400 }); // Cache content records behind bm: IDs for 24 hours
+const inFlightStreams = new Map(); // Stream computations in progress, keyed by stream cache key
+
+const PREFETCH_MAX_EPISODES = 50; // Caps the episodes prefetched per season (long-running anime seasons)
+
+// Addon-owned ID prefix for titles that only BitMagnet knows about (no IMDb ID).
+// Format: bm:<content source>:<content id>[:<season>:<episode>], e.g. bm:tmdb:949 or bm:tmdb:1399:1:2
+const BITMAGNET_ID_PREFIX = 'bm:';
+
+// Browsable catalogs backed by BitMagnet's own index, keyed by catalog ID.
+// Genre options are TMDB's genre names, which is what BitMagnet's genre facet stores.
+const RECENT_CATALOGS = {
+    bitmagnet_recent_movies: {
+        type: 'movie',
+        contentType: 'movie',
+        name: 'Recently indexed movies',
+        genres: ['Action', 'Adventure', 'Animation', 'Comedy', 'Crime', 'Documentary', 'Drama', 'Family', 'Fantasy', 'History',
+            'Horror', 'Music', 'Mystery', 'Romance', 'Science Fiction', 'TV Movie', 'Thriller', 'War', 'Western'],
+    },
+    bitmagnet_recent_series: {
+        type: 'series',
+        contentType: 'tv_show',
+        name: 'Recently indexed series',
+        genres: ['Action & Adventure', 'Animation', 'Comedy', 'Crime', 'Documentary', 'Drama', 'Family', 'Kids', 'Mystery', 'News',
+            'Reality', 'Sci-Fi & Fantasy', 'Soap', 'Talk', 'War & Politics', 'Western'],
+    },
+};
+const CATALOG_YEAR_OPTION_YEARS = 5; // Number of individual recent years offered before switching to decades
+const CATALOG_YEAR_OPTION_FIRST_DECADE = 1950; // Oldest decade offered in the year filter
+const CATALOG_PAGE_SIZE = 50; // Number of metas returned per catalog page
+const CATALOG_TORRENT_PAGE_SIZE = 100; // Number of torrents fetched from BitMagnet per request
+const CATALOG_MAX_TORRENT_PAGES = 20; // Upper bound on BitMagnet requests when paging deep into a catalog
+
+/**
+ * Builds the options of the catalog year filter: the most recent individual years, then decades (e.g. '1990s').
+ * @returns {Array<string>} The year filter options, newest first.
+ */
+function getYearFilterOptions() {
+    const currentYear = new Date().getFullYear();
+    const options = [];
+    for (let year = currentYear; year > currentYear - CATALOG_YEAR_OPTION_YEARS; year--) {
+        options.push(String(year));
+    }
+    for (let decade = Math.floor(currentYear / 10) * 10; decade >= CATALOG_YEAR_OPTION_FIRST_DECADE; decade -= 10) {
+        options.push(`${decade}s`);
+    }
+    return options;
+}
+
+/**
+ * Converts a catalog year filter value into the release years it covers.
+ * @param {string} [value] - The year extra (e.g. '2021' or '1990s').
+ * @returns {Array<number>} The release years, or an empty array for no/invalid filter.
+ */
+function parseYearFilter(value) {
+    if (!value) return [];
+    const decadeMatch = String(value).match(/^(\d{3})0s$/);
+    if (decadeMatch) {
+        const decadeStart = parseInt(decadeMatch[1], 10) * 10;
+        return Array.from({ length: 10 }, (_, i) => decadeStart + i);
+    }
+    if (/^\d{4}$/.test(String(value))) {
+        return [parseInt(value, 10)];
+    }
+    logger.warn(`Ignoring invalid catalog year filter "${value}".`);
+    return [];
+}
 
 /**
  * Generates the Stremio addon manifest.
@@ -23,11 +113,23 @@ function getManifest() {
         version: '4.0.1', // Updated version to 4.0.1
         name: 'BitMagnet Stremio Addon',
         description: 'Stremio addon to find and prioritize torrents from BitMagnet GraphQL API, leveraging TMDB/IMDb for metadata and multi-level sorting.',
-        resources: ['meta', 'stream'], // Removed 'catalog' from resources
+        resources: ['catalog', 'meta', 'stream', ...(isSubtitleFetchEnabled() ? ['subtitles'] : [])], // Subtitles need SUBTITLE_FETCH_URL
         types: ['movie', 'series'],
-        catalogs: [], // Removed catalog definitions, now an empty array
-        idPrefixes: ['tt'], // Indicates support for IMDb IDs
+        catalogs: Object.entries(RECENT_CATALOGS).map(([catalogId, catalog]) => ({
+            type: catalog.type,
+            id: catalogId,
+            name: catalog.name,
+            extra: [
+                { name: 'search', isRequired: false }, // Makes the catalog show up in Stremio's search
+                { name: 'genre', isRequired: false, options: catalog.genres }, // Mapped to BitMagnet's genre facet
+                { name: 'year', isRequired: false, options: getYearFilterOptions() }, // Mapped to BitMagnet's releaseYear facet
+                { name: 'skip', isRequired: false }, // Stremio sends skip=N when scrolling for more items
+            ],
+        })),
+        idPrefixes: ['tt', BITMAGNET_ID_PREFIX], // IMDb IDs, plus addon-owned IDs for BitMagnet-only titles
         behaviorHints: {
+            configurable: true, // Exposes the /configure page in Stremio's addon details
+            configurationRequired: false, // Defaults from the environment are usable as-is
             p2p: true, // Explicitly tell Stremio this addon provides P2P content.
             // This is important if you want to provide high-quality streams without excessive buffering
             // By default, Stremio will proxy streams if this is not set.
@@ -56,16 +158,17 @@ async function fetchCombinedMetadata(imdbId, type) {
 
     // Prioritize TMDB data if available and has a title/name
     if (tmdbData && (tmdbData.title || tmdbData.name)) {
-        console.log(`Metadata found (TMDB primary) for ${imdbId}).`);
+        logger.info(`Metadata found (TMDB primary) for ${imdbId}).`);
         // Ensure TMDB data also has a 'year' property derived from its dates for consistency
         const tmdbYear = tmdbData.release_date ? parseInt(tmdbData.release_date.substring(0, 4), 10) :
                          (tmdbData.first_air_date ? parseInt(tmdbData.first_air_date.substring(0, 4), 10) : null);
-        return { ...tmdbData, year: tmdbYear };
+        // Keep the TMDB ID explicitly so BitMagnet content can be matched by reference (OMDb data has none)
+        return { ...tmdbData, year: tmdbYear, tmdbId: String(tmdbData.id) };
     }
 
     // Fallback to OMDb data if TMDB failed or didn't provide enough info
     if (omdbData && omdbData.Title && omdbData.Response === 'True') {
-        console.log(`Metadata found (OMDb fallback) for ${imdbId}).`);
+        logger.info(`Metadata found (OMDb fallback) for ${imdbId}).`);
         // Map OMDb data to a structure similar to TMDB for consistency
         let omdbYear = null;
         // Prioritize parsing from 'Released' field as it's a full date string, which is more reliable for exact year.
@@ -76,7 +179,7 @@ async function fetchCombinedMetadata(imdbId, type) {
                     omdbYear = releaseDate.getFullYear();
                 }
             } catch (e) {
-                console.warn(`Could not parse OMDb Released date "${omdbData.Released}":`, e.message);
+                logger.warn(`Could not parse OMDb Released date "${omdbData.Released}":`, e.message);
             }
         }
         
@@ -112,72 +215,361 @@ async function fetchCombinedMetadata(imdbId, type) {
         };
     }
 
-    console.warn(`No metadata found from TMDB or OMDb for ${imdbId}).`);
+    logger.warn(`No metadata found from TMDB or OMDb for ${imdbId}).`);
     return null;
 }
 
 
+/**
+ * Maps items through an async function in sequential batches.
+ * Used to keep bursts of TMDB requests well within its rate limits.
+ * @param {Array<*>} items - The items to map.
+ * @param {number} batchSize - Number of items processed concurrently.
+ * @param {function(*): Promise<*>} fn - The async mapping function.
+ * @returns {Promise<Array<*>>} The mapped results, in input order.
+ */
+async function mapInBatches(items, batchSize, fn) {
+    const results = [];
+    for (let i = 0; i < items.length; i += batchSize) {
+        const batch = items.slice(i, i + batchSize);
+        results.push(...await Promise.all(batch.map(fn)));
+    }
+    return results;
+}
+
+/**
+ * Builds the addon-owned ID for a BitMagnet content record.
+ * @param {object} content - The content object from a BitMagnet torrentContent item.
+ * @returns {string} The ID (e.g. 'bm:tmdb:949').
+ */
+function buildBitMagnetId(content) {
+    return `${BITMAGNET_ID_PREFIX}${content.source}:${content.id}`;
+}
+
+/**
+ * Parses an addon-owned BitMagnet ID.
+ * @param {string} id - The ID (e.g. 'bm:tmdb:949' or 'bm:tmdb:1399:1:2').
+ * @returns {{contentRef: {source: string, id: string}, baseId: string, season: number|null, episode: number|null}|null}
+ *          The parsed ID, or null if it is malformed.
+ */
+function parseBitMagnetId(id) {
+    if (!id || !id.startsWith(BITMAGNET_ID_PREFIX)) return null;
+    const parts = id.substring(BITMAGNET_ID_PREFIX.length).split(':');
+    if ((parts.length !== 2 && parts.length !== 4) || !parts[0] || !parts[1]) return null;
+
+    const season = parts.length === 4 ? parseInt(parts[2], 10) : null;
+    const episode = parts.length === 4 ? parseInt(parts[3], 10) : null;
+    if (parts.length === 4 && (isNaN(season) || isNaN(episode))) return null;
+
+    return {
+        contentRef: { source: parts[0], id: parts[1] },
+        baseId: `${BITMAGNET_ID_PREFIX}${parts[0]}:${parts[1]}`,
+        season,
+        episode,
+    };
+}
+
+/**
+ * Resolves a BitMagnet content reference back to its content record.
+ * Records seen in catalog/search results are cached; otherwise, for TMDB-sourced content,
+ * the title is looked up on TMDB and BitMagnet is searched for torrents classified as that content.
+ * @param {{source: string, id: string}} contentRef - The content reference.
+ * @param {string} type - 'movie' or 'series'.
+ * @returns {Promise<object|null>} The BitMagnet content record, or null if it can't be resolved.
+ */
+async function resolveBitMagnetContent(contentRef, type) {
+    const contentKey = `${contentRef.source}:${contentRef.id}`;
+    const cachedContent = await bitMagnetContentCache.get(contentKey);
+    if (cachedContent) {
+        return cachedContent;
+    }
+
+    if (contentRef.source !== 'tmdb') {
+        logger.warn(`Cannot resolve BitMagnet content ${contentKey}: not cached and not TMDB-sourced.`);
+        return null;
+    }
+
+    const tmdbDetails = await getTmdbDetails(contentRef.id, type);
+    const title = tmdbDetails && (tmdbDetails.title || tmdbDetails.name);
+    if (!title) {
+        logger.warn(`Cannot resolve BitMagnet content ${contentKey}: no TMDB title found.`);
+        return null;
+    }
+
+    const torrents = await findContentTorrents({
+        contentRefs: [contentRef],
+        queryString: title,
+        contentType: type === 'movie' ? 'movie' : 'tv_show',
+    });
+    if (torrents.length === 0) {
+        logger.warn(`Cannot resolve BitMagnet content ${contentKey}: no torrents classified as "${title}".`);
+        return null;
+    }
+
+    await bitMagnetContentCache.set(contentKey, torrents[0].content);
+    return torrents[0].content;
+}
+
+/**
+ * Builds a Stremio meta preview for a BitMagnet content record.
+ * Uses the IMDb ID when BitMagnet has one, otherwise an addon-owned bm: ID.
+ * @param {object} content - The BitMagnet content record.
+ * @param {string} type - 'movie' or 'series'.
+ * @param {object|null} tmdbData - TMDB data for posters/backgrounds, if available.
+ * @returns {object} The Stremio meta preview.
+ */
+function buildContentMetaPreview(content, type, tmdbData) {
+    const { imdbId } = getContentExternalIds(content);
+    return {
+        id: imdbId || buildBitMagnetId(content),
+        type: type,
+        name: content.title || (tmdbData && (tmdbData.title || tmdbData.name)),
+        poster: tmdbData && tmdbData.poster_path ? `https://image.tmdb.org/t/p/w500${tmdbData.poster_path}` : null,
+        posterShape: 'regular',
+        background: tmdbData && tmdbData.backdrop_path ? `https://image.tmdb.org/t/p/original${tmdbData.backdrop_path}` : null,
+        description: content.overview || (tmdbData ? tmdbData.overview : undefined),
+        releaseInfo: content.releaseYear ? String(content.releaseYear) : '',
+    };
+}
+
+/**
+ * Searches TMDB and BitMagnet in parallel and merges the results.
+ * TMDB results come first; they are matched to BitMagnet content by TMDB ID so each title
+ * appears once, and the IMDb ID is taken from BitMagnet's external links or TMDB's external IDs.
+ * BitMagnet-only titles (e.g. regional releases TMDB search misses) are appended afterwards.
+ * @param {string} search - The search query.
+ * @param {string} type - 'movie' or 'series'.
+ * @returns {Promise<Array<object>>} Stremio meta previews.
+ */
+async function searchCatalog(search, type) {
+    const [tmdbResults, bitMagnetContents] = await Promise.all([
+        searchTmdb(search, type),
+        searchBitMagnetContent({ queryString: search, contentType: type === 'movie' ? 'movie' : 'tv_show' }),
+    ]);
+    logger.info(`Search "${search}" (${type}): ${tmdbResults.length} TMDB results, ${bitMagnetContents.length} BitMagnet titles.`);
+
+    const bitMagnetByTmdbId = new Map();
+    const bitMagnetByImdbId = new Map();
+    bitMagnetContents.forEach(content => {
+        bitMagnetContentCache.set(getContentKey(content), content); // Lets getMeta/getStreams resolve bm: IDs (not awaited, errors are logged by the cache)
+        const { imdbId, tmdbId } = getContentExternalIds(content);
+        if (tmdbId) bitMagnetByTmdbId.set(tmdbId, content);
+        if (imdbId) bitMagnetByImdbId.set(imdbId, content);
+    });
+
+    const matchedContentKeys = new Set();
+    const tmdbMetas = await mapInBatches(tmdbResults, 10, async tmdbItem => {
+        let bitMagnetContent = bitMagnetByTmdbId.get(String(tmdbItem.id)) || null;
+        let imdbId = bitMagnetContent ? getContentExternalIds(bitMagnetContent).imdbId : null;
+        if (!imdbId) {
+            // TMDB search results don't include IMDb IDs, so look them up from the details
+            const details = await getTmdbDetails(tmdbItem.id, type);
+            imdbId = details ? (details.imdb_id || (details.external_ids && details.external_ids.imdb_id) || null) : null;
+            if (imdbId && !bitMagnetContent) {
+                bitMagnetContent = bitMagnetByImdbId.get(imdbId) || null;
+            }
+        }
+        if (bitMagnetContent) {
+            matchedContentKeys.add(getContentKey(bitMagnetContent));
+        }
+
+        return {
+            // Without an IMDb ID, fall back to an addon-owned ID that resolveBitMagnetContent understands
+            id: imdbId || (bitMagnetContent ? buildBitMagnetId(bitMagnetContent) : `${BITMAGNET_ID_PREFIX}tmdb:${tmdbItem.id}`),
+            type: type,
+            name: tmdbItem.title || tmdbItem.name,
+            poster: tmdbItem.poster_path ? `https://image.tmdb.org/t/p/w500${tmdbItem.poster_path}` : null,
+            posterShape: 'regular',
+            background: tmdbItem.backdrop_path ? `https://image.tmdb.org/t/p/original${tmdbItem.backdrop_path}` : null,
+            genres: tmdbItem.genres,
+            releaseInfo: tmdbItem.release_date ? tmdbItem.release_date.substring(0, 4) : (tmdbItem.first_air_date ? tmdbItem.first_air_date.substring(0, 4) : ''),
+        };
+    });
+
+    const unmatchedContents = bitMagnetContents.filter(content => !matchedContentKeys.has(getContentKey(content)));
+    const bitMagnetMetas = await mapInBatches(unmatchedContents, 10, async content => {
+        const { tmdbId } = getContentExternalIds(content);
+        const tmdbData = tmdbId ? await getTmdbDetails(tmdbId, type) : null;
+        return buildContentMetaPreview(content, type, tmdbData);
+    });
+
+    // De-duplicate by final ID (different BitMagnet records can share an IMDb ID)
+    const seenIds = new Set();
+    return [...tmdbMetas, ...bitMagnetMetas].filter(meta => {
+        if (seenIds.has(meta.id)) return false;
+        seenIds.add(meta.id);
+        return true;
+    });
+}
+
+/**
+ * Builds a page of the "Recently indexed" catalog from BitMagnet.
+ * BitMagnet pages by torrent, while the catalog pages by title, so torrent pages are fetched
+ * (and cached) in order until enough distinct titles are collected for the requested page.
+ * @param {object} catalog - The catalog definition from RECENT_CATALOGS.
+ * @param {number} skip - Number of metas to skip (Stremio's skip extra).
+ * @param {object} [filters] - Optional facet filters.
+ * @param {string} [filters.genre] - Genre name (Stremio's genre extra).
+ * @param {Array<number>} [filters.releaseYears] - Release years (from Stremio's year extra).
+ * @returns {Promise<Array<object>>} Stremio meta previews.
+ */
+async function getRecentlyIndexedMetas(catalog, skip, { genre, releaseYears = [] } = {}) {
+    const groups = new Map();
+    let hasNextPage = true;
+    const filterKey = `${genre || ''}_${releaseYears.join(',')}`;
+
+    for (let page = 0; page < CATALOG_MAX_TORRENT_PAGES && hasNextPage && groups.size < skip + CATALOG_PAGE_SIZE; page++) {
+        const offset = page * CATALOG_TORRENT_PAGE_SIZE;
+        const pageCacheKey = `catalog_torrents_${catalog.contentType}_${filterKey}_${offset}`;
+        let result = await catalogCache.get(pageCacheKey);
+        if (!result) {
+            try {
+                result = await searchBitMagnetByFacets({
+                    contentType: catalog.contentType,
+                    genres: genre ? [genre] : [],
+                    releaseYears: releaseYears,
+                    limit: CATALOG_TORRENT_PAGE_SIZE,
+                    offset: offset,
+                });
+                await catalogCache.set(pageCacheKey, result);
+            } catch (error) {
+                logger.error(`Error fetching recent BitMagnet ${catalog.contentType} content at offset ${offset}:`, error.message);
+                break;
+            }
+        }
+        groupTorrentContentByContent(result.items, groups);
+        hasNextPage = result.hasNextPage;
+    }
+
+    const pageContents = Array.from(groups.values()).slice(skip, skip + CATALOG_PAGE_SIZE);
+    logger.info(`Catalog ${catalog.name}: ${groups.size} distinct titles collected, returning ${pageContents.length} from skip=${skip}.`);
+
+    // Resolve TMDB posters in small batches to stay well within TMDB's rate limits
+    return mapInBatches(pageContents, 10, async content => {
+        await bitMagnetContentCache.set(getContentKey(content), content); // Lets getMeta/getStreams resolve bm: IDs
+        const { imdbId, tmdbId } = getContentExternalIds(content);
+        let tmdbData = null;
+        if (imdbId) {
+            tmdbData = await getTmdbMetadata(imdbId, catalog.type);
+        } else if (tmdbId) {
+            tmdbData = await getTmdbDetails(tmdbId, catalog.type);
+        }
+        return buildContentMetaPreview(content, catalog.type, tmdbData);
+    });
+}
+
 /**
  * Handles catalog requests.
- * Currently, it performs a TMDB search if a search query is provided,
- * otherwise, it can provide a list of popular items (placeholder for now).
+ * Performs a merged TMDB/BitMagnet search if a search query is provided, otherwise serves
+ * the "Recently indexed" catalogs straight from BitMagnet.
  * @param {string} type - 'movie' or 'series'.
- * @param {string} id - Catalog ID (e.g., 'bitmagnet_movies').
- * @param {object} extra - Extra parameters like 'search' query.
+ * @param {string} id - Catalog ID (e.g., 'bitmagnet_recent_movies').
+ * @param {object} extra - Extra parameters like 'search' query, 'genre', 'year' or 'skip'.
  * @returns {object} Stremio catalog response.
  */
 async function getCatalog(type, id, extra) {
     let metas = [];
     const search = extra?.search;
     const genre = extra?.genre;
+    const year = extra?.year;
+    const skip = parseInt(extra?.skip, 10) || 0;
 
-    console.log(`Getting catalog for type: ${type}, id: ${id}, search: ${search}, genre: ${genre}`);
+    logger.info(`Getting catalog for type: ${type}, id: ${id}, search: ${search}, genre: ${genre}, year: ${year}, skip: ${skip}`);
 
     if (search) {
-        // Search TMDB first if a search query is provided
-        const tmdbResults = await searchTmdb(search, type); // Still use searchTmdb, no OMDb search yet
-        for (const tmdbItem of tmdbResults) {
-            metas.push({
-                id: tmdbItem.imdb_id || `tt${tmdbItem.id}`, // Prefer IMDb ID if available
-                type: type,
-                name: tmdbItem.title || tmdbItem.name,
-                poster: tmdbItem.poster_path ? `https://image.tmdb.org/t/p/w500${tmdbItem.poster_path}` : null,
-                posterShape: 'regular',
-                background: tmdbItem.backdrop_path ? `https://image.tmdb.org/t/p/original${tmdbItem.backdrop_path}` : null,
-                genres: tmdbItem.genres,
-                releaseInfo: tmdbItem.release_date ? tmdbItem.release_date.substring(0, 4) : (tmdbItem.first_air_date ? tmdbItem.first_air_date.substring(0, 4) : ''),
-            });
+        // Search TMDB and BitMagnet's own content, merged into one result list
+        metas = await searchCatalog(search, type);
+    } else if (RECENT_CATALOGS[id] && RECENT_CATALOGS[id].type === type) {
+        const catalog = RECENT_CATALOGS[id];
+        const releaseYears = parseYearFilter(year);
+        const validGenre = genre && catalog.genres.includes(genre) ? genre : undefined;
+        if (genre && !validGenre) {
+            logger.warn(`Ignoring unknown genre "${genre}" for catalog ${id}.`);
+        }
+
+        const cacheKey = `catalog_metas_${id}_${validGenre || ''}_${releaseYears.join(',')}_${skip}`;
+        metas = await catalogCache.get(cacheKey);
+        if (!metas) {
+            const { value, failures } = await collectUpstreamFailures(() => getRecentlyIndexedMetas(catalog, skip, { genre: validGenre, releaseYears }));
+            metas = value;
+            if (metas.length > 0 && failures.length === 0) { // Don't pin an empty or incomplete page (e.g. BitMagnet unreachable) in the cache
+                await catalogCache.set(cacheKey, metas);
+            }
         }
     } else {
-        // Placeholder for general catalog, e.g., popular movies/series from TMDB
-        // For a real-world scenario, you'd fetch popular/trending items here.
-        // For simplicity, we'll return an empty catalog if no search is provided.
-        // This makes the addon primarily search-driven.
-        console.log(`No search query provided for catalog ${id}. Returning empty results.`);
+        logger.info(`Unknown catalog ${id} for type ${type}. Returning empty results.`);
     }
 
     return { metas };
 }
 
+/**
+ * Builds detailed metadata for an addon-owned bm: ID from its BitMagnet content record.
+ * Posters, genres and the season/episode list come from TMDB when the content is TMDB-sourced.
+ * @param {string} type - 'movie' or 'series'.
+ * @param {string} id - BitMagnet ID (e.g., 'bm:tmdb:949').
+ * @returns {object} Stremio meta response.
+ */
+async function getBitMagnetMeta(type, id) {
+    const parsedId = parseBitMagnetId(id);
+    if (!parsedId) {
+        logger.warn(`Invalid BitMagnet ID format: ${id}. Expected bm:<source>:<id>`);
+        return { meta: null };
+    }
+
+    const content = await resolveBitMagnetContent(parsedId.contentRef, type);
+    if (!content) {
+        logger.warn(`No BitMagnet content found for ${id}.`);
+        return { meta: null };
+    }
+
+    const { tmdbId } = getContentExternalIds(content);
+    const tmdbData = tmdbId ? await getTmdbDetails(tmdbId, type) : null;
+
+    const meta = {
+        ...buildContentMetaPreview(content, type, tmdbData),
+        id: parsedId.baseId, // Keep the requested ID so Stremio can match the meta to the library item
+        genres: tmdbData && tmdbData.genres ? tmdbData.genres.map(g => g.name) : [],
+        runtime: content.runtime ? `${content.runtime} min` : undefined,
+        imdbRating: tmdbData && tmdbData.vote_average ? `${tmdbData.vote_average.toFixed(1)}/10` : undefined,
+        // TMDB TV details list seasons with episode counts; season 0 (specials) is skipped
+        videos: type === 'series' && tmdbData && tmdbData.seasons ? tmdbData.seasons
+            .filter(season => season.season_number > 0 && season.episode_count > 0)
+            .flatMap(season => Array.from({ length: season.episode_count }, (_, i) => ({
+                id: `${parsedId.baseId}:${season.season_number}:${i + 1}`,
+                season: season.season_number,
+                episode: i + 1,
+                title: `Episode ${i + 1}`,
+            }))) : undefined,
+    };
+
+    return { meta };
+}
+
 /**
  * Fetches detailed metadata for a specific item (movie/series).
  * @param {string} type - 'movie' or 'series'.
- * @param {string} id - IMDb ID (e.g., 'tt1234567').
+ * @param {string} id - IMDb ID (e.g., 'tt1234567') or BitMagnet ID (e.g., 'bm:tmdb:949').
  * @returns {object} Stremio meta response.
  */
 async function getMeta(type, id) {
+    if (id.startsWith(BITMAGNET_ID_PREFIX)) {
+        return getBitMagnetMeta(type, id);
+    }
+
     const cacheKey = `combined_meta_${type}_${id}`;
-    let combinedMetadata = tmdbCache.get(cacheKey);
+    let combinedMetadata = await tmdbCache.get(cacheKey);
 
     if (!combinedMetadata) {
-        combinedMetadata = await fetchCombinedMetadata(id, type);
-        if (combinedMetadata) {
-            tmdbCache.set(cacheKey, combinedMetadata);
+        const { value, failures } = await collectUpstreamFailures(() => fetchCombinedMetadata(id, type));
+        combinedMetadata = value;
+        if (combinedMetadata && failures.length === 0) { // e.g. OMDb-only metadata while TMDB is down isn't kept
+            await tmdbCache.set(cacheKey, combinedMetadata);
         }
     }
 
     if (!combinedMetadata) {
-        console.warn(`No metadata found for ${id} from any source.`);
+        logger.warn(`No metadata found for ${id} from any source.`);
         return { meta: null };
     }
 
@@ -209,98 +601,25 @@ async function getMeta(type, id) {
     return { meta };
 }
 
-/**
- * Calculates a quality score for a given torrent based on various criteria.
- * @param {object} torrentContent - The torrent content object from BitMagnet.
- * @returns {number} The calculated quality score.
- */
-function calculateQualityScore(torrentContent) {
-    let score = 0;
-    const { torrent, videoResolution, videoCodec, videoModifier } = torrentContent;
-    const torrentName = torrent.name || '';
-    const seeders = torrent.seeders || 0;
-    const size = torrent.size || 0; // size in bytes
-
-    // 1. Resolution
-    switch (videoResolution) {
-        case 'V4320p': score += 100; break; // 8K
-        case 'V2160p': score += 90; break;  // 4K
-        case 'V1440p': score += 70; break;
-        case 'V1080p': score += 50; break;
-        case 'V720p': score += 30; break;
-        case 'V576p':
-        case 'V540p':
-        case 'V480p':
-        case 'V360p': score += 10; break;
-        default: score += 0;
-    }
-
-    // 2. HDR/Dolby Vision (check torrent name and videoModifier)
-    if (torrentName.match(/HDR|DV|Dolby Vision/i) || videoModifier === 'REMUX' || torrentName.match(/REMUX/i)) {
-        score += 15;
-    }
-
-    // 3. Codec Quality
-    switch (videoCodec) {
-        case 'x265':
-        case 'H265': score += 10; break;
-        case 'H264': score += 5; break;
-        default: score += 0;
-    }
-
-    // 4. Audio Quality (check torrent name)
-    if (torrentName.match(/DTS-HD|Atmos|TrueHD|DTS/i)) {
-        if (torrentName.match(/DTS-HD|Atmos/i)) {
-            score += 10;
-        } else if (torrentName.match(/TrueHD|DTS/i)) {
-            score += 5;
-        }
-    }
-
-    // 5. File Format (check torrent name)
-    if (torrentName.toLowerCase().includes('.mkv')) {
-        score += 5;
-    }
-
-    // 6. File Size (larger typically indicates better quality, up to a point)
-    // Assuming size is in bytes. Convert to GB for scoring.
-    const sizeGB = size / (1024 * 1024 * 1024);
-    score += Math.min(sizeGB, 50) * 0.2; // Max 10 points for size (e.g., 50GB max score)
-
-    // Log the score for debugging
-    // console.log(`Torrent: ${torrentName}, Score: ${score}, Seeders: ${seeders}, Resolution: ${videoResolution}, Size: ${sizeGB.toFixed(2)}GB`);
-
-    return score;
-}
-
 /**
  * Parses episode information from a torrent name or BitMagnet's episodes label.
  * @param {string} torrentName - The full torrent name.
  * @param {object} torrentContentEpisodes - The episodes object from BitMagnet's content (can have label and seasons array).
- * @returns {{season: number|null, episodes: number[]}|null} Parsed season and episode numbers, or null if not found.
+ * @returns {Array<{season: number|null, episodes: number[], airDate?: string}>} Parsed season and episode numbers (empty if not found).
  */
 function parseTorrentEpisodeData(torrentName, torrentContentEpisodes) {
-    const parsedData = [];
-    const seenCombos = new Set(); // To avoid duplicates if multiple regexes match the same thing
-
-    // Helper to add data if unique
-    const addData = (s, eps) => {
-        // Ensure episodes are sorted and unique for consistent key generation
-        const uniqueSortedEps = [...new Set(eps)].sort((a, b) => a - b);
-        const key = `${s}-${JSON.stringify(uniqueSortedEps)}`;
-        if (!seenCombos.has(key)) {
-            parsedData.push({ season: s, episodes: uniqueSortedEps });
-            seenCombos.add(key);
-        }
-    };
-
     // 1. Prioritize BitMagnet's structured episodes
     if (torrentContentEpisodes && Array.isArray(torrentContentEpisodes.seasons)) {
+        const parsedData = [];
+        const seenCombos = new Set(); // To avoid duplicate season entries
         torrentContentEpisodes.seasons.forEach(sData => {
             if (sData.season !== null && sData.season !== undefined) {
-                const s = sData.season;
-                const eps = (sData.episodes && Array.isArray(sData.episodes)) ? sData.episodes : [];
-                addData(s, eps);
+                const eps = (sData.episodes && Array.isArray(sData.episodes)) ? [...new Set(sData.episodes)].sort((a, b) => a - b) : [];
+                const key = `${sData.season}-${JSON.stringify(eps)}`;
+                if (!seenCombos.has(key)) {
+                    parsedData.push({ season: sData.season, episodes: eps });
+                    seenCombos.add(key);
+                }
             }
         });
         // If structured data exists, prefer it and don't proceed with name parsing
@@ -308,247 +627,463 @@ function parseTorrentEpisodeData(torrentName, torrentContentEpisodes) {
         if (parsedData.length > 0) return parsedData;
     }
 
-    const nameLower = torrentName.toLowerCase();
+    // 2. Fall back to the release name (SxxEyy, ranges, season packs...)
+    return parseEpisodeInfo(torrentName);
+}
 
-    // Regex patterns and their parsing logic (order matters for overlapping matches)
-    const patterns = [
-        // SXXEXX (single episode, e.g., S01E15, s1e1)
-        {
-            regex: /s(\d{1,3})e(\d{1,3})/g,
-            parse: (match) => ({ season: parseInt(match[1], 10), episodes: [parseInt(match[2], 10)] })
-        },
-        // SXXE(YY-ZZ) (episode range without 'EP', e.g., s1e1-12)
-        {
-            regex: /s(\d{1,3})e(\d{1,3})(?:-|–)(\d{1,3})/g,
-            parse: (match) => {
-                const s = parseInt(match[1], 10);
-                const startEp = parseInt(match[2], 10);
-                const endEp = parseInt(match[3], 10);
-                const eps = [];
-                for (let i = startEp; i <= endEp; i++) {
-                    eps.push(i);
-                }
-                return { season: s, episodes: eps };
-            }
-        },
-        // SXXEP(YY-ZZ) or SXXEPYY-ZZ (episode range with 'EP', e.g., S01EP(13-16))
-        {
-            regex: /s(\d{1,3})\s*ep\(?(\d{1,3})(?:-|–)(\d{1,3})\)?/g,
-            parse: (match) => {
-                const s = parseInt(match[1], 10);
-                const startEp = parseInt(match[2], 10);
-                const endEp = parseInt(match[3], 10);
-                const eps = [];
-                for (let i = startEp; i <= endEp; i++) {
-                    eps.push(i);
-                }
-                return { season: s, episodes: eps };
-            }
-        },
-        // Word-based "Season X Episode Y" or "Season X Ep Y"
-        {
-            regex: /season\s*(\d{1,3})(?:\s*episode|\s*ep)\s*(\d{1,3})/g,
-            parse: (match) => ({ season: parseInt(match[1], 10), episodes: [parseInt(match[2], 10)] })
-        },
-        // SXX-SYY (Season ranges, e.g., S01-S06) - treating each as a season pack
-        {
-            regex: /s(\d{1,3})(?:-|–)s(\d{1,3})/g,
-            parse: (match) => {
-                const startSeason = parseInt(match[1], 10);
-                const endSeason = parseInt(match[2], 10);
-                const seasonPacks = [];
-                for (let i = startSeason; i <= endSeason; i++) {
-                    seasonPacks.push({ season: i, episodes: [] }); // Empty episodes for season pack
-                }
-                return seasonPacks; // Return an array of season packs to be flattened
-            }
-        },
-        // "Season X-Y" (Season ranges, e.g., Season 1-3) - treating each as a season pack
-        {
-            regex: /season\s*(\d{1,3})(?:-|–)(\d{1,3})/g,
-            parse: (match) => {
-                const startSeason = parseInt(match[1], 10);
-                const endSeason = parseInt(match[2], 10);
-                const seasonPacks = [];
-                for (let i = startSeason; i <= endSeason; i++) {
-                    seasonPacks.push({ season: i, episodes: [] }); // Empty episodes for season pack
-                }
-                return seasonPacks; // Return an array of season packs to be flattened
+/**
+ * Resolves the requested episode into every form a release name may use for it:
+ * season/episode, absolute episode number (anime) and air date (daily shows).
+ * The absolute number is derived from TMDB season episode counts, the air date from the TMDB season.
+ * @param {number} season - The requested season.
+ * @param {number} episode - The requested episode.
+ * @param {string|null} tmdbId - The TMDB ID of the series, if known.
+ * @param {Array<object>} [seasons] - TMDB seasons (with episode_count), if already fetched.
+ * @returns {Promise<{season: number, episode: number, absoluteEpisode: number|null, airDate: string|null}>} The episode target.
+ */
+async function getEpisodeTarget(season, episode, tmdbId, seasons) {
+    // Without TMDB data, season 1 episodes are the only ones whose absolute number is known
+    const target = { season, episode, absoluteEpisode: season === 1 ? episode : null, airDate: null };
+    if (!tmdbId) {
+        return target;
+    }
+
+    if (!Array.isArray(seasons)) {
+        const tmdbDetails = await getTmdbDetails(tmdbId, 'series');
+        seasons = tmdbDetails && tmdbDetails.seasons;
+    }
+    if (Array.isArray(seasons)) {
+        // Season 0 (specials) doesn't count towards absolute numbering
+        const previousSeasons = seasons.filter(s => s.season_number > 0 && s.season_number < season);
+        if (previousSeasons.every(s => typeof s.episode_count === 'number')) {
+            target.absoluteEpisode = previousSeasons.reduce((total, s) => total + s.episode_count, 0) + episode;
+        }
+    }
+
+    const tmdbSeason = await getTmdbSeason(tmdbId, season);
+    const tmdbEpisode = tmdbSeason && Array.isArray(tmdbSeason.episodes)
+        ? tmdbSeason.episodes.find(e => e.episode_number === episode)
+        : null;
+    if (tmdbEpisode && tmdbEpisode.air_date) {
+        target.airDate = tmdbEpisode.air_date;
+    }
+
+    return target;
+}
+
+/**
+ * Checks whether parsed episode data covers the requested episode.
+ * @param {Array<{season: number|null, episodes: number[], airDate?: string}>} parsedDataArray - Output of parseTorrentEpisodeData.
+ * @param {object} target - The requested episode (see getEpisodeTarget).
+ * @returns {boolean} True if the torrent contains the episode (directly, by absolute number or air date, or as part of a season pack).
+ */
+function matchesRequestedEpisode(parsedDataArray, target) {
+    if (!parsedDataArray || parsedDataArray.length === 0) {
+        return false; // No episode data parsed for this torrent
+    }
+
+    // Check if any of the parsed season/episode patterns match the requested episode
+    return parsedDataArray.some(parsed => {
+        if (parsed.season === null) {
+            // Season-less entries: daily shows by air date, anime by absolute episode number
+            if (parsed.airDate) {
+                return parsed.airDate === target.airDate;
             }
-        },
-        // SXX (Season pack, e.g., S01, S1) - ensure it's not part of SXXEXX
-        // This regex now specifically looks for 'S' followed by digits, not immediately followed by 'E' or another digit (for episode)
-        {
-            regex: /s(\d{1,3})(?![eE\d])/g,
-            parse: (match) => ({ season: parseInt(match[1], 10), episodes: [] })
-        },
-        // "Season X" (Season pack, e.g., Season 1) - ensure it's not part of "Season X Episode Y"
-        {
-            regex: /season\s*(\d{1,3})(?!(?:\s*episode|\s*ep|\d))/g, // Not followed by "episode", "ep", or digits
-            parse: (match) => ({ season: parseInt(match[1], 10), episodes: [] })
-        },
-        // EPXX (single episode without explicit season) - lowest priority
-        {
-            regex: /ep(\d{1,3})/g,
-            parse: (match) => ({ season: null, episodes: [parseInt(match[1], 10)] }) // Season remains null
-        }
-    ];
-
-    patterns.forEach(pattern => {
-        const matches = nameLower.matchAll(pattern.regex);
-        for (const match of matches) {
-            const result = pattern.parse(match);
-            if (Array.isArray(result)) { // Handle patterns that return multiple results (like season ranges)
-                result.forEach(item => addData(item.season, item.episodes));
-            } else {
-                addData(result.season, result.episodes);
+            return target.absoluteEpisode !== null && parsed.episodes.includes(target.absoluteEpisode);
+        }
+
+        if (parsed.season === target.season) {
+            // If it's a season pack (episodes array is empty for this parsed entry)
+            if (parsed.episodes.length === 0) {
+                return true; // This season pack is relevant for any episode in that season
             }
+            // If specific episodes are listed (single, range or multi-episode file), check for the requested one
+            return parsed.episodes.includes(target.episode);
         }
+        return false; // Season does not match for this specific parsed entry
     });
+}
 
-    return parsedData.length > 0 ? parsedData : [];
+const VIDEO_FILE_EXTENSION_REGEX = /\.(mkv|mp4|avi|m4v|ts|wmv|mov|webm)$/i;
+const FILE_LOOKUP_MAX_TORRENTS = 30; // Caps the season packs whose file listing is fetched per stream request
+
+/**
+ * Picks the file of the requested episode from a torrent's file listing.
+ * Only video files are considered (samples excluded); each file name is parsed like a release name.
+ * If several files match (e.g. different versions), the largest one wins.
+ * @param {Array<{index: number, path: string, size: number, fileType: string|null}>} files - The torrent's files.
+ * @param {object} target - The requested episode (see getEpisodeTarget).
+ * @returns {{index: number, path: string, size: number}|null} The episode file, or null if none matches.
+ */
+function selectEpisodeFile(files, target) {
+    const candidates = files.filter(file => {
+        const fileName = file.path.split('/').pop();
+        const isVideo = file.fileType === 'video' || VIDEO_FILE_EXTENSION_REGEX.test(fileName);
+        if (!isVideo || /(?<![a-z])sample(?![a-z])/i.test(fileName)) {
+            return false;
+        }
+        // Only the file name is parsed: a "Season 2/" folder would otherwise match every file as a season pack
+        return matchesRequestedEpisode(parseEpisodeInfo(fileName), target);
+    });
+    if (candidates.length === 0) {
+        return null;
+    }
+    return candidates.reduce((best, file) => (file.size || 0) > (best.size || 0) ? file : best);
 }
 
+// Release sources considered low quality (see utils/releaseParser.js and BitMagnet's videoSource/videoModifier values)
+const LOW_QUALITY_SOURCES = ['CAM', 'TS', 'TC', 'SCR'];
+const LOW_QUALITY_BITMAGNET_SOURCES = ['CAM', 'TELESYNC', 'TELECINE', 'WORKPRINT'];
+const LOW_QUALITY_BITMAGNET_MODIFIERS = ['SCREENER'];
+
 /**
- * Determines if a torrent is considered "low quality" based on its resolution and common low-quality tags.
+ * Determines if a torrent is considered "low quality" based on its resolution and source.
  * @param {object} torrentContent - The torrent content object from BitMagnet.
  * @returns {boolean} True if the torrent is low quality, false otherwise.
  */
 function isLowQualityTorrent(torrentContent) {
-    const torrentNameLower = torrentContent.torrent.name.toLowerCase();
-    const videoResolution = torrentContent.videoResolution;
-    const videoSource = torrentContent.videoSource ? torrentContent.videoSource.toLowerCase() : '';
-    const videoModifier = torrentContent.videoModifier ? torrentContent.videoModifier.toLowerCase() : '';
-
-    // Check for low resolutions
-    if (videoResolution) {
-        const resNumeric = parseInt(videoResolution.replace('V', ''), 10);
-        if (resNumeric <= 576 && resNumeric !== 720 && resNumeric !== 1080 && resNumeric !== 1440 && resNumeric !== 2160 && resNumeric !== 4320) {
-            return true;
-        }
-    }
+    const release = parseRelease(torrentContent.torrent.name);
 
-    // Check for low-quality sources/modifiers/keywords
-    const lowQualityKeywords = ['telecine', 'ts', 'cam', 'hd-ts', 'hd-cam', 'web-rip'];
-    if (lowQualityKeywords.some(keyword => torrentNameLower.includes(keyword) || videoSource.includes(keyword) || videoModifier.includes(keyword))) {
+    // Check for low resolutions (BitMagnet's classification first, then the release name)
+    const resolution = torrentContent.videoResolution ? torrentContent.videoResolution.replace('V', '') : release.resolution;
+    if (resolution && parseInt(resolution, 10) <= 576) {
         return true;
     }
 
-    return false;
+    // Check for low-quality sources (cams, telesyncs, telecines, screeners)
+    if (LOW_QUALITY_SOURCES.includes(release.source)) {
+        return true;
+    }
+    const videoSource = torrentContent.videoSource ? torrentContent.videoSource.toUpperCase() : '';
+    const videoModifier = torrentContent.videoModifier ? torrentContent.videoModifier.toUpperCase() : '';
+    return LOW_QUALITY_BITMAGNET_SOURCES.includes(videoSource) || LOW_QUALITY_BITMAGNET_MODIFIERS.includes(videoModifier);
 }
 
 /**
- * Determines if a torrent's language matches the preferred language.
+ * Summarizes a torrent for the stream diagnostics.
  * @param {object} torrentContent - The torrent content object from BitMagnet.
- * @param {string} preferredLanguage - The preferred language code (e.g., 'eng', 'hin').
- * @returns {boolean} True if the torrent contains the preferred language, false otherwise.
+ * @returns {object} The info hash, name, seeders, size and BitMagnet's classification.
  */
-function hasPreferredLanguage(torrentContent, preferredLanguage) {
-    if (!preferredLanguage || preferredLanguage.trim() === '') {
-        return false; // No preferred language set
-    }
-    const lowerPreferredLanguage = preferredLanguage.toLowerCase();
-    
-    // Check BitMagnet's `languages` array
-    if (torrentContent.languages && Array.isArray(torrentContent.languages)) {
-        if (torrentContent.languages.some(lang => lang.name.toLowerCase() === lowerPreferredLanguage)) {
-            return true;
+function describeTorrent(torrentContent) {
+    return {
+        infoHash: torrentContent.infoHash,
+        name: torrentContent.torrent.name,
+        seeders: torrentContent.seeders,
+        sizeGB: Number((torrentContent.torrent.size / (1024 * 1024 * 1024)).toFixed(2)),
+        resolution: torrentContent.videoResolution,
+        source: torrentContent.videoSource,
+        content: getContentKey(torrentContent.content),
+    };
+}
+
+/**
+ * Records torrents dropped at a pipeline stage in the stream diagnostics (no-op without diagnostics).
+ * @param {object|null} diagnostics - The diagnostics object, or null.
+ * @param {string} stage - The stage ('relevance', 'size', 'rules', 'low-quality', 'episode', 'duplicate', 'limit').
+ * @param {Array<object>} torrents - The dropped torrent content objects.
+ * @param {string} reason - Why they were dropped.
+ */
+function recordDropped(diagnostics, stage, torrents, reason) {
+    if (!diagnostics) return;
+    torrents.forEach(torrentContent => {
+        diagnostics.dropped.push({ stage, reason, ...describeTorrent(torrentContent) });
+    });
+}
+
+/**
+ * Runs the full stream pipeline for an item without the cache and reports every stage:
+ * the resolved request, the raw BitMagnet hits, the torrents dropped at each stage (and why)
+ * and the final ranking with relevance tiers and quality scores. Used by /debug/stream.
+ * @param {string} type - 'movie' or 'series'.
+ * @param {string} id - The requested ID.
+ * @param {object} [userConfig] - Decoded per-install configuration (see utils/userConfig.js).
+ * @returns {Promise<object>} The diagnostics, including the resulting streams.
+ */
+async function getStreamDiagnostics(type, id, userConfig = getDefaultUserConfig()) {
+    const shownConfig = { ...userConfig, debridApiKey: userConfig.debridApiKey ? '[REDACTED]' : '' };
+    const diagnostics = { type, id, userConfig: shownConfig, request: null, search: null, filterRules: [], dropped: [], ranked: [] };
+    const startedAt = Date.now();
+    const { value: { streams }, failures } = await collectUpstreamFailures(() => computeStreams(type, id, userConfig, diagnostics));
+    diagnostics.durationMs = Date.now() - startedAt;
+    diagnostics.upstreamFailures = failures; // Non-empty means the streams would not have been cached
+    diagnostics.streams = streams.map(withoutTemplateFields);
+    return diagnostics;
+}
+
+/**
+ * Builds the stream cache key of a request.
+ * The ranking settings are part of the key so installs with different configs don't share results.
+ * Debrid settings are not: debrid streams are added per request on top of the cached P2P streams
+ * (and the API key must not end up in a shared cache).
+ * @param {string} type - 'movie' or 'series'.
+ * @param {string} id - The requested ID.
+ * @param {object} userConfig - Decoded per-install configuration.
+ * @returns {string} The cache key.
+ */
+function getStreamCacheKey(type, id, userConfig) {
+    const { debridProvider, debridApiKey, debridMode, ...rankingConfig } = userConfig;
+    return `bitmagnet_streams_${type}_${id}_${JSON.stringify(rankingConfig)}`;
+}
+
+/**
+ * Checks whether a cached stream entry is still fresh (see STREAM_CACHE_FRESH_SECONDS).
+ * @param {{streams: Array<object>, refreshedAt: number}} cachedEntry - The cached entry.
+ * @returns {boolean} True if the entry doesn't need a refresh yet.
+ */
+function isStreamCacheEntryFresh(cachedEntry) {
+    const ageSeconds = (Date.now() - cachedEntry.refreshedAt) / 1000;
+    return ageSeconds <= (parseInt(config.STREAM_CACHE_FRESH_SECONDS, 10) || 0);
+}
+
+/**
+ * Handles stream requests.
+ * @param {string} type - 'movie' or 'series'.
+ * @param {string} id - IMDb ID (e.g., 'tt1234567' or 'tt1234567:1:1' for series) or BitMagnet ID (e.g., 'bm:tmdb:949').
+ * @param {object} [userConfig] - Decoded per-install configuration (see utils/userConfig.js).
+ * @param {object} [options] - Request options.
+ * @param {string} [options.resolveBaseUrl] - Public URL of the addon (including the config segment) for debrid and
+ *                                            download links. Without it neither is added.
+ * @returns {object} Stremio stream response.
+ */
+async function getStreams(type, id, userConfig = getDefaultUserConfig(), { resolveBaseUrl } = {}) {
+    const streams = await getRankedStreams(type, id, userConfig);
+    const playableStreams = await addDebridStreams(streams, type, id, userConfig, resolveBaseUrl);
+    return { streams: [...playableStreams, ...getDownloadStreams(streams, type, resolveBaseUrl)].map(withoutTemplateFields) };
+}
+
+/**
+ * Returns the ranked P2P streams of a request (stale-while-revalidate).
+ * Fresh cached streams are returned as is. Stale ones (older than STREAM_CACHE_FRESH_SECONDS) are
+ * still returned immediately while a background refresh runs; only a cache miss waits for the search.
+ * @param {string} type - 'movie' or 'series'.
+ * @param {string} id - The requested ID.
+ * @param {object} userConfig - Decoded per-install configuration.
+ * @returns {Promise<Array<object>>} The ranked streams, as cached (with _templateFields).
+ */
+async function getRankedStreams(type, id, userConfig) {
+    const cacheKey = getStreamCacheKey(type, id, userConfig);
+    const cachedEntry = await bitMagnetCache.get(cacheKey);
+
+    if (cachedEntry && Array.isArray(cachedEntry.streams)) {
+        const ageSeconds = Math.round((Date.now() - cachedEntry.refreshedAt) / 1000);
+        if (!isStreamCacheEntryFresh(cachedEntry)) {
+            logger.info(`Returning stale cached streams for ${id} (${ageSeconds}s old), refreshing in the background.`);
+            refreshStreams(type, id, userConfig, cacheKey).catch(error => {
+                logger.error(`Error refreshing streams for ${id} in the background:`, error.message);
+            });
+        } else {
+            logger.info(`Returning cached streams for ${id}`);
         }
+        return cachedEntry.streams;
     }
+    return refreshStreams(type, id, userConfig, cacheKey);
+}
 
-    // Fallback: Check torrent name for common language indicators
-    const torrentNameLower = torrentContent.torrent.name.toLowerCase();
-    // Common language tags in torrent names (can be expanded)
-    const languageKeywords = {
-        'english': ['eng', 'english', 'en'],
-        'hindi': ['hin', 'hindi'],
-        'tamil': ['tam', 'tamil'],
-        'telugu': ['tel', 'telugu'],
-        'malayalam': ['mal', 'malayalam'],
-        'kannada': ['kan', 'kannada'],
-        'french': ['fre', 'french', 'fr'],
-        'spanish': ['spa', 'spanish', 'es'],
-        'german': ['ger', 'german', 'de'],
-        'japanese': ['jpn', 'japanese', 'ja'],
-        'korean': ['kor', 'korean', 'ko'],
-        'mandarin': ['man', 'mandarin', 'cmn'],
-        'cantonese': ['can', 'cantonese', 'yue'],
-        'arabic': ['ara', 'arabic', 'ar'],
-        'russian': ['rus', 'russian', 'ru'],
-        'portuguese': ['por', 'portuguese', 'pt'],
-        'italian': ['ita', 'italian', 'it'],
-        'dutch': ['dut', 'dutch', 'nl'],
-        'swedish': ['swe', 'swedish', 'sv'],
-        'norwegian': ['nor', 'norwegian', 'no'],
-        'danish': ['dan', 'danish', 'da'],
-        'finnish': ['fin', 'finnish', 'fi'],
-        'polish': ['pol', 'polish', 'pl'],
-        'turkish': ['tur', 'turkish', 'tr'],
-        'thai': ['thi', 'thai', 'th'],
-        'vietnamese': ['vie', 'vietnamese', 'vi'],
-        'indonesian': ['ind', 'indonesian', 'id'],
-        'hebrew': ['heb', 'hebrew', 'he'],
-        'greek': ['gre', 'greek', 'el'],
-        'czech': ['cze', 'czech', 'cs'],
-        'hungarian': ['hun', 'hungarian', 'hu'],
-    };
+/**
+ * Handles subtitle requests: lists the subtitle files of the torrent being played (see utils/subtitles.js).
+ * Stremio doesn't say which torrent is played, only the video's file name and size, so they are looked up in the
+ * file listings of the torrents of this item's streams.
+ * @param {string} type - 'movie' or 'series'.
+ * @param {string} id - The requested ID (as for streams).
+ * @param {object} extra - Stremio's extra arguments (filename, videoSize, videoHash).
+ * @param {object} [userConfig] - Decoded per-install configuration.
+ * @param {object} [options] - Request options.
+ * @param {string} [options.baseUrl] - Public URL of the addon (including the config segment) for the subtitle links.
+ * @returns {Promise<{subtitles: Array<object>}>} Stremio subtitles response (empty without SUBTITLE_FETCH_URL).
+ */
+async function getSubtitles(type, id, extra, userConfig = getDefaultUserConfig(), { baseUrl } = {}) {
+    if (!isSubtitleFetchEnabled() || !baseUrl) {
+        return { subtitles: [] };
+    }
 
-    const preferredLanguageAliases = languageKeywords[lowerPreferredLanguage] || [lowerPreferredLanguage];
+    const streams = await getRankedStreams(type, id, userConfig);
+    const infoHashes = [...new Set(streams.map(stream => String(stream.infoHash).toLowerCase()))];
+    const filesByInfoHash = await getTorrentFiles(infoHashes);
+    const rankedFiles = new Map(infoHashes.filter(infoHash => filesByInfoHash.has(infoHash)).map(infoHash => [infoHash, filesByInfoHash.get(infoHash)]));
+    const played = findPlayedTorrent(rankedFiles, extra);
+    if (!played) {
+        logger.info(`No subtitles for ${id}: "${extra.filename || 'unknown file'}" is not in a listed torrent of its streams.`);
+        return { subtitles: [] };
+    }
 
-    for (const alias of preferredLanguageAliases) {
-        // Look for the alias as a standalone word or surrounded by common separators
-        const regex = new RegExp(`[\\s.\\[\\(-]${alias}[\\s.\\]\\)-]`, 'i');
-        if (torrentNameLower.includes(alias) || regex.test(torrentNameLower)) {
-            return true;
-        }
+    const subtitleFiles = selectVideoSubtitles(played.files, played.videoFile);
+    logger.info(`Found ${subtitleFiles.length} subtitle file(s) for "${played.videoFile.path}" in ${played.infoHash}.`);
+    return { subtitles: buildSubtitleEntries(played.infoHash, subtitleFiles, baseUrl) };
+}
+
+/**
+ * Removes the template fields kept on cached streams for rendering the debrid stream names.
+ * @param {object} stream - The stream.
+ * @returns {object} The stream as sent to Stremio.
+ */
+function withoutTemplateFields(stream) {
+    const { _templateFields, ...publicStream } = stream;
+    return publicStream;
+}
+
+/**
+ * Builds a "Send to <client>" entry per torrent, which opens the addon's /download page in the browser
+ * to add the torrent to the configured download client (see DOWNLOAD_CLIENT).
+ * @param {Array<object>} streams - The ranked P2P streams.
+ * @param {string} type - 'movie' or 'series'.
+ * @param {string} [baseUrl] - Public URL of the addon.
+ * @returns {Array<object>} The download entries (empty if no download client is configured).
+ */
+function getDownloadStreams(streams, type, baseUrl) {
+    const client = getDownloadClient();
+    if (!client || !baseUrl) {
+        return [];
     }
+    return streams.map(stream => ({
+        name: `⬇ Send to ${client.name}`,
+        title: stream.title,
+        externalUrl: `${baseUrl}${getDownloadPath(type, stream.infoHash)}`,
+    }));
+}
 
-    return false;
+/**
+ * Adds debrid streams (direct HTTP links, marked with ⚡) for the torrents the user's debrid service has cached.
+ * Depending on userConfig.debridMode they are listed alongside the P2P streams, instead of them, or alone.
+ * Services that can't report cached torrents (Real-Debrid, AllDebrid) get a debrid stream for every torrent, and with 'instead'
+ * the P2P streams are kept, since any of them may not be cached.
+ * The links point at the addon's /resolve route, which asks the debrid service for the download link
+ * only when the stream is played.
+ * @param {Array<object>} streams - The ranked P2P streams.
+ * @param {string} type - 'movie' or 'series'.
+ * @param {string} id - The requested ID.
+ * @param {object} userConfig - Decoded per-install configuration.
+ * @param {string} [resolveBaseUrl] - Public URL of the addon including the config segment.
+ * @returns {Promise<Array<object>>} The streams, with debrid streams first.
+ */
+async function addDebridStreams(streams, type, id, userConfig, resolveBaseUrl) {
+    const { debridProvider, debridApiKey, debridMode } = userConfig;
+    if (!debridProvider || !debridApiKey || !resolveBaseUrl || streams.length === 0) {
+        return streams;
+    }
+
+    const provider = getDebridProviders().find(p => p.id === debridProvider);
+    const streamTemplates = getStreamTemplates(userConfig);
+    const cachedInfoHashes = await getCachedInfoHashes(debridProvider, debridApiKey, streams.map(stream => stream.infoHash)); // null: unknown
+    const [season, episode] = type === 'series' ? id.split(':').slice(-2) : [];
+
+    const debridStreams = [];
+    const p2pStreams = [];
+    streams.forEach(stream => {
+        const isCached = cachedInfoHashes ? cachedInfoHashes.has(String(stream.infoHash).toLowerCase()) : null;
+        if (isCached !== false) {
+            const query = new URLSearchParams();
+            if (stream.behaviorHints.filename) query.set('filename', stream.behaviorHints.filename);
+            if (season && episode) {
+                query.set('season', season);
+                query.set('episode', episode);
+            }
+            debridStreams.push({
+                name: stream._templateFields
+                    ? renderTemplate(streamTemplates.name, { ...stream._templateFields, debrid: provider.shortName })
+                    : `BitMagnet ⚡${provider.shortName}-${stream.quality}`, // Cached before stream templates existed
+                title: stream.title,
+                url: `${resolveBaseUrl}/resolve/${debridProvider}/${String(stream.infoHash).toLowerCase()}${query.size > 0 ? `?${query}` : ''}`,
+                behaviorHints: {
+                    bingeGroup: `bitmagnet-${debridProvider}-${stream.quality}`, // Lets Stremio auto-play the next episode from the same provider
+                    ...(stream.behaviorHints.filename ? { filename: stream.behaviorHints.filename } : {}),
+                },
+            });
+        }
+        if (debridMode === 'alongside' || (debridMode === 'instead' && !isCached)) {
+            p2pStreams.push(stream);
+        }
+    });
+
+    logger.info(`Added ${debridStreams.length} ${provider.name} stream(s) for ${id} (mode: ${debridMode}).`);
+    return [...debridStreams, ...p2pStreams];
 }
 
+/**
+ * Computes the streams for a request and caches them.
+ * Concurrent calls for the same cache key share one in-flight computation, so a burst of
+ * clients (or a background refresh racing a cache miss) doesn't fan out duplicate searches.
+ * Results computed while an upstream call failed (even if the failure was handled) are not cached,
+ * so an outage neither pins an empty list nor replaces the previous streams. Genuinely empty results are cached.
+ * @param {string} type - 'movie' or 'series'.
+ * @param {string} id - The requested ID.
+ * @param {object} userConfig - Decoded per-install configuration.
+ * @param {string} cacheKey - The stream cache key.
+ * @returns {Promise<Array<object>>} The Stremio streams.
+ */
+function refreshStreams(type, id, userConfig, cacheKey) {
+    if (inFlightStreams.has(cacheKey)) {
+        logger.info(`Joining in-flight stream search for ${id}.`);
+        return inFlightStreams.get(cacheKey);
+    }
+
+    const computation = collectUpstreamFailures(() => computeStreams(type, id, userConfig))
+        .then(async ({ value: { streams }, failures }) => {
+            if (failures.length === 0) {
+                await bitMagnetCache.set(cacheKey, { streams, refreshedAt: Date.now() });
+            } else {
+                logger.warn(`Not caching streams for ${id}: ${failures.length} upstream call(s) failed (${failures.map(f => `${f.service} ${f.operation}`).join(', ')}).`);
+            }
+            return streams;
+        })
+        .finally(() => inFlightStreams.delete(cacheKey));
+    inFlightStreams.set(cacheKey, computation);
+    return computation;
+}
 
 /**
- * Handles stream requests.
+ * Searches BitMagnet and builds the ranked stream list for a request (uncached, see getStreams).
  * @param {string} type - 'movie' or 'series'.
- * @param {string} id - IMDb ID (e.g., 'tt1234567' or 'tt1234567:1:1' for series).
- * @returns {object} Stremio stream response.
+ * @param {string} id - IMDb ID (e.g., 'tt1234567' or 'tt1234567:1:1' for series) or BitMagnet ID (e.g., 'bm:tmdb:949').
+ * @param {object} userConfig - Decoded per-install configuration (see utils/userConfig.js).
+ * @param {object|null} [diagnostics] - If given, every pipeline stage is recorded into it (see getStreamDiagnostics).
+ * @returns {Promise<{streams: Array<object>}>} Stremio stream response.
  */
-async function getStreams(type, id) {
+async function computeStreams(type, id, userConfig, diagnostics = null) {
     let imdbId = id;
     let season = null;
     let episode = null;
 
-    // Dynamically import parse-torrent here to avoid ERR_PACKAGE_PATH_NOT_EXPORTED
-    // parseTorrent is a default export, so we access it via .default
-    const parseTorrent = (await import('parse-torrent')).default;
-
-    // Handle series ID format (e.g., tt1234567:1:1)
-    if (type === 'series') {
+    // Addon-owned BitMagnet IDs (e.g., bm:tmdb:949 or bm:tmdb:1399:1:1) resolve to a BitMagnet content record
+    let bitMagnetContentRef = null;
+    if (id.startsWith(BITMAGNET_ID_PREFIX)) {
+        const parsedId = parseBitMagnetId(id);
+        if (!parsedId || (type === 'series' && parsedId.season === null)) {
+            logger.warn(`Invalid BitMagnet ID format: ${id}. Expected bm:<source>:<id> (or bm:<source>:<id>:S:E for series)`);
+            return { streams: [] };
+        }
+        bitMagnetContentRef = parsedId.contentRef;
+        imdbId = parsedId.baseId; // Used as the display/log fallback below
+        season = parsedId.season;
+        episode = parsedId.episode;
+    } else if (type === 'series') {
+        // Handle series ID format (e.g., tt1234567:1:1)
         const parts = id.split(':');
         if (parts.length === 3) {
             imdbId = parts[0];
             season = parseInt(parts[1], 10);
             episode = parseInt(parts[2], 10);
         } else {
-            console.warn(`Invalid series ID format: ${id}. Expected ttXXXXXXX:S:E`);
+            logger.warn(`Invalid series ID format: ${id}. Expected ttXXXXXXX:S:E`);
             return { streams: [] };
         }
     }
 
-    const cacheKey = `bitmagnet_streams_${type}_${id}`;
-    let cachedStreams = bitMagnetCache.get(cacheKey);
-
-    if (cachedStreams) {
-        console.log(`Returning cached streams for ${id}`);
-        return { streams: cachedStreams };
-    }
-
     let combinedMetadata;
-    try {
-        combinedMetadata = await fetchCombinedMetadata(imdbId, type);
-    } catch (error) {
-        console.error(`Error fetching combined metadata for ${imdbId}:`, error.message);
-        return { streams: [] };
+    let bitMagnetContent = null;
+    if (bitMagnetContentRef) {
+        bitMagnetContent = await resolveBitMagnetContent(bitMagnetContentRef, type);
+        if (!bitMagnetContent) {
+            logger.warn(`No BitMagnet content found for ${id}.`);
+            return { streams: [] };
+        }
+        combinedMetadata = { title: bitMagnetContent.title, year: bitMagnetContent.releaseYear || null };
+    } else {
+        try {
+            combinedMetadata = await fetchCombinedMetadata(imdbId, type);
+        } catch (error) {
+            logger.error(`Error fetching combined metadata for ${imdbId}:`, error.message);
+            return { streams: [] };
+        }
     }
 
     // Define baseContentTitle here so it's accessible within the map function below
@@ -569,31 +1104,97 @@ async function getStreams(type, id) {
     
     // Ensure titleForSearch is not empty or just spaces
     if (!baseContentTitle || baseContentTitle.trim() === '') {
-        console.warn(`No valid title could be determined for ${imdbId}. Cannot search BitMagnet.`);
+        logger.warn(`No valid title could be determined for ${imdbId}. Cannot search BitMagnet.`);
         return { streams: [] };
     }
 
     let bitMagnetResults = [];
     const seenInfoHashes = new Set();
 
-    // Strategy 1: Broad Search Term (title + year in queryString, no year filter in facets)
-    // This often yields better results if BitMagnet's internal indexing isn't strict on year facets.
-    const broadQueryString = yearForSearch ? `${baseContentTitle} ${yearForSearch}` : baseContentTitle;
+    // Strategy 0: Exact content lookup by reference (tmdb:ID / imdb:ID).
+    // Only torrents BitMagnet has classified as this exact title are kept, so remakes and
+    // common titles don't mix. The text strategies below only run if this finds nothing.
+    const contentRefs = [];
+    if (bitMagnetContentRef) {
+        contentRefs.push(bitMagnetContentRef);
+    } else {
+        if (combinedMetadata && combinedMetadata.tmdbId) {
+            contentRefs.push({ source: 'tmdb', id: combinedMetadata.tmdbId });
+        }
+        contentRefs.push({ source: 'imdb', id: imdbId });
+    }
+    const contentRefLabel = contentRefs.map(ref => `${ref.source}:${ref.id}`).join(', ');
+    let matchedStrategy = null;
+
+    // Series episodes may be released as SxxEyy, absolute numbers (anime) or by air date (daily shows)
+    let episodeTarget = null;
+    const seriesTmdbId = bitMagnetContent
+        ? getContentExternalIds(bitMagnetContent).tmdbId
+        : (combinedMetadata && combinedMetadata.tmdbId) || null;
+    const tmdbSeasons = !bitMagnetContent && combinedMetadata && combinedMetadata.tmdbId ? combinedMetadata.seasons : null;
+    if (type === 'series' && season && episode) {
+        episodeTarget = await getEpisodeTarget(season, episode, seriesTmdbId, tmdbSeasons);
+        logger.info(`Episode target for ${id}: S${season}E${episode}, absolute ${episodeTarget.absoluteEpisode || 'unknown'}, aired ${episodeTarget.airDate || 'unknown'}.`);
+    }
+    if (diagnostics) {
+        diagnostics.request = { title: baseContentTitle, year: yearForSearch, contentRefs: contentRefs, episodeTarget: episodeTarget };
+    }
+
+    // Search results may span several BitMagnet pages (popular series often have the requested
+    // episode behind season packs of other seasons). Paging stops early once enough candidates
+    // are found: items containing the requested episode for series, any items for movies.
+    const searchPaging = {
+        maxPages: parseInt(config.BITMAGNET_MAX_PAGES, 10) || 1,
+        stopWhen: items => {
+            const candidates = episodeTarget
+                ? items.filter(item => matchesRequestedEpisode(parseTorrentEpisodeData(item.torrent.name, item.episodes), episodeTarget))
+                : items;
+            return candidates.length >= userConfig.maxStreams;
+        },
+        stats: { pages: 0 },
+    };
+
     try {
-        const broadResults = await searchBitMagnet({
-            queryString: broadQueryString,
+        const contentResults = await findContentTorrents({
+            contentRefs: contentRefs,
+            queryString: baseContentTitle,
             contentType: type === 'movie' ? 'movie' : 'tv_show',
-            releaseYear: null // Explicitly set to null to avoid filtering in BitMagnet's facets
+            ...searchPaging,
         });
-        console.log(`Broad search for "${broadQueryString}" (${yearForSearch || 'Unknown Year'}) found ${broadResults.length} results.`);
-        broadResults.forEach(item => {
+        logger.info(`Content lookup for ${contentRefLabel} ("${baseContentTitle}") found ${contentResults.length} results.`);
+        contentResults.forEach(item => {
             if (!seenInfoHashes.has(item.infoHash)) {
                 bitMagnetResults.push(item);
                 seenInfoHashes.add(item.infoHash);
             }
         });
+        if (bitMagnetResults.length > 0) matchedStrategy = 'content-ref';
     } catch (error) {
-        console.error(`Error in broad BitMagnet search for "${broadQueryString}":`, error.message);
+        logger.error(`Error in BitMagnet content lookup for ${contentRefLabel}:`, error.message);
+    }
+
+    // Strategy 1: Broad Search Term (title + year in queryString, no year filter in facets)
+    // This often yields better results if BitMagnet's internal indexing isn't strict on year facets.
+    const broadQueryString = yearForSearch ? `${baseContentTitle} ${yearForSearch}` : baseContentTitle;
+    if (bitMagnetResults.length === 0) {
+        try {
+            const broadResults = await searchBitMagnet({
+                queryString: broadQueryString,
+                contentType: type === 'movie' ? 'movie' : 'tv_show',
+                releaseYear: null, // Explicitly set to null to avoid filtering in BitMagnet's facets
+                ...searchPaging,
+            });
+            logger.info(`Broad search for "${broadQueryString}" (${yearForSearch || 'Unknown Year'}) found ${broadResults.length} results.`);
+            broadResults.forEach(item => {
+                if (!seenInfoHashes.has(item.infoHash)) {
+                    bitMagnetResults.push(item);
+                    seenInfoHashes.add(item.infoHash);
+                }
+            });
+            if (bitMagnetResults.length > 0) matchedStrategy = 'broad-text';
+        } catch (error) {
+            logger.error(`Error in broad BitMagnet search for "${broadQueryString}":`, error.message);
+        }
     }
 
     // Strategy 2: Fallback (only if no results from broad search)
@@ -610,43 +1211,137 @@ async function getStreams(type, id) {
                 queryString: baseContentTitle,
                 releaseYear: fallbackReleaseYear, // Apply conditional year filter based on type
                 contentType: type === 'movie' ? 'movie' : 'tv_show',
+                ...searchPaging,
             });
-            console.log(`Fallback search for "${baseContentTitle}" with year ${fallbackReleaseYear || 'None'} found ${fallbackResults.length} results.`);
+            logger.info(`Fallback search for "${baseContentTitle}" with year ${fallbackReleaseYear || 'None'} found ${fallbackResults.length} results.`);
             fallbackResults.forEach(item => {
                 if (!seenInfoHashes.has(item.infoHash)) {
                     bitMagnetResults.push(item);
                     seenInfoHashes.add(item.infoHash);
                 }
             });
+            if (bitMagnetResults.length > 0) matchedStrategy = 'fallback-text';
         } catch (error) {
-            console.error(`Error in fallback BitMagnet search for "${baseContentTitle}" (${fallbackReleaseYear || 'no year'}):`, error.message);
+            logger.error(`Error in fallback BitMagnet search for "${baseContentTitle}" (${fallbackReleaseYear || 'no year'}):`, error.message);
         }
     }
     
+    logger.info(`BitMagnet search for ${id} consumed ${searchPaging.stats.pages} page(s).`);
+    if (diagnostics) {
+        diagnostics.search = { strategy: matchedStrategy, pages: searchPaging.stats.pages, rawHits: bitMagnetResults.map(describeTorrent) };
+    }
+
     // Final check after all strategies
     if (bitMagnetResults.length === 0) {
-        console.log(`No BitMagnet results found for "${baseContentTitle}" (${yearForSearch || 'Unknown Year'}) after all strategies.`);
+        logger.info(`No BitMagnet results found for "${baseContentTitle}" (${yearForSearch || 'Unknown Year'}) after all strategies.`);
         return { streams: [] };
     }
+    logger.info(`BitMagnet results for ${id} matched via strategy "${matchedStrategy}" (${bitMagnetResults.length} torrents).`);
+
+    // Relevance verification: text search hits must match the requested title (incl. alternative titles)
+    // and year. Mismatches are dropped, partial title matches are demoted in the final sort.
+    // Content reference matches are exact by definition and skip this check.
+    const expectedTitles = getExpectedTitles(combinedMetadata);
+    if (matchedStrategy !== 'content-ref' && expectedTitles.length > 0) {
+        const rejections = new Map(); // Kind of reason (e.g. 'title mismatch') -> { count, example torrent name }
+        bitMagnetResults = bitMagnetResults.filter(torrentContent => {
+            const relevance = verifyTorrentRelevance(torrentContent, { titles: expectedTitles, year: yearForSearch, type });
+            torrentContent._relevance = relevance;
+            if (!relevance.accepted) {
+                logger.debug(`Rejected "${torrentContent.torrent.name}" for ${id}: ${relevance.reason}`);
+                recordDropped(diagnostics, 'relevance', [torrentContent], relevance.reason);
+                const kind = relevance.reason.split(' (')[0];
+                const rejection = rejections.get(kind) || { count: 0, example: torrentContent.torrent.name };
+                rejections.set(kind, { ...rejection, count: rejection.count + 1 });
+            }
+            return relevance.accepted;
+        });
+        const rejectionSummary = [...rejections].map(([kind, { count, example }]) => `${count} ${kind} (e.g. "${example}")`).join(', ');
+        logger.info(`${bitMagnetResults.length} torrents passed relevance verification for "${baseContentTitle}"${rejectionSummary ? `, rejected: ${rejectionSummary}` : ''}.`);
+        if (bitMagnetResults.length === 0) {
+            return { streams: [] };
+        }
+    } else {
+        bitMagnetResults.forEach(torrentContent => {
+            torrentContent._relevance = { accepted: true, tier: 0, similarity: 1, reason: 'content reference match' };
+        });
+    }
 
     // 1. Parse episode data for each torrent in the combined results
     bitMagnetResults.forEach(torrentContent => {
         if (type === 'series') {
             torrentContent._parsedEpisodeData = parseTorrentEpisodeData(torrentContent.torrent.name, torrentContent.episodes);
-            // console.log(`Parsed episode data for ${torrentContent.torrent.name}:`, torrentContent._parsedEpisodeData);
+            // logger.info(`Parsed episode data for ${torrentContent.torrent.name}:`, torrentContent._parsedEpisodeData);
         }
     });
 
-    // 2. Filter results based on MAX_TORRENT_SIZE_GB
-    let currentTorrents = bitMagnetResults; // Start with all results
-    const maxTorrentSizeGB = parseFloat(config.MAX_TORRENT_SIZE_GB);
+    const streamRequest = {
+        type, id, season, episode, episodeTarget, combinedMetadata, baseContentTitle, seriesTmdbId, tmdbSeasons, diagnostics,
+        fileListings: new Map(), // Torrent file listings, shared by all episodes ranked from this result set
+    };
+    const streams = await buildRankedStreams(bitMagnetResults, streamRequest, userConfig);
+
+    // Binge-watching: the series search usually covers the whole season, so rank the same
+    // result set for the other episodes in the background and cache them (see STREAM_PREFETCH)
+    // (not after a failed upstream call, or a search stopped early for this episode or by the page cap: the result set
+    // may be incomplete)
+    const canPrefetch = episodeTarget && streams.length > 0 && !diagnostics && ['season', 'next-season'].includes(config.STREAM_PREFETCH);
+    if (canPrefetch && searchPaging.stats.stoppedEarly) {
+        logger.info(`Not prefetching other episodes of ${imdbId}: the search stopped once S${season}E${episode} had enough candidates.`);
+    } else if (canPrefetch && searchPaging.stats.truncated) {
+        logger.info(`Not prefetching other episodes of ${imdbId}: the search reached the page cap (BITMAGNET_MAX_PAGES) with more results left.`);
+    } else if (canPrefetch && !hasUpstreamFailures()) {
+        prefetchSeasonStreams(bitMagnetResults, streamRequest, userConfig, imdbId).catch(error => {
+            logger.error(`Error prefetching season streams for ${id}:`, error.message);
+        });
+    }
+
+    return { streams };
+}
+
+/**
+ * Filters, ranks and formats BitMagnet results into Stremio streams for one request.
+ * The results are not modified, so one result set can be ranked for several episodes.
+ * @param {Array<object>} results - Relevance-verified torrent content items (with _relevance and, for series, _parsedEpisodeData).
+ * @param {object} request - The request: type, id, season, episode, episodeTarget, combinedMetadata, baseContentTitle,
+ *                           fileListings (Map of info hash to files, filled as needed) and diagnostics (or null).
+ * @param {object} userConfig - Decoded per-install configuration (see utils/userConfig.js).
+ * @returns {Promise<Array<object>>} The Stremio streams.
+ */
+async function buildRankedStreams(results, request, userConfig) {
+    const { type, id, season, episode, episodeTarget, combinedMetadata, baseContentTitle, fileListings, diagnostics } = request;
+
+    // Dynamically import parse-torrent here to avoid ERR_PACKAGE_PATH_NOT_EXPORTED
+    // parseTorrent is a default export, so we access it via .default
+    const parseTorrent = (await import('parse-torrent')).default;
+
+    // 2. Filter results based on the configured max torrent size
+    // (shallow copies, so per-episode fields like _episodeFile don't leak between rankings)
+    let currentTorrents = results.map(torrentContent => ({ ...torrentContent }));
+    const maxTorrentSizeGB = userConfig.maxTorrentSizeGB;
     if (!isNaN(maxTorrentSizeGB) && maxTorrentSizeGB > 0) {
         currentTorrents = currentTorrents.filter(torrentContent => {
             const sizeGB = torrentContent.torrent.size / (1024 * 1024 * 1024);
-            return sizeGB <= maxTorrentSizeGB;
+            if (sizeGB > maxTorrentSizeGB) {
+                recordDropped(diagnostics, 'size', [torrentContent], `${sizeGB.toFixed(1)} GB is over the ${maxTorrentSizeGB} GB limit`);
+                return false;
+            }
+            return true;
         });
-        console.log(`Filtered to ${currentTorrents.length} torrents after applying size limit (${maxTorrentSizeGB} GB).`);
+        logger.info(`Filtered to ${currentTorrents.length} torrents after applying size limit (${maxTorrentSizeGB} GB).`);
+    }
+
+    // 2b. Apply the user's exclusion rules (see utils/filterRules.js)
+    const { rules: filterRules } = parseFilterRules(userConfig.filterRules);
+    const filterOutcome = applyFilterRules(currentTorrents, filterRules);
+    filterOutcome.dropped.forEach(({ torrentContent, reason }) => recordDropped(diagnostics, 'rules', [torrentContent], reason));
+    if (diagnostics) {
+        diagnostics.filterRules = filterRules.map(rule => ({
+            rule: rule.text,
+            dropped: filterOutcome.dropped.filter(entry => entry.rule === rule.text).length,
+        }));
     }
+    currentTorrents = filterOutcome.kept;
 
     // 3. Sort by seeders DESC (Primary sort based on current list)
     currentTorrents.sort((a, b) => {
@@ -654,7 +1349,7 @@ async function getStreams(type, id) {
         const seedersB = b.seeders || 0;
         return seedersB - seedersA; // Sort by seeders first (most to least)
     });
-    console.log(`Sorted by seeders. First few:`, currentTorrents.slice(0, 5).map(t => ({ name: t.torrent.name, seeders: t.seeders })));
+    logger.debug(`Sorted by seeders. First few:`, currentTorrents.slice(0, 5).map(t => ({ name: t.torrent.name, seeders: t.seeders })));
 
 
     // 4. Conditional Quality Filtering (applied to the seeders-sorted list)
@@ -667,96 +1362,155 @@ async function getStreams(type, id) {
     }
 
     if (hasHighQualityTorrents) {
+        recordDropped(diagnostics, 'low-quality', currentTorrents.filter(isLowQualityTorrent), 'low resolution or CAM/TS/TC/screener source');
         currentTorrents = currentTorrents.filter(torrentContent => !isLowQualityTorrent(torrentContent));
-        console.log(`Removed low-quality torrents after seeders sort. Remaining: ${currentTorrents.length}`);
+        logger.info(`Removed low-quality torrents after seeders sort. Remaining: ${currentTorrents.length}`);
     } else {
-        console.log('No high-quality torrents found after seeders sort, including all qualities.');
+        logger.info('No high-quality torrents found after seeders sort, including all qualities.');
     }
 
 
     // 5. Apply episode filtering (for series) to the conditionally quality-filtered list
     let relevantTorrents = currentTorrents;
-    if (type === 'series' && season && episode) {
+    if (episodeTarget) {
         relevantTorrents = relevantTorrents.filter(torrentContent => {
-            const parsedDataArray = torrentContent._parsedEpisodeData;
-            if (!parsedDataArray || parsedDataArray.length === 0) {
-                return false; // No episode data parsed for this torrent
+            if (matchesRequestedEpisode(torrentContent._parsedEpisodeData, episodeTarget)) {
+                return true;
             }
-
-            // Check if any of the parsed season/episode patterns match the requested season and episode
-            return parsedDataArray.some(parsed => {
-                if (parsed.season === null) {
-                    return false; // Cannot filter by season if season is unknown for this entry
-                }
-
-                if (parsed.season === season) {
-                    // If it's a season pack (episodes array is empty for this parsed entry)
-                    // AND the requested episode is not null (i.e., we are looking for a specific episode within this season)
-                    if (parsed.episodes.length === 0 && episode !== null) {
-                        return true; // This season pack is relevant for any episode in that season
-                    }
-                    // If specific episodes are listed, check if the requested episode is in that list
-                    // And ensure episode is not null (i.e., we are looking for a specific episode)
-                    if (parsed.episodes.includes(episode) && episode !== null) {
-                        return true;
-                    }
-                }
-                return false; // Season does not match for this specific parsed entry
-            });
+            recordDropped(diagnostics, 'episode', [torrentContent], `no match for S${season}E${episode} in ${JSON.stringify(torrentContent._parsedEpisodeData)}`);
+            return false;
         });
-        console.log(`Filtered to ${relevantTorrents.length} relevant torrents for S${season}E${episode}`);
+        logger.info(`Filtered to ${relevantTorrents.length} relevant torrents for S${season}E${episode}`);
     }
 
-    if (relevantTorrents.length === 0) {
-        return { streams: [] };
+    // 5a. Drop near-identical releases (re-uploads, punctuation variants), keeping the best-seeded one
+    const { kept: uniqueTorrents, duplicates } = dedupeReleases(relevantTorrents);
+    duplicates.forEach(({ torrentContent, keptTorrent }) => {
+        logger.debug(`Dropped duplicate "${torrentContent.torrent.name}" (${torrentContent.seeders} seeders) of "${keptTorrent.torrent.name}" (${keptTorrent.seeders} seeders).`);
+        recordDropped(diagnostics, 'duplicate', [torrentContent], `duplicate of ${keptTorrent.infoHash} "${keptTorrent.torrent.name}" (${keptTorrent.seeders} seeders)`);
+    });
+    if (duplicates.length > 0) {
+        logger.info(`Removed ${duplicates.length} duplicate releases. Remaining: ${uniqueTorrents.length}`);
     }
+    relevantTorrents = uniqueTorrents;
 
-    // Get preferred language from config (environment variable)
-    const preferredLanguage = (process.env.PREFERRED_LANGUAGE || '').toLowerCase(); // Ensure it's lowercase for comparison
-
-    // 6. Sort by Preferred Language (Pass 2)
-    // Torrents with preferred language come first, then others.
-    if (preferredLanguage) {
-        relevantTorrents.sort((a, b) => {
-            const aHasPreferredLanguage = hasPreferredLanguage(a, preferredLanguage);
-            const bHasPreferredLanguage = hasPreferredLanguage(b, preferredLanguage);
+    if (relevantTorrents.length === 0) {
+        return [];
+    }
 
-            if (aHasPreferredLanguage && !bHasPreferredLanguage) {
-                return -1; // A comes before B
-            } else if (!aHasPreferredLanguage && bHasPreferredLanguage) {
-                return 1; // B comes before A
+    // 5b. Pick the episode file inside multi-file torrents (season packs) so Stremio plays the right file.
+    // Packs whose file listing is known but has no file for the episode are demoted in the final sort.
+    if (episodeTarget) {
+        const packs = relevantTorrents
+            .filter(torrentContent => torrentContent.torrent.filesStatus === 'multi' || torrentContent.torrent.filesCount > 1)
+            .slice(0, FILE_LOOKUP_MAX_TORRENTS);
+        const missingInfoHashes = packs
+            .map(torrentContent => String(torrentContent.infoHash).toLowerCase())
+            .filter(infoHash => !fileListings.has(infoHash));
+        if (missingInfoHashes.length > 0) {
+            const filesByInfoHash = await getTorrentFiles(missingInfoHashes);
+            missingInfoHashes.forEach(infoHash => fileListings.set(infoHash, filesByInfoHash.get(infoHash) || null));
+        }
+        packs.forEach(torrentContent => {
+            const files = fileListings.get(String(torrentContent.infoHash).toLowerCase());
+            if (!files || files.length === 0) {
+                return; // BitMagnet has no file listing for this torrent; leave it to Stremio
+            }
+            torrentContent._episodeFile = selectEpisodeFile(files, episodeTarget);
+            if (!torrentContent._episodeFile) {
+                logger.debug(`No file for S${season}E${episode} in "${torrentContent.torrent.name}" (${files.length} files), demoting.`);
             }
-            return 0; // Maintain original order (from seeders sort) if both/neither have preferred language
         });
-        console.log(`Sorted by preferred language (${preferredLanguage}). First few:`, relevantTorrents.slice(0, 5).map(t => ({ name: t.torrent.name, hasPrefLang: hasPreferredLanguage(t, preferredLanguage), seeders: t.seeders })));
+        logger.info(`Resolved episode files for ${packs.filter(t => t._episodeFile).length}/${packs.length} multi-file torrents.`);
+    }
+
+    // 6. Match the preferred languages (in order of preference, see utils/languages.js)
+    const languagePreferences = parseLanguagePreferences(userConfig.preferredLanguage);
+    relevantTorrents.forEach(torrentContent => {
+        torrentContent._languageMatch = matchLanguagePreference(torrentContent, languagePreferences);
+    });
+    if (languagePreferences.length > 0) {
+        logger.debug(`Matched preferred languages (${languagePreferences.join(', ')}). First few:`, relevantTorrents.slice(0, 5).map(t => ({ name: t.torrent.name, language: t._languageMatch, seeders: t.seeders })));
     }
 
 
     // 7. Re-Sort by Quality Score (Pass 3 - final sort)
-    // This re-sorts the list (which is already sorted by seeders and then by preferred language)
-    // to finally prioritize quality.
+    // This re-sorts the list (which is already sorted by seeders) to prioritize the best language match,
+    // then quality, as weighted by the user's scoring profile.
+    // Partial title matches (relevance tier 1) always come after full matches,
+    // and season packs without a file for the episode come after everything else in their tier.
+    const noLanguageMatchRank = 2 * languagePreferences.length; // After audio and subtitle matches
+    const getLanguageRank = torrentContent => (torrentContent._languageMatch ? torrentContent._languageMatch.rank : noLanguageMatchRank);
+    const scoringProfile = getScoringProfile(userConfig.scoringProfile);
+    relevantTorrents.forEach(torrentContent => {
+        torrentContent._qualityScore = calculateQualityScore(torrentContent, scoringProfile);
+    });
     relevantTorrents.sort((a, b) => {
-        const scoreA = calculateQualityScore(a);
-        const scoreB = calculateQualityScore(b);
-        return scoreB - scoreA; // Sort by quality score (highest to lowest)
+        const tierDiff = a._relevance.tier - b._relevance.tier;
+        if (tierDiff !== 0) {
+            return tierDiff;
+        }
+        const missingFileDiff = (a._episodeFile === null) - (b._episodeFile === null);
+        if (missingFileDiff !== 0) {
+            return missingFileDiff;
+        }
+        const languageDiff = getLanguageRank(a) - getLanguageRank(b);
+        if (languageDiff !== 0) {
+            return languageDiff;
+        }
+        return b._qualityScore - a._qualityScore; // Sort by quality score (highest to lowest)
     });
-    console.log(`Final list re-sorted by quality. First few:`, relevantTorrents.slice(0, 5).map(t => ({ name: t.torrent.name, score: calculateQualityScore(t), seeders: t.seeders })));
+    logger.debug(`Final list re-sorted by language and quality (profile: ${userConfig.scoringProfile}). First few:`, relevantTorrents.slice(0, 5).map(t => ({ name: t.torrent.name, relevance: t._relevance.tier, language: t._languageMatch && t._languageMatch.language, score: t._qualityScore, seeders: t.seeders })));
 
 
-    // 8. Limit results to a configurable number
-    const maxStreams = parseInt(config.MAX_STREAMS_PER_ITEM, 10) || 10; // Default to 10 if not set or invalid
-    const topTorrents = relevantTorrents.slice(0, maxStreams);
+    // 8. Limit results to a configurable number, swapping in a 4K, 1080p and small encode if the top lacks one
+    // (only for torrents that tie on relevance, episode file and language, see utils/releaseClusters.js)
+    const maxStreams = userConfig.maxStreams;
+    const { selected: topTorrents, promoted } = selectDiverseTop(relevantTorrents, maxStreams, {
+        isEpisode: Boolean(episodeTarget),
+        rankKey: torrentContent => `${torrentContent._relevance.tier}|${torrentContent._episodeFile === null}|${getLanguageRank(torrentContent)}`,
+    });
+    promoted.forEach((tierName, torrentContent) => {
+        logger.debug(`Promoted "${torrentContent.torrent.name}" into the top ${maxStreams} as the best ${tierName} release.`);
+    });
+    if (diagnostics) {
+        recordDropped(diagnostics, 'limit', relevantTorrents.filter(torrentContent => !topTorrents.includes(torrentContent)), `ranked below the top ${maxStreams}`);
+        diagnostics.ranked = relevantTorrents.map(torrentContent => ({
+            ...describeTorrent(torrentContent),
+            relevanceTier: torrentContent._relevance.tier,
+            relevanceReason: torrentContent._relevance.reason,
+            languageMatch: torrentContent._languageMatch, // null: none of the preferred languages
+            qualityScore: torrentContent._qualityScore,
+            diversityTiers: getDiversityTiers(torrentContent, Boolean(episodeTarget)),
+            promotedForTier: promoted.get(torrentContent), // Set if swapped into the top to cover a missing tier
+            episodeFile: torrentContent._episodeFile, // null: pack without the episode, undefined: not looked up
+        }));
+    }
+
+    // 8a. Look up the subtitle files of the top multi-file torrents, shown by the {subs} template field
+    // (for season packs only those of the episode file, see utils/subtitles.js)
+    const multiFileTorrents = topTorrents.filter(torrentContent =>
+        (torrentContent.torrent.filesStatus === 'multi' || torrentContent.torrent.filesCount > 1) && torrentContent._episodeFile !== null);
+    const unlistedInfoHashes = multiFileTorrents
+        .map(torrentContent => String(torrentContent.infoHash).toLowerCase())
+        .filter(infoHash => !fileListings.has(infoHash));
+    if (unlistedInfoHashes.length > 0) {
+        const filesByInfoHash = await getTorrentFiles(unlistedInfoHashes);
+        unlistedInfoHashes.forEach(infoHash => fileListings.set(infoHash, filesByInfoHash.get(infoHash) || null));
+    }
+    multiFileTorrents.forEach(torrentContent => {
+        const files = fileListings.get(String(torrentContent.infoHash).toLowerCase());
+        if (files && files.length > 0) {
+            torrentContent._subtitleFiles = selectVideoSubtitles(files, torrentContent._episodeFile || null);
+        }
+    });
 
     // Get the dynamically fetched best public trackers
     const publicTrackers = await getTrackers();
 
+    const streamTemplates = getStreamTemplates(userConfig);
     const streams = topTorrents.map(torrentContent => {
-        // Construct the Stremio 'name' field: "Bitmagnet{Emoji}-{Resolution}"
-        const resolution = torrentContent.videoResolution ? torrentContent.videoResolution.replace('V', '') : 'Unknown';
-        const streamName = `BitMagnet 🧲-${resolution}`; // Moved resolution here
-
-        // Construct the Stremio 'title' field, now as a single line with other metadata
-        let titleParts = [];
+        // Construct the display title: "Title (Year)" for movies, "S01E02 Title" for episodes
         let mainTitle = '';
 
         if (type === 'movie' && (combinedMetadata && (combinedMetadata.year || combinedMetadata.release_date || combinedMetadata.Year))) {
@@ -769,89 +1523,11 @@ async function getStreams(type, id) {
         } else {
             mainTitle = baseContentTitle;
         }
-        titleParts.push(mainTitle);
 
-        // Add Size
-        const sizeGB = (torrentContent.torrent.size / (1024 * 1024 * 1024));
-        let sizeInfo;
-        if (sizeGB >= 1) {
-            sizeInfo = `💾 ${sizeGB.toFixed(1)}G`;
-        } else {
-            sizeInfo = `💾 ${(sizeGB * 1024).toFixed(0)}M`;
-        }
-        titleParts.push(sizeInfo);
-
-        // Add Seeders
-        if (torrentContent.seeders !== undefined) {
-            titleParts.push(`👤 ${torrentContent.seeders}`);
-        }
-
-        // Removed Resolution from here as it's now in stream.name
-
-        // Add Codec
-        if (torrentContent.videoCodec) {
-            titleParts.push(`🎬 ${torrentContent.videoCodec}`);
-        }
-
-        // Add Source/Modifier
-        if (torrentContent.videoModifier) {
-            titleParts.push(`💿 ${torrentContent.videoModifier}`);
-        } else if (torrentContent.videoSource) {
-            titleParts.push(`💿 ${torrentContent.videoSource}`);
-        } else {
-            const torrentNameLower = torrentContent.torrent.name.toLowerCase();
-            if (torrentNameLower.includes('web-dl') || torrentNameLower.includes('webdl')) titleParts.push(`💿 WEB-DL`);
-            else if (torrentNameLower.includes('bluray')) titleParts.push(`💿 BluRay`);
-            else if (torrentNameLower.includes('hdrip')) titleParts.push(`💿 HDRip`);
-            else if (torrentNameLower.includes('dvdrip')) titleParts.push(`💿 DVDRip`);
-            else if (torrentNameLower.includes('hdtv')) titleParts.push(`💿 HDTV`);
-            else if (torrentNameLower.includes('ts')) titleParts.push(`💿 TS`);
-            else if (torrentNameLower.includes('cam')) titleParts.push(`💿 CAM`);
-        }
-
-        // Add 10bit
-        if ((torrentContent.torrent.tagNames && torrentContent.torrent.tagNames.some(tag => tag.toLowerCase().includes('10bit'))) || torrentContent.torrent.name.toLowerCase().includes('10bit')) {
-            titleParts.push(`⭐ 10bit`);
-        }
-
-        // Add Audio
-        let audioQuality = '';
-        const torrentNameLower = torrentContent.torrent.name.toLowerCase();
-        if (torrentNameLower.includes('atmos')) audioQuality = 'Atmos';
-        else if (torrentNameLower.includes('dts-hd')) audioQuality = 'DTS-HD';
-        else if (torrentNameLower.includes('truehd')) audioQuality = 'TrueHD';
-        else if (torrentNameLower.includes('dts')) audioQuality = 'DTS';
-        else if (torrentNameLower.includes('eac3') || torrentNameLower.includes('ddp')) audioQuality = 'EAC3';
-        else if (torrentNameLower.includes('ac3')) audioQuality = 'AC3';
-        else if (torrentNameLower.includes('aac')) audioQuality = 'AAC';
-        else if (torrentNameLower.includes('5.1')) audioQuality = '5.1';
-        else if (torrentNameLower.includes('2.0') || torrentNameLower.includes('stereo')) audioQuality = '2.0';
-        if (audioQuality) {
-            titleParts.push(`🔊 ${audioQuality}`);
-        }
-
-        // Add Language
-        if (torrentContent.languages && torrentContent.languages.length > 0) {
-            const languageCodes = torrentContent.languages.map(lang => {
-                switch(lang.name.toLowerCase()) {
-                    case 'english': return 'ENG'; case 'tamil': return 'TAM'; case 'hindi': return 'HIN';
-                    case 'telugu': return 'TEL'; case 'malayalam': return 'MAL'; case 'kannada': return 'KAN';
-                    case 'french': return 'FRE'; case 'spanish': return 'SPA'; case 'german': return 'GER';
-                    case 'japanese': return 'JPN'; case 'korean': return 'KOR'; case 'mandarin': return 'MAN';
-                    case 'cantonese': return 'CAN'; case 'arabic': return 'ARA'; case 'russian': return 'RUS';
-                    case 'portuguese': return 'POR'; case 'italian': return 'ITA'; case 'dutch': return 'DUT';
-                    case 'swedish': return 'SWE'; case 'norwegian': return 'NOR'; case 'danish': return 'DAN';
-                    case 'finnish': return 'FIN'; case 'polish': return 'POL'; case 'turkish': return 'TUR';
-                    case 'thai': return 'THI'; case 'vietnamese': return 'VIE'; case 'indonesian': return 'IND';
-                    case 'hebrew': return 'HEB'; case 'greek': return 'GRE'; case 'czech': return 'CZE';
-                    case 'hungarian': return 'HUN';
-                    default: return lang.name.toUpperCase().substring(0, 3);
-                }
-            });
-            titleParts.push(`🗣️ ${languageCodes.join('|')}`);
-        }
-        
-        let streamTitle = titleParts.filter(Boolean).join(' | '); // Join all parts on a single line
+        // Construct the Stremio 'name' and 'title' fields from the user's templates (see utils/streamTemplates.js)
+        const templateFields = getStreamFields(torrentContent, { title: mainTitle, emoji: streamTemplates.emoji });
+        const streamName = renderTemplate(streamTemplates.name, templateFields);
+        const streamTitle = renderTemplate(streamTemplates.title, templateFields);
 
         let parsedMagnet;
         const bitmagnetInfoHash = torrentContent.infoHash;
@@ -864,10 +1540,10 @@ async function getStreams(type, id) {
             if (parsedMagnet && Array.isArray(parsedMagnet.announce)) {
                 announceTrackers = parsedMagnet.announce;
             } else {
-                console.warn(`parse-torrent could not extract announce URLs from magnet URI for ${torrentContent.infoHash}. (This is often normal for some magnet links.)`);
+                logger.debug(`parse-torrent could not extract announce URLs from magnet URI for ${torrentContent.infoHash}. (This is often normal for some magnet links.)`);
             }
         } catch (e) {
-            console.error(`Error parsing magnet URI for ${torrentContent.infoHash}:`, e.message);
+            logger.error(`Error parsing magnet URI for ${torrentContent.infoHash}:`, e.message);
         }
 
         const allTrackers = new Set([
@@ -878,12 +1554,12 @@ async function getStreams(type, id) {
         if (dhtInfoHash) {
             allTrackers.add(`dht:${dhtInfoHash}`);
         } else {
-            console.warn(`Missing infoHash for torrentContent ID: ${torrentContent.id}. DHT source will be omitted.`);
+            logger.warn(`Missing infoHash for torrentContent ID: ${torrentContent.id}. DHT source will be omitted.`);
         }
 
         const sources = Array.from(allTrackers);
 
-        return {
+        const stream = {
             infoHash: torrentContent.infoHash,
             name: streamName,
             title: streamTitle, // Now includes all detailed info
@@ -893,12 +1569,83 @@ async function getStreams(type, id) {
             sources: sources,
             behaviorHints: {
                 bittorrent: true,
-            }
+            },
+            _templateFields: templateFields, // For the debrid stream names, removed before the response (see getStreams)
         };
+
+        // Point Stremio at the episode file inside season packs
+        if (torrentContent._episodeFile) {
+            stream.fileIdx = torrentContent._episodeFile.index;
+            stream.behaviorHints.filename = torrentContent._episodeFile.path.split('/').pop();
+        }
+
+        return stream;
     });
 
-    bitMagnetCache.set(cacheKey, streams);
-    return { streams };
+    return streams;
+}
+
+/**
+ * Returns the episode numbers of a season: from TMDB if available, otherwise from the parsed results.
+ * @param {number} season - The season number.
+ * @param {string|null} tmdbId - The TMDB ID of the series, if known.
+ * @param {Array<object>} results - Torrent content items with _parsedEpisodeData.
+ * @returns {Promise<Array<number>>} The episode numbers, ascending.
+ */
+async function getSeasonEpisodeNumbers(season, tmdbId, results) {
+    const tmdbSeason = tmdbId ? await getTmdbSeason(tmdbId, season) : null;
+    if (tmdbSeason && Array.isArray(tmdbSeason.episodes) && tmdbSeason.episodes.length > 0) {
+        return tmdbSeason.episodes.map(e => e.episode_number).sort((a, b) => a - b);
+    }
+
+    const episodes = new Set();
+    results.forEach(torrentContent => {
+        (torrentContent._parsedEpisodeData || [])
+            .filter(parsed => parsed.season === season)
+            .forEach(parsed => parsed.episodes.forEach(e => episodes.add(e)));
+    });
+    return Array.from(episodes).sort((a, b) => a - b);
+}
+
+/**
+ * Ranks one result set for the other episodes of the requested season (and the next season
+ * when STREAM_PREFETCH is 'next-season') and caches the streams, so the next episode is instant.
+ * Episodes with fresh cached streams or an in-flight search are skipped.
+ * @param {Array<object>} results - The relevance-verified results of the requested episode's search.
+ * @param {object} request - The requested episode's request (see buildRankedStreams).
+ * @param {object} userConfig - Decoded per-install configuration.
+ * @param {string} baseId - The series ID without season/episode (e.g. 'tt0944947' or 'bm:tmdb:1399').
+ * @returns {Promise<void>}
+ */
+async function prefetchSeasonStreams(results, request, userConfig, baseId) {
+    const seasons = config.STREAM_PREFETCH === 'next-season' ? [request.season, request.season + 1] : [request.season];
+    let prefetchedCount = 0;
+
+    for (const season of seasons) {
+        const episodes = (await getSeasonEpisodeNumbers(season, request.seriesTmdbId, results)).slice(0, PREFETCH_MAX_EPISODES);
+        for (const episode of episodes) {
+            if (season === request.season && episode === request.episode) {
+                continue;
+            }
+            const id = `${baseId}:${season}:${episode}`;
+            const cacheKey = getStreamCacheKey(request.type, id, userConfig);
+            const cachedEntry = await bitMagnetCache.get(cacheKey);
+            if (inFlightStreams.has(cacheKey) || (cachedEntry && isStreamCacheEntryFresh(cachedEntry))) {
+                continue;
+            }
+
+            const { value: streams, failures } = await collectUpstreamFailures(async () => {
+                const episodeTarget = await getEpisodeTarget(season, episode, request.seriesTmdbId, request.tmdbSeasons);
+                return buildRankedStreams(results, { ...request, id, season, episode, episodeTarget }, userConfig);
+            });
+            if (streams.length > 0 && failures.length === 0) {
+                await bitMagnetCache.set(cacheKey, { streams, refreshedAt: Date.now() });
+                prefetchedCount++;
+            }
+        }
+    }
+
+    logger.info(`Prefetched streams for ${prefetchedCount} episode(s) of ${baseId} (season ${seasons.join(' and ')}).`);
 }
 
 module.exports = {
@@ -906,4 +1653,6 @@ module.exports = {
     getCatalog,
     getMeta,
     getStreams,
+    getSubtitles,
+    getStreamDiagnostics,
 };
@@ -9,4 +9,40 @@ module.exports = {
 
     MAX_STREAMS_PER_ITEM: process.env.MAX_STREAMS_PER_ITEM || '10', // Max number of streams to return per item, configurable
     MAX_TORRENT_SIZE_GB: process.env.MAX_TORRENT_SIZE_GB || '50', // Max torrent size in GB, configurable (default 50 GB)
+    BITMAGNET_MAX_PAGES: process.env.BITMAGNET_MAX_PAGES || '3', // Max BitMagnet search pages (50 torrents each) fetched per stream request
+    SCORING_PROFILE: process.env.SCORING_PROFILE || 'max-quality', // Default quality scoring profile (see scoringProfiles.json)
+    SCORING_PROFILES_FILE: process.env.SCORING_PROFILES_FILE || '', // Optional JSON file with additional/overriding scoring profiles
+    PREFERRED_LANGUAGE: process.env.PREFERRED_LANGUAGE || '', // Preferred audio languages, most preferred first (e.g., 'hindi,english'), empty to disable
+    DEDUP_SIZE_TOLERANCE_PERCENT: process.env.DEDUP_SIZE_TOLERANCE_PERCENT || '1', // Releases with the same normalized name and group within this size difference are duplicates
+    STREAM_DIVERSITY: process.env.STREAM_DIVERSITY || 'true', // 'false' disables swapping a 4K, 1080p and small encode into the top streams
+    STREAM_TEMPLATE: process.env.STREAM_TEMPLATE || 'default', // Default stream name/title template: 'default', 'multi-line', 'no-emoji' or 'custom'
+    STREAM_NAME_TEMPLATE: process.env.STREAM_NAME_TEMPLATE || '', // Name template used by 'custom' (see utils/streamTemplates.js)
+    STREAM_TITLE_TEMPLATE: process.env.STREAM_TITLE_TEMPLATE || '', // Title template used by 'custom'; \n starts a new line
+    FILTER_RULES: process.env.FILTER_RULES || '', // Default exclusion rules, e.g. 'exclude codec:HEVC; require resolution:1080p+' (see utils/filterRules.js)
+
+    CACHE_BACKEND: process.env.CACHE_BACKEND || 'memory', // Cache backend: 'memory', 'sqlite' or 'redis' (see utils/cache.js)
+    CACHE_SQLITE_PATH: process.env.CACHE_SQLITE_PATH || './cache.sqlite', // SQLite cache file, used when CACHE_BACKEND is 'sqlite'
+    CACHE_REDIS_URL: process.env.CACHE_REDIS_URL || 'redis://localhost:6379', // Redis URL, used when CACHE_BACKEND is 'redis'
+    CACHE_KEY_PREFIX: process.env.CACHE_KEY_PREFIX || 'bitmagnet-addon:', // Prefix for all cache keys (lets several addons share one Redis)
+    CACHE_TTLS: process.env.CACHE_TTLS || '', // Per-namespace TTL overrides in seconds, e.g. 'streams=300,tmdb=43200'
+    STREAM_CACHE_FRESH_SECONDS: process.env.STREAM_CACHE_FRESH_SECONDS || '900', // Cached streams older than this are served stale and refreshed in the background
+    STREAM_PREFETCH: process.env.STREAM_PREFETCH || 'season', // Prefetch streams of other episodes: 'off', 'season' or 'next-season'
+    ADDON_URL: process.env.ADDON_URL || '', // Public base URL of the addon (e.g. 'https://addon.example.com'), used for debrid links; defaults to the request's host
+    DEBRID_ALLOW_MOCK: process.env.DEBRID_ALLOW_MOCK || 'false', // 'true' offers the mock debrid provider (for testing without a debrid account)
+    DOWNLOAD_CLIENT: process.env.DOWNLOAD_CLIENT || '', // Download client for "Send to" links: 'qbittorrent' or 'transmission', empty to disable
+    DOWNLOAD_CLIENT_URL: process.env.DOWNLOAD_CLIENT_URL || '', // qBittorrent Web UI URL (e.g. 'http://qbittorrent:8080') or Transmission RPC URL (e.g. 'http://transmission:9091/transmission/rpc')
+    DOWNLOAD_CLIENT_USERNAME: process.env.DOWNLOAD_CLIENT_USERNAME || '', // Download client username, empty if authentication is disabled
+    DOWNLOAD_CLIENT_PASSWORD: process.env.DOWNLOAD_CLIENT_PASSWORD || '', // Download client password
+    DOWNLOAD_LINK_SECRET: process.env.DOWNLOAD_LINK_SECRET || '', // Key that signs download links (e.g. 'openssl rand -hex 32'), empty for a random key per process
+    DOWNLOAD_CATEGORY_MOVIE: process.env.DOWNLOAD_CATEGORY_MOVIE || 'movies', // qBittorrent category / Transmission label for movies
+    DOWNLOAD_CATEGORY_SERIES: process.env.DOWNLOAD_CATEGORY_SERIES || 'tv', // qBittorrent category / Transmission label for series
+    SUBTITLE_FETCH_URL: process.env.SUBTITLE_FETCH_URL || '', // Torrent streaming server URL for subtitle files, e.g. 'http://127.0.0.1:11470/{infoHash}/{fileIdx}', empty to disable the subtitles resource
+    HTTP_RETRIES: process.env.HTTP_RETRIES || '2', // Retries of idempotent upstream calls after network errors, 429 and 5xx
+    HTTP_RETRY_BASE_DELAY_MS: process.env.HTTP_RETRY_BASE_DELAY_MS || '500', // Base of the jittered exponential retry backoff
+    HTTP_RETRY_MAX_DELAY_MS: process.env.HTTP_RETRY_MAX_DELAY_MS || '10000', // Give up instead of retrying when Retry-After asks for longer
+    HTTP_MAX_CONCURRENCY_PER_HOST: process.env.HTTP_MAX_CONCURRENCY_PER_HOST || '6', // Concurrent calls per upstream host, further calls wait
+    HTTP_CIRCUIT_FAILURE_THRESHOLD: process.env.HTTP_CIRCUIT_FAILURE_THRESHOLD || '5', // Consecutive failures that open a host's circuit
+    HTTP_CIRCUIT_RESET_SECONDS: process.env.HTTP_CIRCUIT_RESET_SECONDS || '30', // How long an open circuit fails calls before a trial call
+    LOG_LEVEL: process.env.LOG_LEVEL || 'info', // Minimum log level: 'debug', 'info', 'warn' or 'error'
+    LOG_FORMAT: process.env.LOG_FORMAT || 'text', // Log output: 'text' (human-readable lines) or 'json' (one JSON object per line)
 };
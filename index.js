@@ -4,79 +4,287 @@
 
 const express = require('express');
 const cors = require('cors');
-const { getManifest, getCatalog, getMeta, getStreams } = require('./addon');
+const querystring = require('querystring');
+const config = require('./config');
+const { getManifest, getCatalog, getMeta, getStreams, getSubtitles, getStreamDiagnostics } = require('./addon');
 const { getTrackers } = require('./utils/trackerFetcher'); // Import getTrackers
+const { decodeUserConfig } = require('./utils/userConfig');
+const { renderConfigurePage } = require('./utils/configurePage');
+const { STREAM_TEMPLATE_PRESETS, STREAM_FIELDS } = require('./utils/streamTemplates');
+const { loadScoringProfiles } = require('./utils/scoring');
+const { getHealth, getReadiness } = require('./utils/health');
+const { metricsMiddleware, recordZeroStreamResponse, renderMetrics } = require('./utils/metrics');
+const { logger, requestIdMiddleware } = require('./utils/logger');
+const { resolveDebridLink, getDebridProviders } = require('./utils/debrid');
+const { getDownloadClient, verifyDownloadSignature, sendToDownloadClient } = require('./utils/downloadClient');
+const { getTorrentContentByInfoHash, getTorrentFiles } = require('./utils/bitmagnet');
+const { isSubtitleFetchEnabled, isSubtitleFile, getSubtitleContentType, fetchSubtitleFile } = require('./utils/subtitles');
+const { renderDownloadPage } = require('./utils/downloadPage');
 
 const app = express();
 
 // Enable CORS for all routes. Stremio requires this for addon communication.
 app.use(cors());
 
+// Give every request an ID (X-Request-Id) that is attached to everything logged while handling it.
+app.use(requestIdMiddleware);
+
+// Record the duration of every request by route (exposed on /metrics).
+app.use(metricsMiddleware);
+
 // Define the port for the addon server.
 const PORT = process.env.PORT || 7000; // Default to 7000 if PORT is not set in environment
 
-// Async function to initialize resources before starting the server
-async function startServer() {
-    console.log('Pre-loading public trackers...');
-    // Attempt to fetch and cache trackers at application startup.
-    // We don't await this directly to prevent blocking server startup
-    // if the external tracker list fetch is slow or fails.
-    // getTrackers() handles its own caching and fallback.
-    getTrackers()
-        .then(() => console.log('Initial public trackers fetch completed.'))
-        .catch(error => console.error('Initial public trackers fetch failed (server starting anyway):', error.message));
+/**
+ * Parses Stremio's extra arguments from the last path segment (e.g. 'genre=Sci-Fi%20%26%20Fantasy&skip=50.json').
+ * The raw (still URL-encoded) segment is used, since values may themselves contain an encoded '&'.
+ * @param {string} path - The request path.
+ * @returns {object} The extra arguments.
+ */
+function parseExtraArgs(path) {
+    const lastSegment = path.split('/').pop().replace(/\.json$/, '');
+    return querystring.parse(lastSegment);
+}
+
+/**
+ * Returns the public URL of the addon for the current request, including the config segment (e.g. https://host/<config>).
+ * ADDON_URL takes precedence over the request's host, for setups behind a reverse proxy.
+ * @param {object} req - The Express request.
+ * @returns {string} The base URL, without a trailing slash.
+ */
+function getPublicBaseUrl(req) {
+    const origin = config.ADDON_URL ? config.ADDON_URL.replace(/\/+$/, '') : `${req.protocol}://${req.get('host')}`;
+    return `${origin}${req.baseUrl}`;
+}
 
-    console.log('Public trackers loading initiated. Starting server...');
+/**
+ * Creates the router for the Stremio addon resources.
+ * When mounted under /:config, the encoded configuration is available as req.params.config.
+ * @returns {express.Router} The addon router.
+ */
+function createAddonRouter() {
+    const router = express.Router({ mergeParams: true });
 
     // Route for the Stremio addon manifest.
     // This is the first endpoint Stremio clients hit to discover the addon.
-    app.get('/manifest.json', (req, res) => {
-        console.log('Manifest requested');
+    router.get('/manifest.json', (req, res) => {
+        logger.info('Manifest requested');
         res.json(getManifest());
     });
 
     // Route for catalog requests.
     // Stremio uses catalogs for browsing content.
-    app.get('/catalog/:type/:id.json', async (req, res) => {
-        console.log(`Catalog requested: type=${req.params.type}, id=${req.params.id}`);
+    // Extra arguments (e.g. genre=Drama&skip=50) are passed as an extra path segment: /catalog/:type/:id/:extra.json
+    const catalogHandler = async (req, res) => {
+        const extra = req.params.extra ? parseExtraArgs(req.path) : {};
+        logger.info(`Catalog requested: type=${req.params.type}, id=${req.params.id}, extra=${JSON.stringify(extra)}`);
         try {
-            const catalogResponse = await getCatalog(req.params.type, req.params.id);
+            const catalogResponse = await getCatalog(req.params.type, req.params.id, extra);
             res.json(catalogResponse);
         } catch (error) {
-            console.error('Error in catalog handler:', error);
+            logger.error('Error in catalog handler:', error);
             res.status(500).json({ error: 'Failed to retrieve catalog' });
         }
-    });
+    };
+    router.get('/catalog/:type/:id.json', catalogHandler);
+    router.get('/catalog/:type/:id/:extra.json', catalogHandler);
 
     // Route for metadata requests.
     // Stremio uses meta requests to get detailed information about an item (movie/series).
-    app.get('/meta/:type/:id.json', async (req, res) => {
-        console.log(`Meta requested: type=${req.params.type}, id=${req.params.id}`);
+    router.get('/meta/:type/:id.json', async (req, res) => {
+        logger.info(`Meta requested: type=${req.params.type}, id=${req.params.id}`);
         try {
             const metaResponse = await getMeta(req.params.type, req.params.id);
             res.json(metaResponse);
         } catch (error) {
-            console.error('Error in meta handler:', error);
+            logger.error('Error in meta handler:', error);
             res.status(500).json({ error: 'Failed to retrieve metadata' });
         }
     });
 
     // Route for stream requests.
     // This is the core functionality, providing the playable magnet links.
-    app.get('/stream/:type/:id.json', async (req, res) => {
-        console.log(`Stream requested: type=${req.params.type}, id=${req.params.id}`);
+    router.get('/stream/:type/:id.json', async (req, res) => {
+        logger.info(`Stream requested: type=${req.params.type}, id=${req.params.id}`);
         try {
-            const streamsResponse = await getStreams(req.params.type, req.params.id);
+            const userConfig = decodeUserConfig(req.params.config);
+            const streamsResponse = await getStreams(req.params.type, req.params.id, userConfig, { resolveBaseUrl: getPublicBaseUrl(req) });
+            if (streamsResponse.streams.length === 0) {
+                logger.warn(`No streams found for ${req.params.type} ${req.params.id}.`);
+                recordZeroStreamResponse(req.params.type);
+            }
             res.json(streamsResponse);
         } catch (error) {
-            console.error('Error in stream handler:', error);
+            logger.error('Error in stream handler:', error);
             res.status(500).json({ error: 'Failed to retrieve streams' });
         }
     });
 
+    // Route for subtitle requests (only declared in the manifest when SUBTITLE_FETCH_URL is set).
+    // Stremio passes the played video's file name and size as extra arguments: /subtitles/:type/:id/:extra.json
+    const subtitlesHandler = async (req, res) => {
+        const extra = req.params.extra ? parseExtraArgs(req.path) : {};
+        logger.info(`Subtitles requested: type=${req.params.type}, id=${req.params.id}, extra=${JSON.stringify(extra)}`);
+        try {
+            const userConfig = decodeUserConfig(req.params.config);
+            res.json(await getSubtitles(req.params.type, req.params.id, extra, userConfig, { baseUrl: getPublicBaseUrl(req) }));
+        } catch (error) {
+            logger.error('Error in subtitles handler:', error);
+            res.status(500).json({ error: 'Failed to retrieve subtitles' });
+        }
+    };
+    router.get('/subtitles/:type/:id.json', subtitlesHandler);
+    router.get('/subtitles/:type/:id/:extra.json', subtitlesHandler);
+
+    // Route for the subtitle files listed by the subtitles resource.
+    // Fetches the file from the torrent streaming server (SUBTITLE_FETCH_URL); only files BitMagnet lists as
+    // subtitle files are served, so the route can't be used to download arbitrary torrent files.
+    router.get('/subtitle-file/:infoHash/:fileIdx', async (req, res) => {
+        const infoHash = req.params.infoHash.toLowerCase();
+        const fileIndex = parseInt(req.params.fileIdx, 10);
+        logger.info(`Subtitle file requested: infoHash=${infoHash}, fileIdx=${req.params.fileIdx}`);
+        if (!isSubtitleFetchEnabled() || !/^[0-9a-f]{40}$/.test(infoHash) || isNaN(fileIndex)) {
+            return res.status(404).json({ error: 'Subtitle file not found' });
+        }
+        try {
+            const files = (await getTorrentFiles([infoHash])).get(infoHash) || [];
+            const file = files.find(f => f.index === fileIndex);
+            if (!file || !isSubtitleFile(file)) {
+                return res.status(404).json({ error: 'Subtitle file not found' });
+            }
+            const content = await fetchSubtitleFile(infoHash, file);
+            res.type(getSubtitleContentType(file.path)).send(content);
+        } catch (error) {
+            logger.error('Error in subtitle file handler:', error.message);
+            res.status(502).json({ error: 'Failed to fetch subtitle file' });
+        }
+    });
+
+    // Route for debrid playback links (see the ⚡ streams).
+    // Asks the user's debrid service for a direct download link of the torrent only when it is played, then redirects to it.
+    router.get('/resolve/:provider/:infoHash', async (req, res) => {
+        logger.info(`Debrid link requested: provider=${req.params.provider}, infoHash=${req.params.infoHash}`);
+        const userConfig = decodeUserConfig(req.params.config);
+        if (userConfig.debridProvider !== req.params.provider || !userConfig.debridApiKey) {
+            return res.status(403).json({ error: 'Debrid provider is not configured for this install' });
+        }
+        try {
+            const selection = {
+                filename: req.query.filename || null,
+                season: parseInt(req.query.season, 10) || null,
+                episode: parseInt(req.query.episode, 10) || null,
+            };
+            const link = await resolveDebridLink(userConfig.debridProvider, userConfig.debridApiKey, req.params.infoHash, selection);
+            res.redirect(302, link);
+        } catch (error) {
+            logger.error('Error in debrid resolve handler:', error.message);
+            res.status(502).json({ error: 'Failed to resolve debrid link' });
+        }
+    });
+
+    // Route for the "Send to qBittorrent/Transmission" entries.
+    // Looks up the torrent's magnet URI in BitMagnet, adds it to the download client and shows a confirmation page.
+    router.get('/download/:type/:infoHash', async (req, res) => {
+        const { type } = req.params;
+        const infoHash = req.params.infoHash.toLowerCase();
+        logger.info(`Download requested: type=${type}, infoHash=${infoHash}`);
+        const client = getDownloadClient();
+        if (!client) {
+            return res.status(404).type('html').send(renderDownloadPage({ ok: false, message: 'No download client is configured' }));
+        }
+        if (!verifyDownloadSignature(type, infoHash, req.query.sig)) {
+            return res.status(403).type('html').send(renderDownloadPage({ ok: false, message: 'Invalid download link' }));
+        }
+        try {
+            const torrentContent = await getTorrentContentByInfoHash(infoHash);
+            if (!torrentContent || !torrentContent.torrent.magnetUri) {
+                return res.status(404).type('html').send(renderDownloadPage({ ok: false, message: 'Torrent not found in BitMagnet' }));
+            }
+            const { category } = await sendToDownloadClient(torrentContent.torrent.magnetUri, type);
+            res.type('html').send(renderDownloadPage({ ok: true, message: `Sent to ${client.name}`, torrentName: torrentContent.torrent.name, category }));
+        } catch (error) {
+            logger.error('Error in download handler:', error.message);
+            res.status(502).type('html').send(renderDownloadPage({ ok: false, message: `Could not send the torrent to ${client.name}` }));
+        }
+    });
+
+    // Route for stream pipeline diagnostics.
+    // Runs the full ranking pipeline without the cache and shows the raw hits, what was dropped at each stage and why,
+    // and the final scores. Uses the same IDs as the stream route (e.g. /debug/stream/series/tt0944947:1:1).
+    router.get('/debug/stream/:type/:id', async (req, res) => {
+        logger.info(`Stream diagnostics requested: type=${req.params.type}, id=${req.params.id}`);
+        try {
+            const userConfig = decodeUserConfig(req.params.config);
+            res.json(await getStreamDiagnostics(req.params.type, req.params.id.replace(/\.json$/, ''), userConfig));
+        } catch (error) {
+            logger.error('Error in stream diagnostics handler:', error);
+            res.status(500).json({ error: 'Failed to run stream diagnostics' });
+        }
+    });
+
+    return router;
+}
+
+// Async function to initialize resources before starting the server
+async function startServer() {
+    logger.info('Pre-loading public trackers...');
+    // Attempt to fetch and cache trackers at application startup.
+    // We don't await this directly to prevent blocking server startup
+    // if the external tracker list fetch is slow or fails.
+    // getTrackers() handles its own caching and fallback.
+    getTrackers()
+        .then(() => logger.info('Initial public trackers fetch completed.'))
+        .catch(error => logger.error('Initial public trackers fetch failed (server starting anyway):', error.message));
+
+    logger.info('Public trackers loading initiated. Starting server...');
+
+    // Liveness: the process is up and serving requests.
+    app.get('/health', (req, res) => {
+        res.json(getHealth());
+    });
+
+    // Readiness: BitMagnet and TMDB are reachable and configured (503 otherwise); OMDb and the cache only degrade it.
+    app.get('/ready', async (req, res) => {
+        const readiness = await getReadiness();
+        if (!readiness.ready) {
+            logger.warn('Readiness check failed:', JSON.stringify(readiness.checks));
+        } else if (readiness.degraded.length > 0) {
+            logger.debug(`Ready, but degraded: ${readiness.degraded.join(', ')}.`);
+        }
+        res.status(readiness.ready ? 200 : 503).json(readiness);
+    });
+
+    // Prometheus metrics: route latency, upstream calls/errors, cache hits/misses and zero-stream responses.
+    app.get('/metrics', async (req, res) => {
+        const metrics = await renderMetrics();
+        res.type(metrics.contentType).send(metrics.body);
+    });
+
+    // Route for the configuration page.
+    // Builds a per-install addon URL with the settings encoded into the path.
+    // Also available under /:config/configure so Stremio's "Configure" button pre-fills the current settings.
+    const configureHandler = (req, res) => {
+        logger.info('Configure page requested');
+        const userConfig = decodeUserConfig(req.params.config);
+        res.type('html').send(renderConfigurePage(userConfig, getManifest(), {
+            scoringProfiles: loadScoringProfiles(),
+            debridProviders: getDebridProviders(),
+            streamTemplates: STREAM_TEMPLATE_PRESETS,
+            streamFields: STREAM_FIELDS,
+        }));
+    };
+    app.get('/configure', configureHandler);
+    app.get('/:config/configure', configureHandler);
+
+    // The addon routes are served both unconfigured (/manifest.json) and with an encoded
+    // per-install configuration (/:config/manifest.json).
+    const addonRouter = createAddonRouter();
+    app.use('/', addonRouter);
+    app.use('/:config', addonRouter);
+
     // Start the Express server.
     app.listen(PORT, () => {
-        console.log(`Stremio BitMagnet Addon running on port ${PORT}`);
+        logger.info(`Stremio BitMagnet Addon running on port ${PORT}`);
     });
 }
 
@@ -0,0 +1,51 @@
+// test/bitmagnet.test.js
+// Tests of the paged BitMagnet search (see utils/bitmagnet.js), against a local GraphQL stub.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const config = require('../config');
+const { searchBitMagnet } = require('../utils/bitmagnet');
+
+const TOTAL_ITEMS = 120; // Three pages of 50
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const { offset, limit } = JSON.parse(body).variables.input;
+        const items = Array.from({ length: Math.max(0, Math.min(limit, TOTAL_ITEMS - offset)) }, (_, i) => ({
+            infoHash: String(offset + i).padStart(40, '0'),
+            torrent: { name: `Item ${offset + i}` },
+        }));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ data: { torrentContent: { search: { items, totalCount: TOTAL_ITEMS, hasNextPage: offset + limit < TOTAL_ITEMS } } } }));
+    });
+});
+
+test.before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    config.BITMAGNET_GRAPHQL_ENDPOINT = `http://127.0.0.1:${server.address().port}/graphql`;
+});
+test.after(() => server.close());
+
+test('a search that fetched every page is neither stopped early nor truncated', async () => {
+    const stats = { pages: 0 };
+    const items = await searchBitMagnet({ queryString: 'item', maxPages: 5, stats });
+    assert.strictEqual(items.length, TOTAL_ITEMS);
+    assert.deepStrictEqual(stats, { pages: 3 });
+});
+
+test('a search cut off by the page cap is marked as truncated', async () => {
+    const stats = { pages: 0 };
+    const items = await searchBitMagnet({ queryString: 'item', maxPages: 2, stats });
+    assert.strictEqual(items.length, 100);
+    assert.deepStrictEqual(stats, { pages: 2, truncated: true });
+});
+
+test('a search ended by stopWhen is marked as stopped early', async () => {
+    const stats = { pages: 0 };
+    const items = await searchBitMagnet({ queryString: 'item', maxPages: 5, stopWhen: allItems => allItems.length >= 50, stats });
+    assert.strictEqual(items.length, 50);
+    assert.deepStrictEqual(stats, { pages: 1, stoppedEarly: true });
+});
@@ -0,0 +1,54 @@
+// test/debrid.test.js
+// Tests of the debrid availability checks and link resolution (see utils/debrid.js), using the mock provider.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../config');
+const { getDebridProviders, getCachedInfoHashes, resolveDebridLink, selectFile } = require('../utils/debrid');
+
+const CACHED_HASH = 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const OTHER_HASH = 'bbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+
+config.DEBRID_ALLOW_MOCK = 'true';
+
+test('the mock provider is only offered with DEBRID_ALLOW_MOCK', (t) => {
+    t.after(() => { config.DEBRID_ALLOW_MOCK = 'true'; });
+    assert.ok(getDebridProviders().some(provider => provider.id === 'mock'));
+    config.DEBRID_ALLOW_MOCK = 'false';
+    assert.ok(!getDebridProviders().some(provider => provider.id === 'mock'));
+});
+
+test('the mock provider reports the info hashes of its API key as cached', async () => {
+    const cached = await getCachedInfoHashes('mock', CACHED_HASH, [CACHED_HASH.toUpperCase(), OTHER_HASH]);
+    assert.deepStrictEqual([...cached], [CACHED_HASH]);
+    assert.strictEqual((await getCachedInfoHashes('mock', 'all', [CACHED_HASH, OTHER_HASH])).size, 2);
+    assert.strictEqual((await getCachedInfoHashes('mock', '', [CACHED_HASH])).size, 0);
+});
+
+test('Real-Debrid and AllDebrid report availability as unknown without calling their APIs', async () => {
+    assert.strictEqual(await getCachedInfoHashes('realdebrid', 'some-api-key', [CACHED_HASH]), null);
+    assert.strictEqual(await getCachedInfoHashes('alldebrid', 'some-api-key', [CACHED_HASH]), null);
+});
+
+test('resolving a cached torrent returns a link to the selected file, an uncached one fails', async () => {
+    const movieLink = await resolveDebridLink('mock', CACHED_HASH, CACHED_HASH, {});
+    assert.strictEqual(movieLink, `https://mock-debrid.invalid/download/${CACHED_HASH}/movie.mkv`);
+    const episodeLink = await resolveDebridLink('mock', CACHED_HASH, CACHED_HASH, { filename: 'Show.S01E02.1080p.mkv', season: 1, episode: 2 });
+    assert.strictEqual(episodeLink, `https://mock-debrid.invalid/download/${CACHED_HASH}/Show.S01E02.1080p.mkv`);
+
+    await assert.rejects(resolveDebridLink('mock', CACHED_HASH, OTHER_HASH), /is not cached/);
+    await assert.rejects(resolveDebridLink('unknown', CACHED_HASH, CACHED_HASH), /Unknown debrid provider/);
+});
+
+test('selectFile prefers the named file, then the requested episode, then the largest video', () => {
+    const files = [
+        { name: 'Show.S01/Show.S01E01.mkv', size: 900 },
+        { name: 'Show.S01/Show.S01E02.mkv', size: 800 },
+        { name: 'Show.S01/Sample/show.sample.mkv', size: 5000 },
+        { name: 'Show.S01/Show.S01.nfo', size: 9000 },
+    ];
+    assert.strictEqual(selectFile(files, { filename: 'Show.S01E02.mkv' }).name, 'Show.S01/Show.S01E02.mkv');
+    assert.strictEqual(selectFile(files, { season: 1, episode: 2 }).name, 'Show.S01/Show.S01E02.mkv');
+    assert.strictEqual(selectFile(files, {}).name, 'Show.S01/Show.S01E01.mkv');
+    assert.strictEqual(selectFile([{ name: 'readme.txt', size: 1 }], {}), null);
+});
@@ -0,0 +1,109 @@
+// test/downloadClient.test.js
+// Tests of the download link signatures and the hand-off to the download clients (see utils/downloadClient.js),
+// against local qBittorrent and Transmission stubs.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const config = require('../config');
+const { getDownloadPath, verifyDownloadSignature, sendToDownloadClient } = require('../utils/downloadClient');
+
+const INFO_HASH = '0123456789abcdef0123456789abcdef01234567';
+const MAGNET_URI = `magnet:?xt=urn:btih:${INFO_HASH}`;
+
+/**
+ * Starts a local HTTP server that collects the request bodies.
+ * @param {object} t - The test context (closes the server when the test ends).
+ * @param {function} handler - Called with (req, res, body) for every request.
+ * @returns {Promise<string>} The server's base URL.
+ */
+async function startStub(t, handler) {
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => handler(req, res, body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+test('download links are signed with DOWNLOAD_LINK_SECRET, not the client settings', () => {
+    Object.assign(config, { DOWNLOAD_CLIENT_URL: 'http://localhost:8080', DOWNLOAD_CLIENT_USERNAME: '', DOWNLOAD_CLIENT_PASSWORD: '' });
+    config.DOWNLOAD_LINK_SECRET = 'first-secret-for-the-tests';
+    const signature = new URL(getDownloadPath('movie', INFO_HASH.toUpperCase()), 'http://addon').searchParams.get('sig');
+    assert.ok(verifyDownloadSignature('movie', INFO_HASH, signature));
+    assert.ok(!verifyDownloadSignature('series', INFO_HASH, signature));
+
+    config.DOWNLOAD_LINK_SECRET = 'second-secret-for-the-tests';
+    assert.ok(!verifyDownloadSignature('movie', INFO_HASH, signature));
+});
+
+test('qBittorrent: logs in (again when the session expires) and adds the magnet with the category', async (t) => {
+    const added = [];
+    let sessionId = 'abc123';
+    let logins = 0;
+    const baseUrl = await startStub(t, (req, res, body) => {
+        if (req.url === '/api/v2/auth/login') {
+            const params = new URLSearchParams(body);
+            const valid = params.get('username') === 'admin' && params.get('password') === 'secret';
+            logins += valid ? 1 : 0;
+            res.writeHead(200, valid ? { 'Set-Cookie': `SID=${sessionId}; HttpOnly; path=/` } : {});
+            return res.end(valid ? 'Ok.' : 'Fails.');
+        }
+        if (req.url === '/api/v2/torrents/add') {
+            if (req.headers.cookie !== `SID=${sessionId}`) {
+                res.writeHead(403);
+                return res.end('Forbidden');
+            }
+            added.push(Object.fromEntries(new URLSearchParams(body)));
+            return res.end('Ok.');
+        }
+        res.writeHead(404);
+        res.end();
+    });
+    Object.assign(config, {
+        DOWNLOAD_CLIENT: 'qbittorrent', DOWNLOAD_CLIENT_URL: baseUrl,
+        DOWNLOAD_CLIENT_USERNAME: 'admin', DOWNLOAD_CLIENT_PASSWORD: 'secret',
+        DOWNLOAD_CATEGORY_MOVIE: 'movies', DOWNLOAD_CATEGORY_SERIES: 'tv',
+    });
+
+    assert.deepStrictEqual(await sendToDownloadClient(MAGNET_URI, 'series'), { client: 'qBittorrent', category: 'tv' });
+    assert.deepStrictEqual(added, [{ urls: MAGNET_URI, category: 'tv' }]);
+    assert.strictEqual(logins, 1);
+
+    sessionId = 'def456'; // The session expires, the next add is refused and the client logs in again
+    await sendToDownloadClient(MAGNET_URI, 'movie');
+    assert.strictEqual(logins, 2);
+    assert.deepStrictEqual(added[1], { urls: MAGNET_URI, category: 'movies' });
+});
+
+test('Transmission: does the session id handshake and adds the magnet with the label', async (t) => {
+    const added = [];
+    const baseUrl = await startStub(t, (req, res, body) => {
+        if (req.headers['x-transmission-session-id'] !== 'session-1') {
+            res.writeHead(409, { 'X-Transmission-Session-Id': 'session-1' });
+            return res.end();
+        }
+        added.push(JSON.parse(body));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ result: 'success', arguments: {} }));
+    });
+    Object.assign(config, {
+        DOWNLOAD_CLIENT: 'transmission', DOWNLOAD_CLIENT_URL: `${baseUrl}/transmission/rpc`,
+        DOWNLOAD_CLIENT_USERNAME: '', DOWNLOAD_CLIENT_PASSWORD: '', DOWNLOAD_CATEGORY_MOVIE: 'movies',
+    });
+
+    assert.deepStrictEqual(await sendToDownloadClient(MAGNET_URI, 'movie'), { client: 'Transmission', category: 'movies' });
+    assert.deepStrictEqual(added, [{ method: 'torrent-add', arguments: { filename: MAGNET_URI, labels: ['movies'] } }]);
+});
+
+test('Transmission: a refused torrent is reported as an error', async (t) => {
+    const baseUrl = await startStub(t, (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ result: 'invalid or corrupt torrent file' }));
+    });
+    Object.assign(config, { DOWNLOAD_CLIENT: 'transmission', DOWNLOAD_CLIENT_URL: baseUrl });
+
+    await assert.rejects(sendToDownloadClient(MAGNET_URI, 'movie'), /Transmission refused the torrent/);
+});
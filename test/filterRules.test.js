@@ -0,0 +1,35 @@
+// test/filterRules.test.js
+// Tests of the exclusion rules (see utils/filterRules.js).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseFilterRules, evaluateFilterRules } = require('../utils/filterRules');
+
+/**
+ * Builds a minimal torrent content item for a release name.
+ * @param {string} name - The torrent name.
+ * @returns {object} The torrent content item.
+ */
+function torrent(name) {
+    return { torrent: { name } };
+}
+
+test('keyword rules match the keywords literally, as whole tokens', () => {
+    const { rules, errors } = parseFilterRules('exclude keyword:HC,KORSUB, Hard Coded');
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(evaluateFilterRules(torrent('Movie.2023.1080p.HC.WEB-DL.x264-GRP'), rules).passed, false);
+    assert.strictEqual(evaluateFilterRules(torrent('Movie 2023 1080p Hard Coded Subs'), rules).passed, false);
+    assert.strictEqual(evaluateFilterRules(torrent('Movie.2023.1080p.HCM.WEB-DL.x264-GRP'), rules).passed, true);
+
+    const { rules: dotRules } = parseFilterRules('exclude keyword:a.b');
+    assert.strictEqual(evaluateFilterRules(torrent('Movie axb 1080p'), dotRules).passed, true);
+});
+
+test('keyword rules reject regexes instead of compiling them', () => {
+    const startedAt = Date.now();
+    const { rules, errors } = parseFilterRules('exclude keyword:/(a+)+$/; exclude codec:HEVC');
+    assert.strictEqual(rules.length, 1);
+    assert.match(errors[0], /regular expressions are not supported/);
+    assert.strictEqual(evaluateFilterRules(torrent(`${'a'.repeat(40)}!`), rules).passed, true);
+    assert.ok(Date.now() - startedAt < 500);
+});
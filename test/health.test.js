@@ -0,0 +1,51 @@
+// test/health.test.js
+// Tests of the readiness check (see utils/health.js), with the dependency pings replaced by stubs.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../config');
+const bitmagnet = require('../utils/bitmagnet');
+const tmdb = require('../utils/tmdb');
+const omdb = require('../utils/omdb');
+const cache = require('../utils/cache');
+
+const pings = { bitmagnet: async () => {}, tmdb: async () => {}, omdb: async () => {}, cache: async () => {} };
+bitmagnet.pingBitMagnet = () => pings.bitmagnet();
+tmdb.pingTmdb = () => pings.tmdb();
+omdb.pingOmdb = () => pings.omdb();
+cache.pingCache = () => pings.cache();
+const { getReadiness } = require('../utils/health'); // Required after the stubs, it keeps references to the pings
+
+const failing = async () => { throw new Error('unreachable'); };
+
+test.beforeEach(() => {
+    Object.assign(config, { TMDB_API_KEY: 'tmdb-key-for-the-tests', OMDB_API_KEY: 'omdb-key-for-the-tests' });
+    Object.assign(pings, { bitmagnet: async () => {}, tmdb: async () => {}, omdb: async () => {}, cache: async () => {} });
+});
+
+test('a placeholder OMDb key is reported, but only degrades readiness', async () => {
+    config.OMDB_API_KEY = 'YOUR_OMDB_API_KEY_HERE';
+    const readiness = await getReadiness();
+    assert.strictEqual(readiness.ready, true);
+    assert.deepStrictEqual(readiness.degraded, ['omdb']);
+    assert.strictEqual(readiness.checks.omdb.status, 'misconfigured');
+});
+
+test('an unreachable cache only degrades readiness', async () => {
+    pings.cache = failing;
+    const readiness = await getReadiness();
+    assert.strictEqual(readiness.ready, true);
+    assert.deepStrictEqual(readiness.degraded, ['cache']);
+});
+
+test('BitMagnet and TMDB gate readiness', async () => {
+    pings.bitmagnet = failing;
+    assert.strictEqual((await getReadiness()).ready, false);
+
+    pings.bitmagnet = async () => {};
+    config.TMDB_API_KEY = 'YOUR_TMDB_API_KEY_HERE';
+    const readiness = await getReadiness();
+    assert.strictEqual(readiness.ready, false);
+    assert.strictEqual(readiness.checks.tmdb.status, 'misconfigured');
+    assert.deepStrictEqual(readiness.degraded, []);
+});
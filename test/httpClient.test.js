@@ -0,0 +1,32 @@
+// test/httpClient.test.js
+// Tests of the shared upstream client's per-host limit and retries (see utils/httpClient.js), against a local server.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const config = require('../config');
+const { upstreamRequest } = require('../utils/httpClient');
+
+test('a retry backoff does not hold the host\'s concurrency slot', async (t) => {
+    Object.assign(config, { HTTP_MAX_CONCURRENCY_PER_HOST: '1', HTTP_RETRIES: '1', HTTP_RETRY_MAX_DELAY_MS: '5000' });
+    let flakyCalls = 0;
+    const server = http.createServer((req, res) => {
+        if (req.url === '/flaky' && flakyCalls++ === 0) {
+            res.writeHead(503, { 'Retry-After': '1' }); // Retry in one second
+            return res.end();
+        }
+        res.end('ok');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const flaky = upstreamRequest('test', 'flaky', { url: `${baseUrl}/flaky` });
+    await new Promise(resolve => setTimeout(resolve, 200)); // The first attempt has failed and is backing off
+    const startedAt = Date.now();
+    const other = await upstreamRequest('test', 'other', { url: `${baseUrl}/other` });
+    assert.strictEqual(other.data, 'ok');
+    assert.ok(Date.now() - startedAt < 500, 'the second call waited for the backoff');
+    assert.strictEqual((await flaky).data, 'ok');
+    assert.strictEqual(flakyCalls, 2);
+});
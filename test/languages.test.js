@@ -0,0 +1,43 @@
+// test/languages.test.js
+// Tests of the audio/subtitle language detection on release names (see utils/languages.js).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectTorrentLanguages, matchLanguagePreference } = require('../utils/languages');
+
+/**
+ * Builds a minimal torrent content object for a release name.
+ * @param {string} name - The release name.
+ * @param {string} [originalLanguage] - The content's original language (ISO 639-1).
+ * @returns {object} The torrent content object.
+ */
+function torrent(name, originalLanguage) {
+    return { torrent: { name }, content: originalLanguage ? { originalLanguage: { id: originalLanguage } } : null };
+}
+
+test('3-letter codes in the title are not languages', () => {
+    ['Ben-Hur.1959.1080p.BluRay.x264-AMIABLE', 'Dan.in.Real.Life.2007.720p.BluRay.x264-SiNNERS', 'Mar.Adentro.2004.DVDRip.XviD-LRC']
+        .forEach(name => assert.deepStrictEqual(detectTorrentLanguages(torrent(name)).audio, [], name));
+});
+
+test('3-letter codes after the title are languages', () => {
+    const detected = detectTorrentLanguages(torrent('Movie.2020.1080p.WEB-DL.Hin.Eng.x264-GRP'));
+    assert.deepStrictEqual(detected.audio.sort(), ['english', 'hindi']);
+});
+
+test('subtitle tags are subtitle languages, not audio languages', () => {
+    const detected = detectTorrentLanguages(torrent('Pathaan (2023) Hindi 1080p WEB-DL DD5.1 ESub x264-HDHub'));
+    assert.deepStrictEqual(detected.audio, ['hindi']);
+    assert.deepStrictEqual(detected.subtitles, ['english']);
+    assert.deepStrictEqual(detectTorrentLanguages(torrent('Movie.2020.1080p.BluRay.Sub.ITA.x264-GRP')).subtitles, ['italian']);
+});
+
+test('MULTi releases include the original language', () => {
+    const match = matchLanguagePreference(torrent('Spirited.Away.2001.MULTi.1080p.BluRay.x264-NoTag', 'ja'), ['japanese']);
+    assert.deepStrictEqual(match, { language: 'japanese', rank: 0, kind: 'original' });
+});
+
+test('subtitle-only matches rank after audio matches', () => {
+    const match = matchLanguagePreference(torrent('Movie.2020.1080p.WEB-DL.Hindi.Eng.Subs.x264-GRP'), ['english', 'tamil']);
+    assert.deepStrictEqual(match, { language: 'english', rank: 2, kind: 'subtitles' });
+});
@@ -0,0 +1,17 @@
+// test/releaseParser.test.js
+// Fixture-driven tests of the release-name parser: every release name in fixtures/releaseNames.json is parsed and
+// compared with its expected fields. Run with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRelease } = require('../utils/releaseParser');
+const fixtures = require('./fixtures/releaseNames.json');
+
+fixtures.forEach(({ name, note, expected }) => {
+    test(note ? `${name} (${note})` : name, () => {
+        const parsed = parseRelease(name);
+        Object.entries(expected).forEach(([field, value]) => {
+            assert.deepStrictEqual(parsed[field], value, `${field} of "${name}"`);
+        });
+    });
+});
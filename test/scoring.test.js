@@ -0,0 +1,40 @@
+// test/scoring.test.js
+// Tests of the quality scoring profiles (see utils/scoring.js and scoringProfiles.json).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { getScoringProfile, getScoringProfileNames, calculateQualityScore } = require('../utils/scoring');
+
+/**
+ * Builds a torrent content item with a BitMagnet codec classification.
+ * @param {string} name - The torrent name.
+ * @param {string|null} videoCodec - BitMagnet's codec (null to fall back to the release name).
+ * @returns {object} The torrent content item.
+ */
+function torrent(name, videoCodec) {
+    return { torrent: { name, size: 8 * 1024 ** 3 }, videoCodec, videoResolution: 'V1080p', seeders: 10 };
+}
+
+test('every name of a codec gets the same weight in every profile', () => {
+    getScoringProfileNames().forEach(profileName => {
+        const profile = getScoringProfile(profileName);
+        const score = (name, videoCodec) => calculateQualityScore(torrent(name, videoCodec), profile);
+
+        const avc = score('Movie.2020.1080p.WEB-DL.H264-GRP', null);
+        assert.strictEqual(score('Movie.2020.1080p.WEB-DL.x264-GRP', null), avc, `x264 in ${profileName}`);
+        assert.strictEqual(score('Movie.2020.1080p.WEB-DL-GRP', 'x264'), avc, `BitMagnet x264 in ${profileName}`);
+        assert.strictEqual(score('Movie.2020.1080p.WEB-DL.AVC-GRP', null), avc, `AVC in ${profileName}`);
+
+        const hevc = score('Movie.2020.1080p.WEB-DL.x265-GRP', null);
+        assert.strictEqual(score('Movie.2020.1080p.WEB-DL.HEVC-GRP', null), hevc, `HEVC in ${profileName}`);
+        assert.strictEqual(score('Movie.2020.1080p.WEB-DL-GRP', 'H265'), hevc, `BitMagnet H265 in ${profileName}`);
+    });
+});
+
+test('max-quality gives x264 releases codec points', () => {
+    const profile = getScoringProfile('max-quality');
+    const withCodec = calculateQualityScore(torrent('Movie.2020.1080p.WEB-DL.x264-GRP', null), profile);
+    const withoutCodec = calculateQualityScore(torrent('Movie.2020.1080p.WEB-DL-GRP', null), profile);
+    assert.strictEqual(withCodec - withoutCodec, profile.codec.H264);
+    assert.ok(profile.codec.H264 > 0);
+});
@@ -1,8 +1,9 @@
 // utils/bitmagnet.js
 // Utility functions for interacting with the BitMagnet GraphQL API.
 
-const axios = require('axios');
 const config = require('../config');
+const { upstreamRequest } = require('./httpClient');
+const { logger } = require('./logger');
 
 // GraphQL query for torrent content search
 const BITMAGNET_SEARCH_QUERY = `
@@ -35,6 +36,8 @@ fragment TorrentContentFields on TorrentContent {
     name
     size
     fileType
+    filesStatus
+    filesCount
     tagNames
     magnetUri
   }
@@ -68,6 +71,24 @@ query TorrentContentSearch($input: TorrentContentSearchQueryInput!) {
 }
 `;
 
+// GraphQL query for the file listings of torrents (used to pick the episode file inside season packs)
+const BITMAGNET_FILES_QUERY = `
+query TorrentFiles($input: TorrentFilesQueryInput!) {
+  torrent {
+    files(input: $input) {
+      items {
+        infoHash
+        index
+        path
+        size
+        fileType
+      }
+      hasNextPage
+    }
+  }
+}
+`;
+
 /**
  * Sanitizes a title string by removing special characters and extra spaces.
  * @param {string} title - The title string to sanitize.
@@ -84,17 +105,39 @@ function sanitizeTitle(title) {
         .trim(); // Trim leading/trailing spaces
 }
 
+/**
+ * Throws if a BitMagnet GraphQL response contains errors (GraphQL errors come with an HTTP 200).
+ * @param {object} response - The axios response.
+ * @returns {object} The response, if it has no errors.
+ */
+function assertNoGraphQLErrors(response) {
+    if (response.data.errors) {
+        logger.error('BitMagnet GraphQL errors:', response.data.errors);
+        throw new Error(`BitMagnet GraphQL errors: ${response.data.errors.map(e => e.message).join('; ')}`);
+    }
+    return response;
+}
+
+const SEARCH_PAGE_SIZE = 50; // Torrents per BitMagnet search page
+
 /**
  * Searches the BitMagnet GraphQL API for torrent content.
+ * Results can span several pages: pages are fetched until BitMagnet reports no next page,
+ * the page cap is reached, or the optional stopWhen predicate is satisfied.
  * @param {object} params - Search parameters.
  * @param {string} params.queryString - The search query string (e.g., movie title).
  * @param {string} [params.contentType] - 'movie' or 'tv_show'.
  * @param {number} [params.releaseYear] - Release year.
+ * @param {number} [params.maxPages=1] - Maximum number of pages to fetch.
+ * @param {function(Array<object>): boolean} [params.stopWhen] - Called with all items so far after each page; return true to stop early.
+ * @param {{pages: number, stoppedEarly?: boolean, truncated?: boolean}} [params.stats] - Optional counter object; stats.pages
+ *        is incremented for every page fetched, stats.stoppedEarly set when stopWhen ended the search before the last page,
+ *        and stats.truncated set when the page cap did.
  * @returns {Array<object>} An array of torrent content objects.
  */
-async function searchBitMagnet({ queryString, contentType, releaseYear }) {
+async function searchBitMagnet({ queryString, contentType, releaseYear, maxPages = 1, stopWhen = null, stats = null }) {
     if (!config.BITMAGNET_GRAPHQL_ENDPOINT) {
-        console.error('BITMAGNET_GRAPHQL_ENDPOINT is not configured.');
+        logger.error('BITMAGNET_GRAPHQL_ENDPOINT is not configured.');
         return [];
     }
 
@@ -104,7 +147,8 @@ async function searchBitMagnet({ queryString, contentType, releaseYear }) {
     const variables = {
         input: {
             queryString: sanitizedQueryString,
-            limit: 50, // Fetch more than 10 to allow for client-side filtering/sorting
+            limit: SEARCH_PAGE_SIZE, // Fetch more than 10 to allow for client-side filtering/sorting
+            offset: 0,
             orderBy: [
                 { field: 'seeders', descending: true },
                 { field: 'size', descending: true }
@@ -121,38 +165,346 @@ async function searchBitMagnet({ queryString, contentType, releaseYear }) {
         variables.input.facets.releaseYear = { filter: [String(releaseYear)] };
     }
 
+    const items = [];
+    let page = 0;
     try {
-        console.log('Sending GraphQL query to BitMagnet with variables:', JSON.stringify(variables, null, 2)); // Log full payload
-        const response = await axios.post(
-            config.BITMAGNET_GRAPHQL_ENDPOINT,
-            {
-                query: BITMAGNET_SEARCH_QUERY,
-                variables: variables,
-            },
-            {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'User-Agent': 'Stremio-BitMagnet-Addon/1.0', // Custom User-Agent
+        while (page < maxPages) {
+            variables.input.offset = page * SEARCH_PAGE_SIZE;
+            logger.debug('Sending GraphQL query to BitMagnet with variables:', JSON.stringify(variables)); // Full payload only at debug level
+            const result = await queryBitMagnet(variables.input);
+            page++;
+            if (stats) stats.pages++;
+            items.push(...result.items);
+
+            if (!result.hasNextPage) {
+                break;
+            }
+            if (stopWhen && stopWhen(items)) {
+                if (stats) stats.stoppedEarly = true;
+                logger.info(`Stopping BitMagnet search for "${sanitizedQueryString}" after ${page} page(s): enough candidates found.`);
+                break;
+            }
+            if (page >= maxPages) {
+                if (stats) stats.truncated = true;
+                logger.info(`BitMagnet search for "${sanitizedQueryString}" reached the page cap (${maxPages}) with ${result.totalCount} total results.`);
+            }
+        }
+        return items;
+    } catch (error) {
+        logger.error(`Error searching BitMagnet (page ${page + 1}):`, error.message);
+        if (error.response) {
+            logger.error('BitMagnet API Response Error:', error.response.status, error.response.data);
+        }
+        return items; // Keep the pages fetched before the error
+    }
+}
+
+/**
+ * Sends a raw torrentContent.search query to the BitMagnet GraphQL API.
+ * Unlike searchBitMagnet, this throws on transport or GraphQL errors and returns the paging info.
+ * @param {object} input - The TorrentContentSearchQueryInput object.
+ * @returns {Promise<{items: Array<object>, totalCount: number, hasNextPage: boolean}>} The search result page.
+ */
+async function queryBitMagnet(input) {
+    if (!config.BITMAGNET_GRAPHQL_ENDPOINT) {
+        throw new Error('BITMAGNET_GRAPHQL_ENDPOINT is not configured.');
+    }
+
+    const response = await upstreamRequest('bitmagnet', 'search', {
+        method: 'post',
+        url: config.BITMAGNET_GRAPHQL_ENDPOINT,
+        data: {
+            query: BITMAGNET_SEARCH_QUERY,
+            variables: { input },
+        },
+        headers: { 'Content-Type': 'application/json' },
+        timeout: 15000, // 15 seconds timeout
+    }, { idempotent: true, validate: assertNoGraphQLErrors }); // GraphQL queries are read-only, so they can be retried
+
+    const search = response.data.data.torrentContent.search;
+    return {
+        items: search.items || [],
+        totalCount: search.totalCount || 0,
+        hasNextPage: Boolean(search.hasNextPage),
+    };
+}
+
+const FILES_PAGE_SIZE = 1000; // Files per BitMagnet files query page
+const FILES_MAX_PAGES = 5; // Caps the file listing fetched per batch of torrents
+
+/**
+ * Fetches the file listings of torrents from the BitMagnet GraphQL API.
+ * BitMagnet only stores files for torrents whose metadata it has fetched (see torrent.filesStatus),
+ * so torrents may be missing from the result.
+ * @param {Array<string>} infoHashes - The info hashes of the torrents.
+ * @returns {Promise<Map<string, Array<{index: number, path: string, size: number, fileType: string|null}>>>}
+ *          Files keyed by lowercased info hash, ordered by file index. Empty on errors.
+ */
+async function getTorrentFiles(infoHashes) {
+    const filesByInfoHash = new Map();
+    if (!config.BITMAGNET_GRAPHQL_ENDPOINT || infoHashes.length === 0) {
+        return filesByInfoHash;
+    }
+
+    const input = {
+        infoHashes: infoHashes,
+        limit: FILES_PAGE_SIZE,
+        offset: 0,
+        hasNextPage: true,
+        cached: true
+    };
+
+    try {
+        for (let page = 0; page < FILES_MAX_PAGES; page++) {
+            input.offset = page * FILES_PAGE_SIZE;
+            const response = await upstreamRequest('bitmagnet', 'files', {
+                method: 'post',
+                url: config.BITMAGNET_GRAPHQL_ENDPOINT,
+                data: {
+                    query: BITMAGNET_FILES_QUERY,
+                    variables: { input },
                 },
+                headers: { 'Content-Type': 'application/json' },
                 timeout: 15000, // 15 seconds timeout
-            }
-        );
+            }, { idempotent: true, validate: assertNoGraphQLErrors });
 
-        if (response.data.errors) {
-            console.error('BitMagnet GraphQL errors:', response.data.errors);
-            return [];
-        }
+            const result = response.data.data.torrent.files;
+            (result.items || []).forEach(file => {
+                const key = String(file.infoHash).toLowerCase();
+                if (!filesByInfoHash.has(key)) {
+                    filesByInfoHash.set(key, []);
+                }
+                filesByInfoHash.get(key).push({ index: file.index, path: file.path, size: file.size, fileType: file.fileType });
+            });
 
-        return response.data.data.torrentContent.search.items || [];
+            if (!result.hasNextPage) {
+                break;
+            }
+            if (page + 1 >= FILES_MAX_PAGES) {
+                logger.warn(`BitMagnet file listing for ${infoHashes.length} torrent(s) reached the page cap (${FILES_MAX_PAGES}).`);
+            }
+        }
     } catch (error) {
-        console.error('Error searching BitMagnet:', error.message);
+        logger.error(`Error fetching BitMagnet files for ${infoHashes.length} torrent(s):`, error.message);
         if (error.response) {
-            console.error('BitMagnet API Response Error:', error.response.status, error.response.data);
+            logger.error('BitMagnet API Response Error:', error.response.status, error.response.data);
         }
-        return [];
     }
+
+    filesByInfoHash.forEach(files => files.sort((a, b) => a.index - b.index));
+    return filesByInfoHash;
+}
+
+/**
+ * Checks that the BitMagnet GraphQL API is reachable (used by the readiness check).
+ * @returns {Promise<void>} Resolves if BitMagnet answered, rejects otherwise.
+ */
+async function pingBitMagnet() {
+    if (!config.BITMAGNET_GRAPHQL_ENDPOINT) {
+        throw new Error('BITMAGNET_GRAPHQL_ENDPOINT is not configured.');
+    }
+    await upstreamRequest('bitmagnet', 'ping', {
+        method: 'post',
+        url: config.BITMAGNET_GRAPHQL_ENDPOINT,
+        data: { query: '{ __typename }' },
+        headers: { 'Content-Type': 'application/json' },
+        timeout: 5000, // 5 seconds timeout
+    }, { idempotent: false, validate: assertNoGraphQLErrors }); // No retries, the readiness check should answer quickly
+}
+
+/**
+ * Browses BitMagnet torrent content by facets instead of a text query, newest first.
+ * Used to build the browsable "Recently indexed" catalogs and their genre/year filters.
+ * @param {object} params - Query parameters.
+ * @param {string} params.contentType - 'movie' or 'tv_show'.
+ * @param {Array<string>} [params.genres] - Genre names to filter on (BitMagnet's genre facet).
+ * @param {Array<number>} [params.releaseYears] - Release years to filter on (BitMagnet's releaseYear facet).
+ * @param {number} [params.limit=100] - Number of torrents per page.
+ * @param {number} [params.offset=0] - Torrent offset for paging.
+ * @returns {Promise<{items: Array<object>, totalCount: number, hasNextPage: boolean}>} The result page.
+ */
+async function searchBitMagnetByFacets({ contentType, genres = [], releaseYears = [], limit = 100, offset = 0 }) {
+    const facets = {
+        contentType: { filter: [contentType] },
+    };
+    if (genres.length > 0) {
+        facets.genre = { filter: genres };
+    }
+    if (releaseYears.length > 0) {
+        facets.releaseYear = { filter: releaseYears.map(String) }; // BitMagnet expects year values as strings
+    }
+
+    return queryBitMagnet({
+        queryString: '',
+        limit: limit,
+        offset: offset,
+        orderBy: [
+            { field: 'published_at', descending: true } // Newest torrents first (BitMagnet's publishedAt)
+        ],
+        facets: facets,
+        cached: true
+    });
+}
+
+/**
+ * Extracts IMDb and TMDB IDs from a BitMagnet content record.
+ * BitMagnet stores the primary reference as content.source/content.id (usually 'tmdb')
+ * and other references as externalLinks URLs (e.g. https://www.imdb.com/title/tt0111161).
+ * @param {object} content - The content object from a BitMagnet torrentContent item.
+ * @returns {{imdbId: string|null, tmdbId: string|null}} The extracted IDs.
+ */
+function getContentExternalIds(content) {
+    const ids = { imdbId: null, tmdbId: null };
+    if (!content) return ids;
+
+    if (content.source === 'tmdb' && content.id) {
+        ids.tmdbId = String(content.id);
+    } else if (content.source === 'imdb' && content.id) {
+        ids.imdbId = String(content.id);
+    }
+
+    (content.externalLinks || []).forEach(link => {
+        const url = link && link.url ? link.url : '';
+        const imdbMatch = url.match(/imdb\.com\/title\/(tt\d+)/i);
+        if (imdbMatch && !ids.imdbId) {
+            ids.imdbId = imdbMatch[1];
+        }
+        const tmdbMatch = url.match(/themoviedb\.org\/(?:movie|tv)\/(\d+)/i);
+        if (tmdbMatch && !ids.tmdbId) {
+            ids.tmdbId = tmdbMatch[1];
+        }
+    });
+
+    return ids;
+}
+
+/**
+ * Builds the stable key of a BitMagnet content record (e.g. 'tmdb:949').
+ * @param {object} content - The content object from a BitMagnet torrentContent item.
+ * @returns {string|null} The content key, or null if the item is unclassified.
+ */
+function getContentKey(content) {
+    if (!content || !content.source || !content.id) return null;
+    return `${content.source}:${content.id}`;
+}
+
+/**
+ * Checks whether a BitMagnet content record matches a content reference.
+ * The reference matches either the primary source/id or one of the external links,
+ * so 'imdb:tt0113277' also matches content stored as 'tmdb:949' with an IMDb link.
+ * @param {object} content - The content object from a BitMagnet torrentContent item.
+ * @param {{source: string, id: string}} contentRef - The content reference (source 'tmdb' or 'imdb').
+ * @returns {boolean} True if the content matches the reference.
+ */
+function matchesContentRef(content, contentRef) {
+    if (!content || !contentRef) return false;
+    if (content.source === contentRef.source && String(content.id) === String(contentRef.id)) {
+        return true;
+    }
+    const { imdbId, tmdbId } = getContentExternalIds(content);
+    if (contentRef.source === 'imdb') return imdbId === String(contentRef.id);
+    if (contentRef.source === 'tmdb') return tmdbId === String(contentRef.id);
+    return false;
+}
+
+/**
+ * Groups torrent content items by their BitMagnet content record, preserving first-seen order.
+ * @param {Array<object>} items - Torrent content items from BitMagnet.
+ * @param {Map<string, object>} [groups] - An existing map to add to (keyed by content key).
+ * @returns {Map<string, object>} Content records keyed by content key.
+ */
+function groupTorrentContentByContent(items, groups = new Map()) {
+    items.forEach(item => {
+        const key = getContentKey(item.content);
+        if (!key) {
+            return; // Unclassified torrents have no content record to group under
+        }
+        if (!groups.has(key)) {
+            groups.set(key, item.content);
+        }
+    });
+    return groups;
+}
+
+/**
+ * Searches BitMagnet and returns the distinct content records (titles) behind the matching torrents.
+ * @param {object} params - Search parameters.
+ * @param {string} params.queryString - The search query string.
+ * @param {string} params.contentType - 'movie' or 'tv_show'.
+ * @returns {Promise<Array<object>>} Distinct content records, in result order.
+ */
+async function searchBitMagnetContent({ queryString, contentType }) {
+    const items = await searchBitMagnet({ queryString, contentType, releaseYear: null });
+    return Array.from(groupTorrentContentByContent(items).values());
+}
+
+/**
+ * Finds the torrents BitMagnet has classified as a specific content record.
+ * BitMagnet's search has no content filter, but its search index includes the content's IMDb ID,
+ * so the IMDb references are searched first and the title is only searched when they find nothing
+ * (or there is no IMDb reference: TMDB IDs are plain numbers and would match unrelated names).
+ * Either way the results are narrowed down to the items whose content matches one of the references exactly,
+ * which tells remakes and common titles (e.g. "Heat" 1986 vs 1995) apart.
+ * @param {object} params - Lookup parameters.
+ * @param {Array<{source: string, id: string}>} params.contentRefs - The content references (e.g. [{ source: 'tmdb', id: '949' }]).
+ * @param {string} params.queryString - The title to search for when the content ID search finds nothing.
+ * @param {string} params.contentType - 'movie' or 'tv_show'.
+ * @param {number} [params.maxPages=1] - Maximum number of search pages to fetch (per search).
+ * @param {function(Array<object>): boolean} [params.stopWhen] - Called with the matching items so far; return true to stop early.
+ * @param {{pages: number}} [params.stats] - Optional page counter (see searchBitMagnet).
+ * @returns {Promise<Array<object>>} Torrent content items belonging to the content record.
+ */
+async function findContentTorrents({ contentRefs, queryString, contentType, maxPages = 1, stopWhen = null, stats = null }) {
+    const matchesRefs = item => contentRefs.some(contentRef => matchesContentRef(item.content, contentRef));
+    const search = async searchQueryString => {
+        const items = await searchBitMagnet({
+            queryString: searchQueryString,
+            contentType,
+            releaseYear: null,
+            maxPages,
+            stopWhen: stopWhen ? allItems => stopWhen(allItems.filter(matchesRefs)) : null,
+            stats,
+        });
+        return items.filter(matchesRefs);
+    };
+
+    for (const contentRef of contentRefs.filter(ref => ref.source === 'imdb')) {
+        const items = await search(contentRef.id);
+        if (items.length > 0) {
+            return items;
+        }
+        logger.debug(`No torrents found by content ID imdb:${contentRef.id}.`);
+    }
+    return search(queryString);
+}
+
+/**
+ * Looks up a single torrent by info hash (e.g. to get its magnet URI).
+ * @param {string} infoHash - The info hash.
+ * @returns {Promise<object|null>} The torrent content item, or null if BitMagnet doesn't know the torrent.
+ */
+async function getTorrentContentByInfoHash(infoHash) {
+    const result = await queryBitMagnet({
+        queryString: '',
+        infoHashes: [String(infoHash).toLowerCase()],
+        limit: 1,
+        cached: true
+    });
+    return result.items.find(item => String(item.infoHash).toLowerCase() === String(infoHash).toLowerCase()) || null;
 }
 
 module.exports = {
+    sanitizeTitle,
     searchBitMagnet,
+    queryBitMagnet,
+    searchBitMagnetByFacets,
+    getTorrentFiles,
+    pingBitMagnet,
+    getContentExternalIds,
+    getContentKey,
+    matchesContentRef,
+    groupTorrentContentByContent,
+    searchBitMagnetContent,
+    findContentTorrents,
+    getTorrentContentByInfoHash,
 };
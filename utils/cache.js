@@ -0,0 +1,232 @@
+// utils/cache.js
+// Common cache layer used by the addon and the metadata/tracker utilities.
+// The backend is selected with CACHE_BACKEND:
+//   - memory: in-process NodeCache (default, lost on restart, not shared between replicas)
+//   - sqlite: a SQLite file (survives restarts, shared by processes on the same host/volume)
+//   - redis:  a Redis server (survives restarts, shared between replicas)
+// Every module gets its own namespace with its own TTL (overridable with CACHE_TTLS) and hit/miss stats.
+// Backend errors are logged and treated as cache misses, so a broken cache never fails a request.
+
+const NodeCache = require('node-cache');
+const config = require('../config');
+const { logger } = require('./logger');
+
+let backend = null; // Created lazily, see getBackend()
+const namespaces = new Map(); // Namespace name -> { ttl, stats }
+
+/**
+ * Creates the in-memory backend.
+ * @returns {object} The backend (name, get, set, del).
+ */
+function createMemoryBackend() {
+    const store = new NodeCache({ checkperiod: 120 });
+    return {
+        name: 'memory',
+        get: async (key) => store.get(key),
+        set: async (key, value, ttl) => { store.set(key, value, ttl); },
+        del: async (key) => { store.del(key); },
+    };
+}
+
+/**
+ * Creates the SQLite backend. Values are stored as JSON with an absolute expiry time.
+ * @param {string} filePath - Path of the SQLite database file.
+ * @returns {object} The backend (name, get, set, del).
+ */
+function createSqliteBackend(filePath) {
+    const Database = require('better-sqlite3');
+    const db = new Database(filePath);
+    db.pragma('journal_mode = WAL'); // Lets several processes read while one writes
+    db.exec('CREATE TABLE IF NOT EXISTS cache (key TEXT PRIMARY KEY, value TEXT NOT NULL, expires_at INTEGER NOT NULL)');
+
+    const selectStatement = db.prepare('SELECT value FROM cache WHERE key = ? AND expires_at > ?');
+    const upsertStatement = db.prepare('INSERT OR REPLACE INTO cache (key, value, expires_at) VALUES (?, ?, ?)');
+    const deleteStatement = db.prepare('DELETE FROM cache WHERE key = ?');
+    const purgeStatement = db.prepare('DELETE FROM cache WHERE expires_at <= ?');
+
+    // Expired rows are never returned, this only keeps the file from growing
+    setInterval(() => {
+        try {
+            const { changes } = purgeStatement.run(Date.now());
+            if (changes > 0) logger.info(`Purged ${changes} expired cache entries from ${filePath}.`);
+        } catch (error) {
+            logger.error('Error purging expired cache entries:', error.message);
+        }
+    }, 10 * 60 * 1000).unref();
+
+    logger.info(`Using SQLite cache at ${filePath}.`);
+    return {
+        name: 'sqlite',
+        get: async (key) => {
+            const row = selectStatement.get(key, Date.now());
+            return row ? JSON.parse(row.value) : undefined;
+        },
+        set: async (key, value, ttl) => { upsertStatement.run(key, JSON.stringify(value), Date.now() + ttl * 1000); },
+        del: async (key) => { deleteStatement.run(key); },
+    };
+}
+
+/**
+ * Creates the Redis backend. Values are stored as JSON with a Redis expiry.
+ * Commands fail immediately while Redis is unreachable (no offline queue), which counts as a miss.
+ * @param {string} url - The Redis URL (e.g. 'redis://localhost:6379').
+ * @returns {object} The backend (name, get, set, del).
+ */
+function createRedisBackend(url) {
+    const Redis = require('ioredis');
+    const client = new Redis(url, { enableOfflineQueue: false, maxRetriesPerRequest: 1 });
+
+    let lastErrorMessage = null; // Reconnect attempts repeat the same error; log each distinct one once
+    client.on('error', (error) => {
+        if (error.message !== lastErrorMessage) {
+            logger.error(`Redis cache error (${url}):`, error.message);
+            lastErrorMessage = error.message;
+        }
+    });
+    client.on('ready', () => {
+        logger.info(`Using Redis cache at ${url}.`);
+        lastErrorMessage = null;
+    });
+
+    return {
+        name: 'redis',
+        get: async (key) => {
+            const value = await client.get(key);
+            return value === null ? undefined : JSON.parse(value);
+        },
+        set: async (key, value, ttl) => { await client.set(key, JSON.stringify(value), 'EX', ttl); },
+        del: async (key) => { await client.del(key); },
+    };
+}
+
+/**
+ * Returns the configured cache backend, creating it on first use.
+ * Falls back to the memory backend if the configured one can't be created.
+ * @returns {object} The backend.
+ */
+function getBackend() {
+    if (backend) {
+        return backend;
+    }
+
+    const backendName = (config.CACHE_BACKEND || 'memory').toLowerCase();
+    try {
+        if (backendName === 'sqlite') {
+            backend = createSqliteBackend(config.CACHE_SQLITE_PATH);
+        } else if (backendName === 'redis') {
+            backend = createRedisBackend(config.CACHE_REDIS_URL);
+        } else {
+            if (backendName !== 'memory') {
+                logger.warn(`Unknown CACHE_BACKEND "${backendName}", using memory.`);
+            }
+            backend = createMemoryBackend();
+        }
+    } catch (error) {
+        logger.error(`Error creating ${backendName} cache backend (using memory):`, error.message);
+        backend = createMemoryBackend();
+    }
+    return backend;
+}
+
+/**
+ * Parses the CACHE_TTLS setting ("namespace=seconds,..." e.g. "streams=300,tmdb=43200").
+ * @returns {object} TTLs in seconds keyed by namespace.
+ */
+function parseTtlOverrides() {
+    const overrides = {};
+    (config.CACHE_TTLS || '').split(',').forEach(entry => {
+        const [name, seconds] = entry.split('=').map(part => part && part.trim());
+        const ttl = parseInt(seconds, 10);
+        if (name && !isNaN(ttl) && ttl > 0) {
+            overrides[name] = ttl;
+        }
+    });
+    return overrides;
+}
+
+/**
+ * Creates (or returns) a cache namespace.
+ * @param {string} name - The namespace (e.g. 'tmdb'); also the key prefix in shared backends.
+ * @param {object} options - Namespace options.
+ * @param {number} options.ttl - Default TTL in seconds (CACHE_TTLS overrides it).
+ * @returns {{get: function(string): Promise<*>, set: function(string, *, number=): Promise<void>, del: function(string): Promise<void>}}
+ *          The namespaced cache. get resolves to undefined on a miss.
+ */
+function createCache(name, { ttl }) {
+    if (!namespaces.has(name)) {
+        namespaces.set(name, {
+            ttl: parseTtlOverrides()[name] || ttl,
+            stats: { hits: 0, misses: 0, sets: 0, errors: 0 },
+        });
+    }
+    const namespace = namespaces.get(name);
+    const fullKey = key => `${config.CACHE_KEY_PREFIX}${name}:${key}`;
+
+    return {
+        get: async (key) => {
+            try {
+                const value = await getBackend().get(fullKey(key));
+                if (value === undefined) {
+                    namespace.stats.misses++;
+                } else {
+                    namespace.stats.hits++;
+                }
+                return value;
+            } catch (error) {
+                namespace.stats.errors++;
+                namespace.stats.misses++;
+                logger.error(`Cache get error (${name}:${key}):`, error.message);
+                return undefined;
+            }
+        },
+        set: async (key, value, entryTtl) => {
+            try {
+                await getBackend().set(fullKey(key), value, entryTtl || namespace.ttl);
+                namespace.stats.sets++;
+            } catch (error) {
+                namespace.stats.errors++;
+                logger.error(`Cache set error (${name}:${key}):`, error.message);
+            }
+        },
+        del: async (key) => {
+            try {
+                await getBackend().del(fullKey(key));
+            } catch (error) {
+                namespace.stats.errors++;
+                logger.error(`Cache delete error (${name}:${key}):`, error.message);
+            }
+        },
+    };
+}
+
+/**
+ * Returns the cache statistics of all namespaces.
+ * @returns {{backend: string, namespaces: object}} The backend name and per-namespace TTL, hits, misses, sets and errors.
+ */
+function getCacheStats() {
+    const stats = { backend: getBackend().name, namespaces: {} };
+    namespaces.forEach((namespace, name) => {
+        stats.namespaces[name] = { ttl: namespace.ttl, ...namespace.stats };
+    });
+    return stats;
+}
+
+/**
+ * Checks that the cache backend can store and read a value (used by the readiness check).
+ * @returns {Promise<{backend: string}>} The backend name; rejects if the backend fails.
+ */
+async function pingCache() {
+    const probeKey = `${config.CACHE_KEY_PREFIX}health:probe`;
+    const probeValue = Date.now();
+    await getBackend().set(probeKey, probeValue, 60);
+    if (await getBackend().get(probeKey) !== probeValue) {
+        throw new Error('Cache probe value could not be read back.');
+    }
+    return { backend: getBackend().name };
+}
+
+module.exports = {
+    createCache,
+    getCacheStats,
+    pingCache,
+};
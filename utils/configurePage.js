@@ -0,0 +1,153 @@
+// utils/configurePage.js
+// Renders the /configure HTML page used to build a per-install addon URL.
+
+/**
+ * Escapes a value for safe inclusion in an HTML attribute or text node.
+ * @param {*} value - The value to escape.
+ * @returns {string} The escaped string.
+ */
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Renders the configuration page.
+ * The page encodes the form values as base64url JSON in the browser (matching utils/userConfig.js)
+ * and offers both a stremio:// install link and a plain manifest URL.
+ * @param {object} userConfig - The configuration used to pre-fill the form.
+ * @param {object} manifest - The addon manifest (used for the page title/description).
+ * @param {object} options - Available choices for the form.
+ * @param {object} options.scoringProfiles - Scoring profiles keyed by name (see utils/scoring.js).
+ * @param {Array<{id: string, name: string}>} options.debridProviders - Debrid providers (see utils/debrid.js).
+ * @param {object} options.streamTemplates - Stream template presets keyed by name (see utils/streamTemplates.js).
+ * @param {Array<string>} options.streamFields - Fields available in custom templates.
+ * @returns {string} The HTML page.
+ */
+function renderConfigurePage(userConfig, manifest, { scoringProfiles, debridProviders, streamTemplates, streamFields }) {
+    const profileOptions = Object.entries(scoringProfiles).map(([name, profile]) =>
+        `<option value="${escapeHtml(name)}"${name === userConfig.scoringProfile ? ' selected' : ''}>${escapeHtml(name)}${profile.description ? ` - ${escapeHtml(profile.description)}` : ''}</option>`
+    ).join('');
+    const templateOptions = [...Object.entries(streamTemplates), ['custom', { description: 'My own templates (below)' }]].map(([name, preset]) =>
+        `<option value="${escapeHtml(name)}"${name === userConfig.streamTemplate ? ' selected' : ''}>${escapeHtml(name)} - ${escapeHtml(preset.description)}</option>`
+    ).join('');
+    const debridOptions = [{ id: '', name: 'None (P2P only)' }, ...debridProviders].map(provider =>
+        `<option value="${escapeHtml(provider.id)}"${provider.id === userConfig.debridProvider ? ' selected' : ''}>${escapeHtml(provider.name)}</option>`
+    ).join('');
+    const debridModeOptions = [
+        ['alongside', 'Alongside P2P streams'],
+        ['instead', 'Instead of P2P for cached torrents'],
+        ['cached-only', 'Cached torrents only'],
+    ].map(([mode, label]) => `<option value="${mode}"${mode === userConfig.debridMode ? ' selected' : ''}>${label}</option>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(manifest.name)} - Configure</title>
+<style>
+    body { font-family: sans-serif; background: #1b1b2f; color: #eee; max-width: 560px; margin: 40px auto; padding: 0 16px; }
+    label { display: block; margin-top: 16px; font-weight: bold; }
+    input, select, textarea { width: 100%; padding: 8px; margin-top: 4px; box-sizing: border-box; }
+    small { color: #aaa; }
+    .actions { margin-top: 24px; }
+    .actions a { display: inline-block; padding: 10px 16px; margin-right: 8px; background: #7b5bf5; color: #fff; text-decoration: none; border-radius: 4px; }
+    code { display: block; margin-top: 16px; word-break: break-all; color: #9fe; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(manifest.name)}</h1>
+<p>${escapeHtml(manifest.description)}</p>
+<form id="config-form" onsubmit="return false;">
+    <label for="maxStreams">Max streams per item</label>
+    <input id="maxStreams" type="number" min="1" max="100" value="${escapeHtml(userConfig.maxStreams)}">
+
+    <label for="maxTorrentSizeGB">Max torrent size (GB)</label>
+    <input id="maxTorrentSizeGB" type="number" min="0" step="0.1" value="${escapeHtml(userConfig.maxTorrentSizeGB)}">
+    <small>0 disables the size limit.</small>
+
+    <label for="preferredLanguage">Preferred languages</label>
+    <input id="preferredLanguage" type="text" placeholder="e.g. hindi, english" value="${escapeHtml(userConfig.preferredLanguage.split(',').join(', '))}">
+    <small>Most preferred first. Leave empty to disable language preference.</small>
+
+    <label for="scoringProfile">Quality scoring profile</label>
+    <select id="scoringProfile">${profileOptions}</select>
+
+    <label for="streamTemplate">Stream layout</label>
+    <select id="streamTemplate">${templateOptions}</select>
+
+    <label for="nameTemplate">Custom name template</label>
+    <input id="nameTemplate" type="text" placeholder="${escapeHtml(streamTemplates.default.name)}" value="${escapeHtml(userConfig.nameTemplate)}">
+
+    <label for="titleTemplate">Custom title template</label>
+    <textarea id="titleTemplate" rows="3" placeholder="{resolution} {hdr} | {size} | {seeders}👤 | {group}">${escapeHtml(userConfig.titleTemplate)}</textarea>
+    <small>Used with the "custom" layout. Fields: ${streamFields.map(field => `{${escapeHtml(field)}}`).join(' ')}. {field|text} shows text if the field is empty, {#field}...{/field} only if it isn't, {^field}...{/field} only if it is. \n or a new line starts a new line; " | " parts with only empty fields are left out.</small>
+
+    <label for="filterRules">Exclusion rules</label>
+    <textarea id="filterRules" rows="4" placeholder="exclude codec:HEVC&#10;exclude group:YIFY,RARBG&#10;require resolution:1080p+">${escapeHtml(userConfig.filterRules.split('; ').join('\n'))}</textarea>
+    <small>One rule per line: exclude or require codec, source, group, resolution, hdr, dv-without-hdr10, 3d or keyword (e.g. keyword:HC,KORSUB).</small>
+
+    <label for="debridProvider">Debrid service</label>
+    <select id="debridProvider">${debridOptions}</select>
+    <small>Cached torrents are offered as instant ⚡ streams.</small>
+
+    <label for="debridApiKey">Debrid API key</label>
+    <input id="debridApiKey" type="password" autocomplete="off" value="${escapeHtml(userConfig.debridApiKey)}">
+    <small>Stored only in your addon URL. Keep that URL private.</small>
+
+    <label for="debridMode">Debrid streams</label>
+    <select id="debridMode">${debridModeOptions}</select>
+</form>
+<div class="actions">
+    <a id="install-link" href="#">Install in Stremio</a>
+    <a id="manifest-link" href="#">Manifest URL</a>
+</div>
+<code id="manifest-url"></code>
+<script>
+    function buildConfig() {
+        return {
+            maxStreams: document.getElementById('maxStreams').value,
+            maxTorrentSizeGB: document.getElementById('maxTorrentSizeGB').value,
+            preferredLanguage: document.getElementById('preferredLanguage').value,
+            scoringProfile: document.getElementById('scoringProfile').value,
+            streamTemplate: document.getElementById('streamTemplate').value,
+            nameTemplate: document.getElementById('nameTemplate').value,
+            titleTemplate: document.getElementById('titleTemplate').value,
+            filterRules: document.getElementById('filterRules').value,
+            debridProvider: document.getElementById('debridProvider').value,
+            debridApiKey: document.getElementById('debridApiKey').value,
+            debridMode: document.getElementById('debridMode').value,
+        };
+    }
+
+    function encodeConfig(cfg) {
+        const bytes = new TextEncoder().encode(JSON.stringify(cfg));
+        let binary = '';
+        bytes.forEach(b => { binary += String.fromCharCode(b); });
+        return btoa(binary).replace(/\\+/g, '-').replace(/\\//g, '_').replace(/=+$/, '');
+    }
+
+    function update() {
+        const manifestUrl = window.location.origin + '/' + encodeConfig(buildConfig()) + '/manifest.json';
+        document.getElementById('manifest-url').textContent = manifestUrl;
+        document.getElementById('manifest-link').href = manifestUrl;
+        document.getElementById('install-link').href = manifestUrl.replace(/^https?:/, 'stremio:');
+    }
+
+    document.getElementById('config-form').addEventListener('input', update);
+    document.getElementById('config-form').addEventListener('change', update);
+    update();
+</script>
+</body>
+</html>`;
+}
+
+module.exports = {
+    escapeHtml,
+    renderConfigurePage,
+};
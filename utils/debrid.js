@@ -0,0 +1,369 @@
+// utils/debrid.js
+// Debrid service integration: checks which torrents a debrid service has cached ("instant availability")
+// and resolves them into direct HTTP download links, so Stremio can play them without P2P.
+// Every provider implements the same interface:
+//   - checkCached(apiKey, infoHashes): resolves to the Set of cached (lowercase) info hashes; left out by providers
+//     that can't report cached torrents (Real-Debrid removed its instant availability endpoint, AllDebrid deprecated its one)
+//   - resolve(apiKey, infoHash, selection): resolves to a direct download URL for the selected file
+// Real-Debrid, AllDebrid, Premiumize and TorBox are supported. The 'mock' provider (enabled with DEBRID_ALLOW_MOCK)
+// needs no account: its API key is 'all' or a comma-separated list of info hashes to report as cached.
+
+const crypto = require('crypto');
+const config = require('../config');
+const { upstreamRequest } = require('./httpClient');
+const { createCache } = require('./cache');
+const { logger } = require('./logger');
+const { parseEpisodeInfo } = require('./releaseParser');
+
+const availabilityCache = createCache('debrid', { ttl: 3600 }); // Cached/not cached per provider and info hash
+const linkCache = createCache('debrid-links', { ttl: 3600 }); // Resolved download links per account and file
+
+const VIDEO_FILE_EXTENSION_REGEX = /\.(mkv|mp4|avi|m4v|ts|wmv|mov|webm)$/i;
+const AVAILABILITY_BATCH_SIZE = 40; // Info hashes per availability request
+const AGENT_NAME = 'stremio-bitmagnet-addon';
+
+/**
+ * Builds a magnet URI for an info hash.
+ * @param {string} infoHash - The info hash.
+ * @returns {string} The magnet URI.
+ */
+function toMagnet(infoHash) {
+    return `magnet:?xt=urn:btih:${infoHash}`;
+}
+
+/**
+ * Splits an array into chunks.
+ * @param {Array<*>} items - The items.
+ * @param {number} size - The chunk size.
+ * @returns {Array<Array<*>>} The chunks.
+ */
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+/**
+ * Picks the file to play from a debrid file list.
+ * The file Stremio was pointed at (by name) wins, then a file matching the requested episode, then the largest video.
+ * @param {Array<{name: string, size: number}>} files - The files (name may be a path).
+ * @param {object} selection - What to play.
+ * @param {string} [selection.filename] - The file name picked from BitMagnet's file listing.
+ * @param {number} [selection.season] - The requested season (series).
+ * @param {number} [selection.episode] - The requested episode (series).
+ * @returns {object|null} The selected file, or null if there is no video file.
+ */
+function selectFile(files, { filename, season, episode } = {}) {
+    const baseName = file => String(file.name).split('/').pop();
+    const videos = files.filter(file => VIDEO_FILE_EXTENSION_REGEX.test(baseName(file)) && !/(?<![a-z])sample(?![a-z])/i.test(baseName(file)));
+    const bySize = (a, b) => (b.size || 0) - (a.size || 0);
+
+    if (filename) {
+        const named = videos.find(file => baseName(file) === filename);
+        if (named) return named;
+    }
+    if (season && episode) {
+        const episodeFiles = videos.filter(file => parseEpisodeInfo(baseName(file))
+            .some(parsed => parsed.season === season && parsed.episodes.includes(episode)));
+        if (episodeFiles.length > 0) return episodeFiles.sort(bySize)[0];
+    }
+    return videos.sort(bySize)[0] || null;
+}
+
+/**
+ * Throws if a provider answered with an error payload.
+ * @param {string} providerName - The provider name for the message.
+ * @param {boolean} ok - Whether the payload reports success.
+ * @param {*} details - Error details from the payload.
+ */
+function assertProviderSuccess(providerName, ok, details) {
+    if (!ok) {
+        throw new Error(`${providerName} error: ${typeof details === 'string' ? details : JSON.stringify(details)}`);
+    }
+}
+
+const realDebrid = {
+    id: 'realdebrid',
+    name: 'Real-Debrid',
+    shortName: 'RD',
+    baseUrl: 'https://api.real-debrid.com/rest/1.0',
+
+    request(apiKey, operation, { path, ...requestConfig }) {
+        return upstreamRequest('realdebrid', operation, {
+            ...requestConfig,
+            url: `${this.baseUrl}${path}`,
+            headers: { Authorization: `Bearer ${apiKey}` },
+            timeout: 10000, // 10 seconds timeout
+        });
+    },
+
+    // No checkCached: /torrents/instantAvailability was removed and no other endpoint reports cached torrents.
+    // Only adding a torrent shows whether it is cached, so that is left to resolve().
+
+    async resolve(apiKey, infoHash, selection) {
+        const added = await this.request(apiKey, 'resolve', {
+            method: 'post', path: '/torrents/addMagnet', data: new URLSearchParams({ magnet: toMagnet(infoHash) }),
+        });
+        const torrentId = added.data.id;
+        const info = await this.request(apiKey, 'resolve', { path: `/torrents/info/${torrentId}` });
+        const file = selectFile((info.data.files || []).map(f => ({ id: f.id, name: f.path, size: f.bytes })), selection);
+        if (!file) throw new Error(`Real-Debrid torrent ${infoHash} has no video file.`);
+
+        await this.request(apiKey, 'resolve', {
+            method: 'post', path: `/torrents/selectFiles/${torrentId}`, data: new URLSearchParams({ files: String(file.id) }),
+        });
+        const selected = await this.request(apiKey, 'resolve', { path: `/torrents/info/${torrentId}` });
+        if (selected.data.status !== 'downloaded' || !selected.data.links || selected.data.links.length === 0) {
+            // Not cached: remove it again instead of leaving a download running in the user's account
+            await this.request(apiKey, 'resolve', { method: 'delete', path: `/torrents/delete/${torrentId}` })
+                .catch(error => logger.warn(`Could not remove Real-Debrid torrent ${infoHash}:`, error.message));
+            throw new Error(`Real-Debrid torrent ${infoHash} is not cached (status ${selected.data.status}).`);
+        }
+        const unrestricted = await this.request(apiKey, 'resolve', {
+            method: 'post', path: '/unrestrict/link', data: new URLSearchParams({ link: selected.data.links[0] }),
+        });
+        return unrestricted.data.download;
+    },
+};
+
+const allDebrid = {
+    id: 'alldebrid',
+    name: 'AllDebrid',
+    shortName: 'AD',
+    baseUrl: 'https://api.alldebrid.com/v4',
+
+    async request(apiKey, operation, path, params = {}, options = {}) {
+        const response = await upstreamRequest('alldebrid', operation, {
+            url: `${this.baseUrl}${path}`,
+            params: { agent: AGENT_NAME, apikey: apiKey, ...params },
+            timeout: 10000, // 10 seconds timeout
+        }, options);
+        assertProviderSuccess('AllDebrid', response.data.status === 'success', response.data.error);
+        return response.data.data;
+    },
+
+    // No checkCached: /magnet/instant is deprecated, and uploading every listed magnet just to see whether it is
+    // ready would fill the user's account with everything they browsed. resolve() finds out when a stream is played.
+
+    async resolve(apiKey, infoHash, selection) {
+        // Uploading changes the account even though it is a GET, so it is not retried
+        const uploaded = await this.request(apiKey, 'resolve', '/magnet/upload', { magnets: [toMagnet(infoHash)] }, { idempotent: false });
+        const magnetId = uploaded.magnets[0].id;
+        const status = await this.request(apiKey, 'resolve', '/magnet/status', { id: magnetId });
+        const links = (status.magnets && status.magnets.links) || [];
+        const file = selectFile(links.map(l => ({ link: l.link, name: l.filename, size: l.size })), selection);
+        if (!file) {
+            // Not cached: remove it again instead of leaving a download running in the user's account
+            await this.request(apiKey, 'resolve', '/magnet/delete', { id: magnetId }, { idempotent: false })
+                .catch(error => logger.warn(`Could not remove AllDebrid magnet ${infoHash}:`, error.message));
+            throw new Error(`AllDebrid magnet ${infoHash} is not ready or has no video file.`);
+        }
+
+        const unlocked = await this.request(apiKey, 'resolve', '/link/unlock', { link: file.link });
+        return unlocked.link;
+    },
+};
+
+const premiumize = {
+    id: 'premiumize',
+    name: 'Premiumize',
+    shortName: 'PM',
+    baseUrl: 'https://www.premiumize.me/api',
+
+    async checkCached(apiKey, infoHashes) {
+        const response = await upstreamRequest('premiumize', 'availability', {
+            url: `${this.baseUrl}/cache/check`,
+            params: { apikey: apiKey, items: infoHashes },
+            timeout: 10000, // 10 seconds timeout
+        });
+        assertProviderSuccess('Premiumize', response.data.status === 'success', response.data.message);
+        return new Set(infoHashes.filter((infoHash, i) => response.data.response[i] === true));
+    },
+
+    async resolve(apiKey, infoHash, selection) {
+        const response = await upstreamRequest('premiumize', 'resolve', {
+            method: 'post',
+            url: `${this.baseUrl}/transfer/directdl`,
+            params: { apikey: apiKey },
+            data: new URLSearchParams({ src: toMagnet(infoHash) }),
+            timeout: 15000, // 15 seconds timeout
+        });
+        assertProviderSuccess('Premiumize', response.data.status === 'success', response.data.message);
+        const file = selectFile((response.data.content || []).map(f => ({ link: f.link, name: f.path, size: f.size })), selection);
+        if (!file) throw new Error(`Premiumize transfer ${infoHash} has no video file.`);
+        return file.link;
+    },
+};
+
+const torBox = {
+    id: 'torbox',
+    name: 'TorBox',
+    shortName: 'TB',
+    baseUrl: 'https://api.torbox.app/v1/api',
+
+    async request(apiKey, operation, { path, ...requestConfig }) {
+        const response = await upstreamRequest('torbox', operation, {
+            ...requestConfig,
+            url: `${this.baseUrl}${path}`,
+            headers: { Authorization: `Bearer ${apiKey}` },
+            timeout: 10000, // 10 seconds timeout
+        });
+        assertProviderSuccess('TorBox', response.data.success, response.data.detail || response.data.error);
+        return response.data.data;
+    },
+
+    async checkCached(apiKey, infoHashes) {
+        const data = await this.request(apiKey, 'availability', {
+            path: '/torrents/checkcached', params: { hash: infoHashes.join(','), format: 'object' },
+        });
+        return new Set(Object.keys(data || {}).map(infoHash => infoHash.toLowerCase()));
+    },
+
+    async resolve(apiKey, infoHash, selection) {
+        const form = new FormData();
+        form.append('magnet', toMagnet(infoHash));
+        const created = await this.request(apiKey, 'resolve', { method: 'post', path: '/torrents/createtorrent', data: form });
+        const torrentId = created.torrent_id;
+        const torrent = await this.request(apiKey, 'resolve', {
+            path: '/torrents/mylist', params: { id: torrentId, bypass_cache: true },
+        });
+        const file = selectFile((torrent.files || []).map(f => ({ id: f.id, name: f.name, size: f.size })), selection);
+        if (!file) throw new Error(`TorBox torrent ${infoHash} has no video file.`);
+
+        return this.request(apiKey, 'resolve', {
+            path: '/torrents/requestdl', params: { token: apiKey, torrent_id: torrentId, file_id: file.id },
+        });
+    },
+};
+
+const mock = {
+    id: 'mock',
+    name: 'Mock (testing)',
+    shortName: 'MOCK',
+
+    async checkCached(apiKey, infoHashes) {
+        if (apiKey.trim().toLowerCase() === 'all') {
+            return new Set(infoHashes);
+        }
+        const cached = apiKey.split(',').map(infoHash => infoHash.trim().toLowerCase());
+        return new Set(infoHashes.filter(infoHash => cached.includes(infoHash)));
+    },
+
+    async resolve(apiKey, infoHash, selection) {
+        if (!(await this.checkCached(apiKey, [infoHash])).has(infoHash)) {
+            throw new Error(`Mock torrent ${infoHash} is not cached.`);
+        }
+        const fileName = selection.filename || (selection.season ? `S${selection.season}E${selection.episode}.mkv` : 'movie.mkv');
+        return `https://mock-debrid.invalid/download/${infoHash}/${encodeURIComponent(fileName)}`;
+    },
+};
+
+const PROVIDERS = [realDebrid, allDebrid, premiumize, torBox, mock];
+
+/**
+ * Returns the debrid providers that can be configured (the mock provider only with DEBRID_ALLOW_MOCK).
+ * @returns {Array<{id: string, name: string, shortName: string}>} The providers.
+ */
+function getDebridProviders() {
+    return PROVIDERS
+        .filter(provider => provider.id !== 'mock' || config.DEBRID_ALLOW_MOCK === 'true')
+        .map(({ id, name, shortName }) => ({ id, name, shortName }));
+}
+
+/**
+ * Returns a provider implementation by ID.
+ * @param {string} providerId - The provider ID (e.g. 'realdebrid').
+ * @returns {object|null} The provider, or null if unknown or not enabled.
+ */
+function getProvider(providerId) {
+    if (!getDebridProviders().some(provider => provider.id === providerId)) {
+        return null;
+    }
+    return PROVIDERS.find(provider => provider.id === providerId);
+}
+
+/**
+ * Checks which torrents a debrid service has cached. Results are cached per provider and info hash;
+ * failed checks are logged and count as not cached (and are not cached).
+ * @param {string} providerId - The provider ID.
+ * @param {string} apiKey - The user's API key.
+ * @param {Array<string>} infoHashes - The info hashes to check.
+ * @returns {Promise<Set<string>|null>} The cached info hashes (lowercase), or null if the provider can't report them.
+ */
+async function getCachedInfoHashes(providerId, apiKey, infoHashes) {
+    const provider = getProvider(providerId);
+    const cached = new Set();
+    if (!provider || !apiKey || infoHashes.length === 0) {
+        return cached;
+    }
+    if (!provider.checkCached) {
+        logger.info(`${provider.name} can't report cached torrents, availability is only known when a stream is played.`);
+        return null;
+    }
+
+    // The mock's answer depends on the key, so it isn't cached
+    const cacheKeyOf = infoHash => `${provider.id}_${infoHash}`;
+    const unknown = [];
+    for (const infoHash of infoHashes.map(h => String(h).toLowerCase())) {
+        const known = provider.id === 'mock' ? undefined : await availabilityCache.get(cacheKeyOf(infoHash));
+        if (known === undefined) {
+            unknown.push(infoHash);
+        } else if (known) {
+            cached.add(infoHash);
+        }
+    }
+
+    for (const batch of chunk(unknown, AVAILABILITY_BATCH_SIZE)) {
+        try {
+            const batchCached = await provider.checkCached(apiKey, batch);
+            for (const infoHash of batch) {
+                const isCached = batchCached.has(infoHash);
+                if (isCached) cached.add(infoHash);
+                if (provider.id !== 'mock') await availabilityCache.set(cacheKeyOf(infoHash), isCached);
+            }
+        } catch (error) {
+            logger.error(`Error checking ${provider.name} availability for ${batch.length} torrent(s):`, error.message);
+        }
+    }
+
+    logger.info(`${provider.name}: ${cached.size}/${infoHashes.length} torrent(s) cached.`);
+    return cached;
+}
+
+/**
+ * Resolves a cached torrent into a direct download link for the selected file.
+ * Links are cached per account (a hash of the API key, never the key itself) and file.
+ * @param {string} providerId - The provider ID.
+ * @param {string} apiKey - The user's API key.
+ * @param {string} infoHash - The info hash.
+ * @param {object} [selection] - The file to play (filename, season, episode; see selectFile).
+ * @returns {Promise<string>} The download URL. Rejects if the torrent isn't cached or the provider fails.
+ */
+async function resolveDebridLink(providerId, apiKey, infoHash, selection = {}) {
+    const provider = getProvider(providerId);
+    if (!provider) {
+        throw new Error(`Unknown debrid provider "${providerId}".`);
+    }
+
+    const account = crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16);
+    const cacheKey = `${provider.id}_${account}_${infoHash}_${selection.filename || ''}_${selection.season || ''}_${selection.episode || ''}`;
+    const cachedLink = await linkCache.get(cacheKey);
+    if (cachedLink) {
+        logger.debug(`Returning cached ${provider.name} link for ${infoHash}`);
+        return cachedLink;
+    }
+
+    logger.info(`Resolving ${infoHash} with ${provider.name}.`);
+    const link = await provider.resolve(apiKey, String(infoHash).toLowerCase(), selection);
+    await linkCache.set(cacheKey, link);
+    return link;
+}
+
+module.exports = {
+    getDebridProviders,
+    getCachedInfoHashes,
+    resolveDebridLink,
+    selectFile,
+};
@@ -0,0 +1,199 @@
+// utils/downloadClient.js
+// Hands torrents over to a local download client instead of streaming them.
+// The client is configured server-wide with DOWNLOAD_CLIENT ('qbittorrent' or 'transmission'), DOWNLOAD_CLIENT_URL
+// and optional credentials. Torrents are added with a category (qBittorrent) or label (Transmission) per content type.
+// Download links are signed with DOWNLOAD_LINK_SECRET, so the endpoint can't be used to add arbitrary torrents to the client.
+
+const crypto = require('crypto');
+const config = require('../config');
+const { upstreamRequest } = require('./httpClient');
+const { logger } = require('./logger');
+
+let qbittorrentCookie = null; // SID cookie of the qBittorrent Web API session
+let transmissionSessionId = null; // X-Transmission-Session-Id (CSRF token) of the Transmission RPC
+let generatedLinkSecret = null; // Random signing key used when DOWNLOAD_LINK_SECRET is not set
+
+const CLIENTS = {
+    qbittorrent: { name: 'qBittorrent', addMagnet: addMagnetToQbittorrent },
+    transmission: { name: 'Transmission', addMagnet: addMagnetToTransmission },
+};
+
+/**
+ * Returns the configured download client.
+ * @returns {{id: string, name: string}|null} The client, or null if none (or an unknown one) is configured.
+ */
+function getDownloadClient() {
+    const id = (config.DOWNLOAD_CLIENT || '').toLowerCase();
+    if (!CLIENTS[id] || !config.DOWNLOAD_CLIENT_URL) {
+        return null;
+    }
+    return { id, name: CLIENTS[id].name };
+}
+
+/**
+ * Returns the category/label for a content type.
+ * @param {string} type - 'movie' or 'series'.
+ * @returns {string} The category ('' for none).
+ */
+function getDownloadCategory(type) {
+    return (type === 'series' ? config.DOWNLOAD_CATEGORY_SERIES : config.DOWNLOAD_CATEGORY_MOVIE) || '';
+}
+
+/**
+ * Returns the key download links are signed with.
+ * Without DOWNLOAD_LINK_SECRET a random key is generated per process, so links handed out before a restart stop working.
+ * @returns {string} The signing key.
+ */
+function getDownloadLinkSecret() {
+    if (config.DOWNLOAD_LINK_SECRET) {
+        return config.DOWNLOAD_LINK_SECRET;
+    }
+    if (!generatedLinkSecret) {
+        generatedLinkSecret = crypto.randomBytes(32).toString('hex');
+        logger.warn('DOWNLOAD_LINK_SECRET is not set, download links are signed with a random key and stop working when the addon restarts.');
+    }
+    return generatedLinkSecret;
+}
+
+/**
+ * Signs a download request.
+ * @param {string} type - 'movie' or 'series'.
+ * @param {string} infoHash - The info hash (lowercase).
+ * @returns {string} The signature (hex).
+ */
+function signDownload(type, infoHash) {
+    return crypto.createHmac('sha256', getDownloadLinkSecret()).update(`${type}:${infoHash}`).digest('hex').slice(0, 32);
+}
+
+/**
+ * Checks the signature of a download request.
+ * @param {string} type - 'movie' or 'series'.
+ * @param {string} infoHash - The info hash (lowercase).
+ * @param {string} signature - The signature from the link.
+ * @returns {boolean} True if the signature is valid.
+ */
+function verifyDownloadSignature(type, infoHash, signature) {
+    const expected = Buffer.from(signDownload(type, infoHash));
+    const actual = Buffer.from(String(signature || ''));
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Builds the path of the download endpoint for a torrent (relative to the addon's base URL).
+ * @param {string} type - 'movie' or 'series'.
+ * @param {string} infoHash - The info hash.
+ * @returns {string} The path, e.g. '/download/movie/<infoHash>?sig=...'.
+ */
+function getDownloadPath(type, infoHash) {
+    const normalizedHash = String(infoHash).toLowerCase();
+    return `/download/${type}/${normalizedHash}?sig=${signDownload(type, normalizedHash)}`;
+}
+
+/**
+ * Logs in to the qBittorrent Web API and stores the session cookie.
+ * @returns {Promise<void>}
+ */
+async function loginToQbittorrent() {
+    const response = await upstreamRequest('qbittorrent', 'login', {
+        method: 'post',
+        url: `${config.DOWNLOAD_CLIENT_URL.replace(/\/+$/, '')}/api/v2/auth/login`,
+        data: new URLSearchParams({ username: config.DOWNLOAD_CLIENT_USERNAME, password: config.DOWNLOAD_CLIENT_PASSWORD }),
+        headers: { Referer: config.DOWNLOAD_CLIENT_URL }, // qBittorrent's CSRF protection checks the Referer/Origin
+        timeout: 10000, // 10 seconds timeout
+    });
+    if (String(response.data).trim() !== 'Ok.') {
+        throw new Error('qBittorrent login failed, check DOWNLOAD_CLIENT_USERNAME and DOWNLOAD_CLIENT_PASSWORD.');
+    }
+    const sessionCookie = (response.headers['set-cookie'] || []).find(cookie => cookie.startsWith('SID='));
+    qbittorrentCookie = sessionCookie ? sessionCookie.split(';')[0] : null; // No cookie when auth is disabled for this host
+}
+
+/**
+ * Adds a magnet to qBittorrent (Web API v2), logging in first if needed.
+ * @param {string} magnetUri - The magnet URI.
+ * @param {string} category - The category ('' for none).
+ * @returns {Promise<void>}
+ */
+async function addMagnetToQbittorrent(magnetUri, category) {
+    const send = () => upstreamRequest('qbittorrent', 'add', {
+        method: 'post',
+        url: `${config.DOWNLOAD_CLIENT_URL.replace(/\/+$/, '')}/api/v2/torrents/add`,
+        data: new URLSearchParams({ urls: magnetUri, ...(category ? { category } : {}) }),
+        headers: { Referer: config.DOWNLOAD_CLIENT_URL, ...(qbittorrentCookie ? { Cookie: qbittorrentCookie } : {}) },
+        timeout: 10000, // 10 seconds timeout
+    });
+
+    if (!qbittorrentCookie && config.DOWNLOAD_CLIENT_USERNAME) {
+        await loginToQbittorrent();
+    }
+    let response;
+    try {
+        response = await send();
+    } catch (error) {
+        if (!error.response || error.response.status !== 403) {
+            throw error;
+        }
+        await loginToQbittorrent(); // The session expired
+        response = await send();
+    }
+    if (String(response.data).trim() !== 'Ok.') {
+        throw new Error(`qBittorrent refused the torrent: ${response.data}`);
+    }
+}
+
+/**
+ * Adds a magnet to Transmission (RPC), doing the X-Transmission-Session-Id handshake if needed.
+ * @param {string} magnetUri - The magnet URI.
+ * @param {string} label - The label ('' for none).
+ * @returns {Promise<void>}
+ */
+async function addMagnetToTransmission(magnetUri, label) {
+    const send = () => upstreamRequest('transmission', 'add', {
+        method: 'post',
+        url: config.DOWNLOAD_CLIENT_URL,
+        data: { method: 'torrent-add', arguments: { filename: magnetUri, ...(label ? { labels: [label] } : {}) } },
+        headers: transmissionSessionId ? { 'X-Transmission-Session-Id': transmissionSessionId } : {},
+        auth: config.DOWNLOAD_CLIENT_USERNAME
+            ? { username: config.DOWNLOAD_CLIENT_USERNAME, password: config.DOWNLOAD_CLIENT_PASSWORD }
+            : undefined,
+        timeout: 10000, // 10 seconds timeout
+    });
+
+    let response;
+    try {
+        response = await send();
+    } catch (error) {
+        if (!error.response || error.response.status !== 409) {
+            throw error;
+        }
+        transmissionSessionId = error.response.headers['x-transmission-session-id']; // Transmission's CSRF handshake
+        response = await send();
+    }
+    if (response.data.result !== 'success') {
+        throw new Error(`Transmission refused the torrent: ${response.data.result}`);
+    }
+}
+
+/**
+ * Adds a magnet to the configured download client.
+ * @param {string} magnetUri - The magnet URI.
+ * @param {string} type - 'movie' or 'series' (selects the category/label).
+ * @returns {Promise<{client: string, category: string}>} The client name and the category used.
+ */
+async function sendToDownloadClient(magnetUri, type) {
+    const client = getDownloadClient();
+    if (!client) {
+        throw new Error('No download client is configured (DOWNLOAD_CLIENT and DOWNLOAD_CLIENT_URL).');
+    }
+    const category = getDownloadCategory(type);
+    await CLIENTS[client.id].addMagnet(magnetUri, category);
+    logger.info(`Sent torrent to ${client.name}${category ? ` (category ${category})` : ''}.`);
+    return { client: client.name, category };
+}
+
+module.exports = {
+    getDownloadClient,
+    getDownloadPath,
+    verifyDownloadSignature,
+    sendToDownloadClient,
+};
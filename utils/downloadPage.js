@@ -0,0 +1,40 @@
+// utils/downloadPage.js
+// Renders the small HTML page shown after a "Send to" download link is opened (see /download in index.js).
+
+const { escapeHtml } = require('./configurePage');
+
+/**
+ * Renders the result of sending a torrent to the download client.
+ * @param {object} result - The outcome.
+ * @param {boolean} result.ok - Whether the torrent was added.
+ * @param {string} result.message - The headline (e.g. 'Sent to qBittorrent').
+ * @param {string} [result.torrentName] - The torrent name.
+ * @param {string} [result.category] - The category/label the torrent was added with.
+ * @returns {string} The HTML page.
+ */
+function renderDownloadPage({ ok, message, torrentName, category }) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(message)}</title>
+<style>
+    body { font-family: sans-serif; background: #1b1b2f; color: #eee; max-width: 560px; margin: 40px auto; padding: 0 16px; }
+    h1 { color: ${ok ? '#7fdc8f' : '#f07878'}; }
+    p { word-break: break-word; }
+    small { color: #aaa; }
+</style>
+</head>
+<body>
+<h1>${ok ? '⬇' : '⚠'} ${escapeHtml(message)}</h1>
+${torrentName ? `<p>${escapeHtml(torrentName)}</p>` : ''}
+${category ? `<p><small>Category: ${escapeHtml(category)}</small></p>` : ''}
+<p><small>You can close this page.</small></p>
+</body>
+</html>`;
+}
+
+module.exports = {
+    renderDownloadPage,
+};
@@ -0,0 +1,220 @@
+// utils/filterRules.js
+// User exclusion rules for stream results, e.g. "exclude codec:HEVC; exclude group:YIFY,RARBG; require resolution:1080p+".
+// Rules are separated by ';' or new lines and have the form "<exclude|require> <field>[:<values>]":
+//   exclude drops torrents the rule matches, require drops torrents it doesn't match.
+// Fields (values are comma-separated and case-insensitive):
+//   codec:HEVC,AV1           video codec (HEVC/H265/x265 and AVC/H264/x264 are the same codec)
+//   source:CAM,TS,WEBRip     release source, REMUX included
+//   group:YIFY,RARBG         release group
+//   resolution:1080p+        resolution; a trailing + means "or higher"
+//   hdr:DV,HDR10+,SDR        HDR format (SDR = none)
+//   dv-without-hdr10         Dolby Vision without an HDR10/HDR10+ fallback layer (no value)
+//   3d                       3D releases (no value)
+//   keyword:HC,KORSUB        words or phrases in the torrent name, matched literally as whole tokens
+// Torrents whose codec, source, resolution or group is unknown never match a rule of that field.
+// Keywords are never compiled as regexes: rules come from addon URLs anyone can build, and a catastrophic
+// pattern run against every torrent name would block the event loop.
+
+const { parseRelease, tokenRegex } = require('./releaseParser');
+const { logger } = require('./logger');
+
+const RESOLUTION_ORDER = ['360p', '480p', '540p', '576p', '720p', '1080p', '1440p', '2160p', '4320p'];
+
+// Alternative names of the same codec/source (compared without case and punctuation)
+const CODEC_ALIASES = {
+    hevc: 'hevc', h265: 'hevc', x265: 'hevc',
+    avc: 'avc', h264: 'avc', x264: 'avc',
+};
+const SOURCE_ALIASES = {
+    telesync: 'ts', hdts: 'ts', telecine: 'tc', hdtc: 'tc', screener: 'scr',
+    web: 'webdl', blu: 'bluray', tv: 'hdtv', bdremux: 'remux',
+};
+
+/**
+ * Normalizes a codec/source/group name for comparison.
+ * @param {string} value - The name.
+ * @param {object} [aliases] - Alternative names mapped to a canonical one.
+ * @returns {string} The normalized name.
+ */
+function normalizeValue(value, aliases = {}) {
+    const normalized = String(value).toLowerCase().replace(/[^a-z0-9+]/g, '');
+    return aliases[normalized] || normalized;
+}
+
+/**
+ * Reads the properties rules are evaluated against, from BitMagnet's classification first and the release name second.
+ * @param {object} torrentContent - The torrent content object from BitMagnet.
+ * @returns {object} The codec, sources, group, resolution, HDR formats, 3D flag and name.
+ */
+function getTorrentProperties(torrentContent) {
+    const name = torrentContent.torrent.name;
+    const release = parseRelease(name);
+    const sources = [torrentContent.videoSource, release.source].filter(Boolean).map(value => normalizeValue(value, SOURCE_ALIASES));
+    if (torrentContent.videoModifier === 'REMUX' || release.remux) {
+        sources.push('remux');
+    }
+    const codec = torrentContent.videoCodec || release.codec;
+    const group = torrentContent.releaseGroup || release.group;
+    return {
+        name,
+        codec: codec ? normalizeValue(codec, CODEC_ALIASES) : null,
+        sources,
+        group: group ? normalizeValue(group) : null,
+        resolution: torrentContent.videoResolution ? torrentContent.videoResolution.replace('V', '') : release.resolution,
+        hdr: release.hdr,
+        threeD: Boolean(torrentContent.video3d) || release.threeD,
+    };
+}
+
+/**
+ * Builds the matcher of a keyword rule. The keywords are escaped, so they only ever match literally.
+ * @param {Array<string>} keywords - The words/phrases.
+ * @returns {RegExp} The whole-token regex matching any of them (throws for '/regex/' values, which are not supported).
+ */
+function buildKeywordRegex(keywords) {
+    if (keywords.some(keyword => /^\/.*\/[a-z]*$/.test(keyword))) {
+        throw new Error('regular expressions are not supported, use comma-separated keywords');
+    }
+    return tokenRegex(keywords.map(keyword => keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'));
+}
+
+// Rule fields: whether they take values and how they match a torrent.
+// match returns a short description of what matched (for logs and diagnostics), or null.
+const FIELDS = {
+    codec: {
+        parseValues: values => values.map(value => normalizeValue(value, CODEC_ALIASES)),
+        match: (props, values) => (props.codec && values.includes(props.codec) ? props.codec : null),
+    },
+    source: {
+        parseValues: values => values.map(value => normalizeValue(value, SOURCE_ALIASES)),
+        match: (props, values) => props.sources.find(source => values.includes(source)) || null,
+    },
+    group: {
+        parseValues: values => values.map(value => normalizeValue(value)),
+        match: (props, values) => (props.group && values.includes(props.group) ? props.group : null),
+    },
+    resolution: {
+        parseValues: values => values.map(value => {
+            const resolution = value.toLowerCase().replace(/\+$/, '').replace(/^(\d+)$/, '$1p').replace(/^4k$/, '2160p');
+            if (!RESOLUTION_ORDER.includes(resolution)) {
+                throw new Error(`unknown resolution "${value}"`);
+            }
+            return { rank: RESOLUTION_ORDER.indexOf(resolution), orHigher: value.endsWith('+') };
+        }),
+        match: (props, values) => {
+            const rank = RESOLUTION_ORDER.indexOf(props.resolution);
+            if (rank === -1) return null;
+            return values.some(value => (value.orHigher ? rank >= value.rank : rank === value.rank)) ? props.resolution : null;
+        },
+    },
+    hdr: {
+        parseValues: values => values.map(value => value.toUpperCase()),
+        match: (props, values) => {
+            const formats = props.hdr.length > 0 ? props.hdr : ['SDR'];
+            return formats.find(format => values.includes(format)) || null;
+        },
+    },
+    'dv-without-hdr10': {
+        match: props => (props.hdr.includes('DV') && !props.hdr.some(format => format.startsWith('HDR')) ? 'DV only' : null),
+    },
+    '3d': {
+        match: props => (props.threeD ? '3D' : null),
+    },
+    keyword: {
+        parseValues: values => [buildKeywordRegex(values)],
+        match: (props, values) => {
+            const match = props.name.match(values[0]);
+            return match ? match[0] : null;
+        },
+    },
+};
+
+/**
+ * Parses a rule list. Invalid rules are reported and skipped, so one typo doesn't disable the others.
+ * @param {string} spec - The rules, separated by ';' or new lines (see the top of this file).
+ * @returns {{rules: Array<object>, errors: Array<string>}} The parsed rules (text, action, field, values) and the errors.
+ */
+function parseFilterRules(spec) {
+    const rules = [];
+    const errors = [];
+    String(spec || '').split(/[;\n]/).map(text => text.trim()).filter(Boolean).forEach(text => {
+        const ruleMatch = text.match(/^(exclude|require)\s+([a-z0-9-]+)\s*(?::\s*(.*))?$/i);
+        const field = ruleMatch && FIELDS[ruleMatch[2].toLowerCase()];
+        if (!field) {
+            errors.push(`"${text}": expected "exclude|require <${Object.keys(FIELDS).join('|')}>[:values]"`);
+            return;
+        }
+        const rawValue = (ruleMatch[3] || '').trim();
+        if (Boolean(field.parseValues) !== Boolean(rawValue)) {
+            errors.push(`"${text}": ${field.parseValues ? 'missing values' : 'takes no values'}`);
+            return;
+        }
+        try {
+            const values = field.parseValues
+                ? field.parseValues(rawValue.split(',').map(value => value.trim()).filter(Boolean))
+                : [];
+            rules.push({ text: `${ruleMatch[1].toLowerCase()} ${ruleMatch[2].toLowerCase()}${rawValue ? `:${rawValue}` : ''}`, action: ruleMatch[1].toLowerCase(), field: ruleMatch[2].toLowerCase(), values });
+        } catch (error) {
+            errors.push(`"${text}": ${error.message}`);
+        }
+    });
+    return { rules, errors };
+}
+
+/**
+ * Evaluates the rules against one torrent.
+ * @param {object} torrentContent - The torrent content object from BitMagnet.
+ * @param {Array<object>} rules - The parsed rules (see parseFilterRules).
+ * @returns {{passed: boolean, rule?: string, reason?: string}} Whether the torrent is kept; otherwise the first rule
+ *          that dropped it and why.
+ */
+function evaluateFilterRules(torrentContent, rules) {
+    const props = getTorrentProperties(torrentContent);
+    for (const rule of rules) {
+        const matched = FIELDS[rule.field].match(props, rule.values);
+        if (rule.action === 'exclude' && matched) {
+            return { passed: false, rule: rule.text, reason: `${rule.text} (matched ${matched})` };
+        }
+        if (rule.action === 'require' && !matched) {
+            return { passed: false, rule: rule.text, reason: `${rule.text} (not matched)` };
+        }
+    }
+    return { passed: true };
+}
+
+/**
+ * Applies the rules to a list of torrents and logs how many each rule removed.
+ * @param {Array<object>} torrents - The torrent content objects.
+ * @param {Array<object>} rules - The parsed rules (see parseFilterRules).
+ * @returns {{kept: Array<object>, dropped: Array<{torrentContent: object, rule: string, reason: string}>}}
+ *          The torrents that passed every rule and the dropped ones.
+ */
+function applyFilterRules(torrents, rules) {
+    if (rules.length === 0) {
+        return { kept: torrents, dropped: [] };
+    }
+
+    const kept = [];
+    const dropped = [];
+    const droppedPerRule = {};
+    torrents.forEach(torrentContent => {
+        const outcome = evaluateFilterRules(torrentContent, rules);
+        if (outcome.passed) {
+            kept.push(torrentContent);
+            return;
+        }
+        logger.debug(`Filter rule dropped "${torrentContent.torrent.name}": ${outcome.reason}`);
+        dropped.push({ torrentContent, rule: outcome.rule, reason: outcome.reason });
+        droppedPerRule[outcome.rule] = (droppedPerRule[outcome.rule] || 0) + 1;
+    });
+
+    const summary = Object.entries(droppedPerRule).map(([rule, count]) => `${rule}: ${count}`).join(', ');
+    logger.info(`Filter rules kept ${kept.length}/${torrents.length} torrents${summary ? ` (dropped by ${summary})` : ''}.`);
+    return { kept, dropped };
+}
+
+module.exports = {
+    parseFilterRules,
+    evaluateFilterRules,
+    applyFilterRules,
+};
@@ -0,0 +1,79 @@
+// utils/health.js
+// Liveness and readiness checks for orchestrators (see /health and /ready in index.js).
+// Readiness checks every external dependency and reports a per-service status and latency.
+// Only the services streams can't be found without (BitMagnet and TMDB) gate readiness; the others (OMDb, the cache)
+// only mark the addon as degraded.
+
+const config = require('../config');
+const { pingBitMagnet } = require('./bitmagnet');
+const { pingTmdb } = require('./tmdb');
+const { pingOmdb } = require('./omdb');
+const { pingCache } = require('./cache');
+const { getCircuitStates } = require('./httpClient');
+
+const startedAt = Date.now();
+const REQUIRED_SERVICES = ['bitmagnet', 'tmdb'];
+
+/**
+ * Checks whether an API key is missing or still the placeholder from config.js.
+ * @param {string} apiKey - The API key.
+ * @returns {boolean} True if the key can't be a real key.
+ */
+function isPlaceholderKey(apiKey) {
+    return !apiKey || apiKey.trim() === '' || /^YOUR_.*_HERE$/.test(apiKey);
+}
+
+/**
+ * Runs one dependency check and measures its latency.
+ * @param {function(): Promise<object|void>} check - The check; resolves (optionally with details) if the service is usable.
+ * @returns {Promise<{status: string, latencyMs: number, error?: string}>} The check result ('ok' or 'error').
+ */
+async function runCheck(check) {
+    const checkStartedAt = Date.now();
+    try {
+        const details = await check();
+        return { status: 'ok', latencyMs: Date.now() - checkStartedAt, ...(details || {}) };
+    } catch (error) {
+        return { status: 'error', latencyMs: Date.now() - checkStartedAt, error: error.message };
+    }
+}
+
+/**
+ * Returns the liveness status (the process is up and serving requests).
+ * @returns {{status: string, uptimeSeconds: number}} The liveness status.
+ */
+function getHealth() {
+    return { status: 'ok', uptimeSeconds: Math.round((Date.now() - startedAt) / 1000) };
+}
+
+/**
+ * Checks all dependencies in parallel: BitMagnet, TMDB, OMDb and the cache backend.
+ * API keys that are missing or still placeholders are reported as 'misconfigured' without calling the API.
+ * The circuit breaker state of every upstream host is included for context.
+ * @returns {Promise<{ready: boolean, degraded: Array<string>, checks: object, circuits: object}>} Overall readiness
+ *          (the required services are ok), the optional services that are not ok, the per-service results and the
+ *          per-host circuit breaker states.
+ */
+async function getReadiness() {
+    const misconfigured = (name) => ({ status: 'misconfigured', latencyMs: 0, error: `${name} is not set or is still the placeholder value.` });
+
+    const [bitmagnet, tmdb, omdb, cache] = await Promise.all([
+        runCheck(pingBitMagnet),
+        isPlaceholderKey(config.TMDB_API_KEY) ? misconfigured('TMDB_API_KEY') : runCheck(pingTmdb),
+        isPlaceholderKey(config.OMDB_API_KEY) ? misconfigured('OMDB_API_KEY') : runCheck(pingOmdb),
+        runCheck(pingCache),
+    ]);
+    const checks = { bitmagnet, tmdb, omdb, cache };
+
+    return {
+        ready: REQUIRED_SERVICES.every(name => checks[name].status === 'ok'),
+        degraded: Object.keys(checks).filter(name => !REQUIRED_SERVICES.includes(name) && checks[name].status !== 'ok'),
+        checks: checks,
+        circuits: getCircuitStates(),
+    };
+}
+
+module.exports = {
+    getHealth,
+    getReadiness,
+};
@@ -0,0 +1,284 @@
+// utils/httpClient.js
+// Shared HTTP client for the upstream services (BitMagnet, TMDB, OMDb, the tracker list).
+//   - Idempotent calls are retried on network errors, 429 and 5xx with jittered exponential backoff,
+//     waiting at least as long as the upstream's Retry-After header asks.
+//   - Each host has a concurrency limit (HTTP_MAX_CONCURRENCY_PER_HOST); further calls wait for a free slot.
+//   - Each host has a circuit breaker: after HTTP_CIRCUIT_FAILURE_THRESHOLD consecutive failures, calls fail
+//     immediately for HTTP_CIRCUIT_RESET_SECONDS, then a single trial call decides whether it closes again.
+// Failures are also recorded for the surrounding collectUpstreamFailures() call, so results computed while an
+// upstream was failing can be told apart from genuinely empty results and kept out of the caches.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const axios = require('axios');
+const config = require('../config');
+const { trackUpstream } = require('./metrics');
+const { logger } = require('./logger');
+
+const USER_AGENT = 'Stremio-BitMagnet-Addon/1.0';
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const hosts = new Map(); // Host -> { active, queue, failures, openUntil, trialInFlight }
+const failureCollector = new AsyncLocalStorage();
+
+/**
+ * Reads a numeric setting.
+ * @param {string} name - The config key.
+ * @param {number} fallback - Used if the setting is missing or invalid.
+ * @returns {number} The setting.
+ */
+function getNumberSetting(name, fallback) {
+    const value = parseInt(config[name], 10);
+    return isNaN(value) || value < 0 ? fallback : value;
+}
+
+/**
+ * Returns the limiter/breaker state of a host, creating it on first use.
+ * @param {string} host - The host (e.g. 'api.themoviedb.org').
+ * @returns {object} The host state.
+ */
+function getHostState(host) {
+    if (!hosts.has(host)) {
+        hosts.set(host, { active: 0, queue: [], failures: 0, openUntil: 0, trialInFlight: false });
+    }
+    return hosts.get(host);
+}
+
+/**
+ * Waits for a free concurrency slot on a host.
+ * @param {object} hostState - The host state.
+ * @returns {Promise<void>} Resolves once the slot is taken (release it with releaseSlot).
+ */
+function acquireSlot(hostState) {
+    const maxConcurrency = getNumberSetting('HTTP_MAX_CONCURRENCY_PER_HOST', 6) || 1;
+    if (hostState.active < maxConcurrency) {
+        hostState.active++;
+        return Promise.resolve();
+    }
+    return new Promise(resolve => hostState.queue.push(resolve)); // The slot is handed over by releaseSlot
+}
+
+/**
+ * Releases a concurrency slot, handing it to the next waiting call if there is one.
+ * @param {object} hostState - The host state.
+ */
+function releaseSlot(hostState) {
+    const next = hostState.queue.shift();
+    if (next) {
+        next();
+    } else {
+        hostState.active--;
+    }
+}
+
+/**
+ * Throws if the host's circuit is open. Once the open period has passed, one trial call is let through.
+ * @param {string} host - The host.
+ * @param {object} hostState - The host state.
+ * @returns {boolean} True if this call is the trial call of a half-open circuit.
+ */
+function checkCircuit(host, hostState) {
+    if (hostState.openUntil === 0) {
+        return false;
+    }
+    if (Date.now() < hostState.openUntil || hostState.trialInFlight) {
+        const error = new Error(`Circuit open for ${host}, not calling it until it recovers.`);
+        error.code = 'ECIRCUITOPEN';
+        throw error;
+    }
+    hostState.trialInFlight = true;
+    return true;
+}
+
+/**
+ * Records the outcome of a call in the host's circuit breaker.
+ * @param {string} host - The host.
+ * @param {object} hostState - The host state.
+ * @param {boolean} failed - Whether the call failed in a way that counts against the host.
+ * @param {boolean} isTrial - Whether the call was the trial call of a half-open circuit.
+ */
+function recordOutcome(host, hostState, failed, isTrial) {
+    if (isTrial) {
+        hostState.trialInFlight = false;
+    }
+    if (!failed) {
+        if (hostState.openUntil !== 0) {
+            logger.info(`Circuit for ${host} closed again.`);
+        }
+        hostState.failures = 0;
+        hostState.openUntil = 0;
+        return;
+    }
+
+    hostState.failures++;
+    if (isTrial || hostState.failures >= (getNumberSetting('HTTP_CIRCUIT_FAILURE_THRESHOLD', 5) || 1)) {
+        const resetSeconds = getNumberSetting('HTTP_CIRCUIT_RESET_SECONDS', 30);
+        hostState.openUntil = Date.now() + resetSeconds * 1000;
+        logger.warn(`Circuit for ${host} opened after ${hostState.failures} consecutive failure(s), retrying in ${resetSeconds}s.`);
+    }
+}
+
+/**
+ * Checks whether an error is a transient upstream failure (worth a retry and counted by the circuit breaker).
+ * Client errors like 401/404 and invalid responses are not: retrying them gives the same answer.
+ * @param {Error} error - The error.
+ * @returns {boolean} True for network errors, timeouts, 408, 429 and 5xx responses.
+ */
+function isTransientError(error) {
+    if (!error.isAxiosError) {
+        return false;
+    }
+    return !error.response || RETRYABLE_STATUSES.includes(error.response.status);
+}
+
+/**
+ * Parses a Retry-After header (seconds or an HTTP date).
+ * @param {object} [response] - The axios error response.
+ * @returns {number|null} The requested delay in milliseconds, or null if there is none.
+ */
+function getRetryAfterMs(response) {
+    const header = response && response.headers && response.headers['retry-after'];
+    if (!header) {
+        return null;
+    }
+    const seconds = Number(header);
+    if (!isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Returns the delay before a retry: full-jitter exponential backoff, but never less than Retry-After.
+ * @param {number} attempt - The attempt that failed (0 for the first call).
+ * @param {Error} error - The error of that attempt.
+ * @returns {number} The delay in milliseconds.
+ */
+function getRetryDelayMs(attempt, error) {
+    const baseDelay = getNumberSetting('HTTP_RETRY_BASE_DELAY_MS', 500);
+    const backoff = Math.random() * baseDelay * Math.pow(2, attempt);
+    const retryAfter = getRetryAfterMs(error.response);
+    return retryAfter === null ? backoff : Math.max(backoff, retryAfter);
+}
+
+/**
+ * Records a failed upstream call for the surrounding collectUpstreamFailures() call, if any.
+ * @param {string} service - The service name.
+ * @param {string} operation - The operation name.
+ * @param {Error} error - The error.
+ */
+function recordFailure(service, operation, error) {
+    const store = failureCollector.getStore();
+    if (store) {
+        store.push({ service, operation, error: error.message });
+    }
+}
+
+/**
+ * Sends a request to an upstream service through the shared limiter, circuit breaker and retry logic.
+ * Every attempt is tracked in the upstream metrics (see utils/metrics.js).
+ * @param {string} service - The service name for metrics and logs (e.g. 'tmdb').
+ * @param {string} operation - The operation name for metrics and logs (e.g. 'find').
+ * @param {object} requestConfig - The axios request config (method, url, params, data, headers, timeout).
+ * @param {object} [options] - Request options.
+ * @param {boolean} [options.idempotent] - Whether the call may be retried. Defaults to true for GET requests only.
+ * @param {function(object): object} [options.validate] - Called with the response; throw to fail the attempt (not retried).
+ * @param {boolean} [options.optional=false] - Failures don't mark the surrounding result as incomplete (see collectUpstreamFailures).
+ * @returns {Promise<object>} The axios response. Rejects with the last error once retries are exhausted.
+ */
+async function upstreamRequest(service, operation, requestConfig, { idempotent, validate = null, optional = false } = {}) {
+    const method = (requestConfig.method || 'get').toLowerCase();
+    const retries = (idempotent === undefined ? method === 'get' : idempotent) ? getNumberSetting('HTTP_RETRIES', 2) : 0;
+    const maxRetryDelay = getNumberSetting('HTTP_RETRY_MAX_DELAY_MS', 10000);
+    const host = new URL(requestConfig.url).host;
+    const hostState = getHostState(host);
+    const requestOptions = {
+        ...requestConfig,
+        method,
+        headers: { 'User-Agent': USER_AGENT, ...requestConfig.headers },
+    };
+
+    for (let attempt = 0; ; attempt++) {
+        let isTrial;
+        try {
+            isTrial = checkCircuit(host, hostState);
+        } catch (error) {
+            if (!optional) recordFailure(service, operation, error);
+            throw error;
+        }
+
+        let retryDelay;
+        await acquireSlot(hostState);
+        try {
+            const response = await trackUpstream(service, operation, () => axios.request(requestOptions).then(validate || (r => r)));
+            recordOutcome(host, hostState, false, isTrial);
+            return response;
+        } catch (error) {
+            const transient = isTransientError(error);
+            recordOutcome(host, hostState, transient, isTrial);
+
+            const delay = transient && attempt < retries ? getRetryDelayMs(attempt, error) : null;
+            if (delay === null || delay > maxRetryDelay) {
+                if (delay !== null) {
+                    logger.warn(`${service} ${operation} asked to retry after ${Math.round(delay / 1000)}s, giving up.`);
+                }
+                // Invalid responses (e.g. GraphQL errors) aren't retried but still mean the result is incomplete
+                if ((transient || !error.isAxiosError) && !optional) recordFailure(service, operation, error);
+                throw error;
+            }
+            logger.warn(`${service} ${operation} failed (${error.response ? `HTTP ${error.response.status}` : error.message}), retry ${attempt + 1}/${retries} in ${Math.round(delay)}ms.`);
+            retryDelay = delay;
+        } finally {
+            releaseSlot(hostState);
+        }
+        // The backoff runs without the host's slot, so other calls to the host aren't held up by it
+        await new Promise(resolve => setTimeout(resolve, retryDelay));
+    }
+}
+
+/**
+ * Runs a function and collects the upstream calls that failed while it ran (after retries), including calls
+ * whose errors were handled by returning an empty result. Used to keep results computed during an outage
+ * out of the caches.
+ * @param {function(): Promise<*>} fn - The function to run.
+ * @returns {Promise<{value: *, failures: Array<{service: string, operation: string, error: string}>}>}
+ *          The function's result and the failed calls.
+ */
+async function collectUpstreamFailures(fn) {
+    const failures = [];
+    const value = await failureCollector.run(failures, fn);
+    return { value, failures };
+}
+
+/**
+ * Checks whether an upstream call has failed so far inside the surrounding collectUpstreamFailures() call.
+ * @returns {boolean} True if a call failed (always false outside collectUpstreamFailures).
+ */
+function hasUpstreamFailures() {
+    const store = failureCollector.getStore();
+    return Boolean(store && store.length > 0);
+}
+
+/**
+ * Returns the circuit breaker state of every host called so far.
+ * @returns {object} Per host: state ('closed', 'open' or 'half-open'), consecutive failures, active and queued calls.
+ */
+function getCircuitStates() {
+    const states = {};
+    hosts.forEach((hostState, host) => {
+        let state = 'closed';
+        if (hostState.openUntil !== 0) {
+            state = Date.now() < hostState.openUntil ? 'open' : 'half-open';
+        }
+        states[host] = { state, failures: hostState.failures, active: hostState.active, queued: hostState.queue.length };
+    });
+    return states;
+}
+
+module.exports = {
+    upstreamRequest,
+    collectUpstreamFailures,
+    hasUpstreamFailures,
+    getCircuitStates,
+    isTransientError,
+};
@@ -0,0 +1,211 @@
+// utils/languages.js
+// Audio language detection and ordered language preferences (PREFERRED_LANGUAGE, e.g. "hindi,english").
+// A torrent's audio languages come from BitMagnet's classification and the release name (whole tokens only,
+// so "en" never matches inside "Green", and 3-letter codes only after the title, so "Ben-Hur" isn't Bengali),
+// taking these tags into account:
+//   - "<Language> Subs"/"Sub <Language>"/"ESub" mark subtitle languages, which are not audio languages
+//   - MULTi and DUAL (audio) add the original language to the named ones
+//   - "Dubbed" means the original language is not an audio track; "Subbed" means it is the only one
+// Without any named audio language, the audio is assumed to be the content's original language.
+
+const { LANGUAGE_ALIASES, tokenRegex, splitLanguageAliases, getReleaseTagSection } = require('./releaseParser');
+
+// ISO 639-1 codes (BitMagnet's language IDs, also accepted in preferences)
+const LANGUAGE_ISO_CODES = {
+    english: 'en', hindi: 'hi', tamil: 'ta', telugu: 'te', malayalam: 'ml', kannada: 'kn', bengali: 'bn', marathi: 'mr',
+    french: 'fr', spanish: 'es', german: 'de', japanese: 'ja', korean: 'ko', mandarin: 'zh', cantonese: 'yue',
+    arabic: 'ar', russian: 'ru', portuguese: 'pt', italian: 'it', dutch: 'nl', swedish: 'sv', norwegian: 'no',
+    danish: 'da', finnish: 'fi', polish: 'pl', turkish: 'tr', thai: 'th', vietnamese: 'vi', indonesian: 'id',
+    hebrew: 'he', greek: 'el', czech: 'cs', hungarian: 'hu', ukrainian: 'uk',
+};
+
+// Short codes shown in stream titles (languages not listed use their first three letters)
+const LANGUAGE_DISPLAY_CODES = {
+    french: 'FRE', german: 'GER', mandarin: 'MAN', cantonese: 'CAN', dutch: 'DUT', thai: 'THI', greek: 'GRE', czech: 'CZE',
+};
+
+const SUBTITLE_TOKEN = '(?:subs?|subbed|subtitles?|subtitled)';
+const MULTI_AUDIO_REGEX = tokenRegex(`(?:multi|dual)(?:[\\s._-]?audio)?(?![\\s._-]?${SUBTITLE_TOKEN}(?![a-z0-9]))`);
+const DUBBED_REGEX = tokenRegex('dubbed|dub');
+const SUBBED_REGEX = tokenRegex('subbed|subtitled');
+const ENGLISH_SUBS_REGEX = tokenRegex('e-?subs?'); // Common in Indian releases
+
+/**
+ * Builds the token regexes of a language: as an audio language, and as a subtitle language ("Eng Subs", "Sub ITA").
+ * @param {Array<string>} aliases - The language's names/codes as they appear in release names.
+ * @returns {{audio: RegExp, subtitles: RegExp}|null} The regexes, or null without aliases.
+ */
+function buildLanguageRegexes(aliases) {
+    if (aliases.length === 0) {
+        return null;
+    }
+    const names = aliases.map(alias => alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+    return {
+        audio: tokenRegex(names),
+        subtitles: tokenRegex(`(?:${names})[\\s._-]*${SUBTITLE_TOKEN}|${SUBTITLE_TOKEN}[\\s._-]*(?:${names})`),
+    };
+}
+
+/**
+ * Builds the regexes of a language's full names (matched anywhere) and short codes (matched in the tag section).
+ * @param {Array<string>} aliases - The language's names/codes.
+ * @returns {{names: object|null, codes: object|null}} The regexes (see buildLanguageRegexes).
+ */
+function buildLanguageMatchers(aliases) {
+    const { names, codes } = splitLanguageAliases(aliases);
+    return { names: buildLanguageRegexes(names), codes: buildLanguageRegexes(codes) };
+}
+
+const LANGUAGE_REGEXES = Object.fromEntries(
+    Object.entries(LANGUAGE_ALIASES).map(([language, aliases]) => [language, buildLanguageMatchers(aliases)])
+);
+
+/**
+ * Maps a language name, release-name alias or ISO 639-1 code to its canonical name.
+ * @param {string} value - E.g. 'English', 'eng' or 'en'.
+ * @returns {string|null} The canonical name (e.g. 'english'), or null if unknown.
+ */
+function canonicalLanguage(value) {
+    const lowerValue = String(value || '').trim().toLowerCase();
+    if (!lowerValue) return null;
+    if (LANGUAGE_ALIASES[lowerValue]) return lowerValue;
+    const byAlias = Object.keys(LANGUAGE_ALIASES).find(language => LANGUAGE_ALIASES[language].includes(lowerValue));
+    if (byAlias) return byAlias;
+    return Object.keys(LANGUAGE_ISO_CODES).find(language => LANGUAGE_ISO_CODES[language] === lowerValue) || null;
+}
+
+/**
+ * Parses an ordered language preference list.
+ * Unknown languages are kept as-is and matched by their name.
+ * @param {string} spec - Comma-separated languages, most preferred first (e.g. 'hindi, en').
+ * @returns {Array<string>} The languages, canonical and without duplicates.
+ */
+function parseLanguagePreferences(spec) {
+    const languages = String(spec || '').split(',')
+        .map(value => value.trim().toLowerCase())
+        .filter(Boolean)
+        .map(value => canonicalLanguage(value) || value);
+    return [...new Set(languages)];
+}
+
+/**
+ * Returns the title code of a language (e.g. 'ENG').
+ * @param {string} language - The canonical language name.
+ * @returns {string} The code.
+ */
+function getLanguageDisplayCode(language) {
+    return LANGUAGE_DISPLAY_CODES[language] || language.toUpperCase().substring(0, 3);
+}
+
+/**
+ * Returns the token regexes of a language, building them for languages missing from the alias table.
+ * @param {string} language - The canonical language name (or an unknown one from the preferences).
+ * @returns {{names: object|null, codes: object|null}} The regexes (see buildLanguageMatchers).
+ */
+function getLanguageRegexes(language) {
+    return LANGUAGE_REGEXES[language] || buildLanguageMatchers([language]);
+}
+
+/**
+ * Checks whether a release name names a language: full names anywhere, short codes in the tag section only.
+ * @param {string} name - The release name.
+ * @param {string} language - The language.
+ * @param {string} kind - 'audio' (any mention) or 'subtitles' (subtitle tags).
+ * @returns {boolean} True if the name names the language.
+ */
+function namesLanguage(name, language, kind) {
+    const { names, codes } = getLanguageRegexes(language);
+    return Boolean((names && names[kind].test(name)) || (codes && codes[kind].test(getReleaseTagSection(name))));
+}
+
+/**
+ * Removes a language's subtitle tags ("Eng Subs", "Sub ITA") from a release name.
+ * @param {string} name - The release name.
+ * @param {string} language - The language.
+ * @returns {string} The name without the tags.
+ */
+function removeSubtitleTags(name, language) {
+    return Object.values(getLanguageRegexes(language))
+        .filter(Boolean)
+        .reduce((result, regexes) => result.replace(new RegExp(regexes.subtitles.source, 'gi'), ' '), name);
+}
+
+/**
+ * Detects the audio and subtitle languages of a torrent.
+ * @param {object} torrentContent - The torrent content object from BitMagnet.
+ * @param {Array<string>} [extraLanguages] - Languages without an alias entry to look for as well (from the preferences).
+ * @returns {{audio: Array<string>, subtitles: Array<string>, original: string|null, originalIsAudio: boolean, multiAudio: boolean}}
+ *          The named audio languages, subtitle languages, the content's original language and whether it counts as
+ *          an audio language (named, implied by MULTi/DUAL/Subbed, or assumed because no audio language is named).
+ */
+function detectTorrentLanguages(torrentContent, extraLanguages = []) {
+    const name = torrentContent.torrent.name.replace(/\.(mkv|mp4|avi|m4v|ts)$/i, '');
+    const candidates = [...new Set([...Object.keys(LANGUAGE_ALIASES), ...extraLanguages])];
+
+    const subtitles = candidates.filter(language => namesLanguage(name, language, 'subtitles'));
+    if (ENGLISH_SUBS_REGEX.test(name) && !subtitles.includes('english')) {
+        subtitles.push('english');
+    }
+
+    // Named languages are audio unless they only appear as subtitle tags
+    const audio = candidates.filter(language => {
+        if (!subtitles.includes(language)) {
+            return namesLanguage(name, language, 'audio');
+        }
+        return namesLanguage(removeSubtitleTags(name, language), language, 'audio');
+    });
+    (torrentContent.languages || []).forEach(bitMagnetLanguage => {
+        const language = canonicalLanguage(bitMagnetLanguage.id) || canonicalLanguage(bitMagnetLanguage.name);
+        if (language && !audio.includes(language) && !subtitles.includes(language)) {
+            audio.push(language);
+        }
+    });
+
+    const originalLanguageRef = torrentContent.content && torrentContent.content.originalLanguage;
+    const original = originalLanguageRef
+        ? canonicalLanguage(originalLanguageRef.id) || canonicalLanguage(originalLanguageRef.name)
+        : null;
+    const multiAudio = MULTI_AUDIO_REGEX.test(name);
+    const dubbed = DUBBED_REGEX.test(name);
+    const originalIsAudio = Boolean(original) && (
+        audio.includes(original) ||
+        (!dubbed && (multiAudio || SUBBED_REGEX.test(name) || audio.length === 0))
+    );
+
+    return { audio, subtitles, original, originalIsAudio, multiAudio };
+}
+
+/**
+ * Finds the most preferred language a torrent offers.
+ * @param {object} torrentContent - The torrent content object from BitMagnet.
+ * @param {Array<string>} preferences - The preferred languages, most preferred first (see parseLanguagePreferences).
+ * @returns {{language: string, rank: number, kind: string}|null} The matched language, its rank (lower is better:
+ *          audio matches in preference order, then subtitle-only matches) and how it matched: 'audio' (named),
+ *          'original' (the original language, named or implied) or 'subtitles'. Null if nothing matches.
+ */
+function matchLanguagePreference(torrentContent, preferences) {
+    if (!preferences || preferences.length === 0) {
+        return null;
+    }
+    const detected = detectTorrentLanguages(torrentContent, preferences.filter(language => !LANGUAGE_ALIASES[language]));
+
+    for (let index = 0; index < preferences.length; index++) {
+        const language = preferences[index];
+        if (detected.original === language && detected.originalIsAudio) {
+            return { language, rank: index, kind: 'original' };
+        }
+        if (detected.audio.includes(language)) {
+            return { language, rank: index, kind: 'audio' };
+        }
+    }
+    const subtitleIndex = preferences.findIndex(language => detected.subtitles.includes(language));
+    return subtitleIndex === -1 ? null : { language: preferences[subtitleIndex], rank: preferences.length + subtitleIndex, kind: 'subtitles' };
+}
+
+module.exports = {
+    canonicalLanguage,
+    parseLanguagePreferences,
+    getLanguageDisplayCode,
+    detectTorrentLanguages,
+    matchLanguagePreference,
+};
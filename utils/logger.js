@@ -0,0 +1,133 @@
+// utils/logger.js
+// Leveled logger used instead of console.* throughout the addon.
+//   - LOG_LEVEL selects the minimum level written: 'debug', 'info' (default), 'warn' or 'error'.
+//   - LOG_FORMAT selects plain text lines (default) or one JSON object per line ('json').
+// Every line carries the ID of the HTTP request it was written for (see requestIdMiddleware). The ID is kept in
+// an AsyncLocalStorage context, so it follows the request through getStreams, the BitMagnet search and the
+// TMDB/OMDb helpers, including work those calls start in the background.
+// API keys, tokens and passwords are redacted from every line before it is written.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const util = require('util');
+const config = require('../config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REDACTED = '[REDACTED]';
+
+// Query parameters (api_key=...), JSON/object properties ("apikey": "...") and Authorization headers
+const SECRET_NAMES = 'api[_-]?key|access[_-]?token|refresh[_-]?token|token|password|secret';
+const SECRET_PARAM_REGEX = new RegExp(`\\b(${SECRET_NAMES})=[^&\\s"',]+`, 'gi');
+const SECRET_PROPERTY_REGEX = new RegExp(`(["']?\\b(?:${SECRET_NAMES})["']?\\s*:\\s*)(["'])(?:(?!\\2).)*\\2`, 'gi');
+const AUTHORIZATION_REGEX = /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/g;
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Returns the numeric threshold of the configured LOG_LEVEL.
+ * @returns {number} The minimum level value that is written.
+ */
+function getThreshold() {
+    return LEVELS[(config.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+}
+
+/**
+ * Returns the configured secret values (API keys, passwords), which are redacted wherever they appear.
+ * Placeholder and very short values are ignored so they don't mangle unrelated text.
+ * @returns {Array<string>} The secret values.
+ */
+function getSecretValues() {
+    return [config.TMDB_API_KEY, config.OMDB_API_KEY, config.DOWNLOAD_CLIENT_PASSWORD, config.DOWNLOAD_LINK_SECRET]
+        .filter(value => value && value.length >= 8 && !/^YOUR_.*_HERE$/.test(value));
+}
+
+/**
+ * Redacts secrets from a log message.
+ * @param {string} message - The formatted message.
+ * @returns {string} The message with API keys, tokens and passwords replaced by [REDACTED].
+ */
+function redact(message) {
+    let redacted = message
+        .replace(SECRET_PARAM_REGEX, `$1=${REDACTED}`)
+        .replace(SECRET_PROPERTY_REGEX, `$1$2${REDACTED}$2`)
+        .replace(AUTHORIZATION_REGEX, `$1 ${REDACTED}`);
+    getSecretValues().forEach(secret => {
+        redacted = redacted.split(secret).join(REDACTED);
+    });
+    return redacted;
+}
+
+/**
+ * Returns the ID of the request being handled, if any.
+ * @returns {string|null} The request ID, or null outside a request (e.g. at startup).
+ */
+function getRequestId() {
+    const store = requestContext.getStore();
+    return store ? store.requestId : null;
+}
+
+/**
+ * Runs a function with the given request ID attached to everything it logs.
+ * @param {string} requestId - The request ID.
+ * @param {function(): *} fn - The function to run.
+ * @returns {*} The function's return value.
+ */
+function runWithRequestId(requestId, fn) {
+    return requestContext.run({ requestId }, fn);
+}
+
+/**
+ * Writes a log line if its level is enabled.
+ * @param {string} level - 'debug', 'info', 'warn' or 'error'.
+ * @param {Array<*>} args - The console-style arguments (message and extra values).
+ */
+function write(level, args) {
+    if (LEVELS[level] < getThreshold()) {
+        return;
+    }
+
+    const message = redact(util.format(...args));
+    const requestId = getRequestId();
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+    if ((config.LOG_FORMAT || 'text').toLowerCase() === 'json') {
+        const entry = { time: new Date().toISOString(), level, message };
+        if (requestId) entry.requestId = requestId;
+        stream.write(`${JSON.stringify(entry)}\n`);
+    } else {
+        const prefix = requestId ? `${level.toUpperCase()} [${requestId}]` : level.toUpperCase();
+        stream.write(`${new Date().toISOString()} ${prefix} ${message}\n`);
+    }
+}
+
+const logger = {
+    debug: (...args) => write('debug', args),
+    info: (...args) => write('info', args),
+    warn: (...args) => write('warn', args),
+    error: (...args) => write('error', args),
+};
+
+/**
+ * Express middleware that assigns every request an ID and runs the rest of the request inside its context.
+ * A client-supplied X-Request-Id header is reused (so IDs can be correlated with a proxy), otherwise one is generated.
+ * The ID is echoed back in the X-Request-Id response header.
+ * @param {object} req - The Express request.
+ * @param {object} res - The Express response.
+ * @param {function} next - The next middleware.
+ */
+function requestIdMiddleware(req, res, next) {
+    const incomingId = req.get(REQUEST_ID_HEADER);
+    const requestId = incomingId && /^[\w.:-]{1,64}$/.test(incomingId) ? incomingId : crypto.randomUUID().slice(0, 8);
+    req.requestId = requestId;
+    res.set(REQUEST_ID_HEADER, requestId);
+    runWithRequestId(requestId, next);
+}
+
+module.exports = {
+    logger,
+    redact,
+    getRequestId,
+    runWithRequestId,
+    requestIdMiddleware,
+};
@@ -0,0 +1,140 @@
+// utils/metrics.js
+// Prometheus metrics, exposed on /metrics (see index.js).
+// Route latency comes from an Express middleware, upstream calls are wrapped with trackUpstream(),
+// cache hits/misses are read from utils/cache.js at scrape time.
+
+const client = require('prom-client');
+const { getCacheStats } = require('./cache');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register }); // Process CPU, memory, event loop lag, etc.
+
+// Stream requests can wait for several upstream calls, so the buckets go up to 30 seconds
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30];
+
+const httpRequestDuration = new client.Histogram({
+    name: 'stremio_bitmagnet_http_request_duration_seconds',
+    help: 'Duration of HTTP requests by route',
+    labelNames: ['route', 'method', 'status_code'],
+    buckets: LATENCY_BUCKETS,
+    registers: [register],
+});
+
+const upstreamRequests = new client.Counter({
+    name: 'stremio_bitmagnet_upstream_requests_total',
+    help: 'Calls to upstream services (bitmagnet, tmdb, omdb, trackers) by operation',
+    labelNames: ['service', 'operation'],
+    registers: [register],
+});
+
+const upstreamErrors = new client.Counter({
+    name: 'stremio_bitmagnet_upstream_errors_total',
+    help: 'Failed calls to upstream services by operation',
+    labelNames: ['service', 'operation'],
+    registers: [register],
+});
+
+const upstreamDuration = new client.Histogram({
+    name: 'stremio_bitmagnet_upstream_request_duration_seconds',
+    help: 'Duration of calls to upstream services by operation',
+    labelNames: ['service', 'operation'],
+    buckets: LATENCY_BUCKETS,
+    registers: [register],
+});
+
+const zeroStreamResponses = new client.Counter({
+    name: 'stremio_bitmagnet_zero_stream_responses_total',
+    help: 'Stream responses without any stream, by type (titles the indexer is missing)',
+    labelNames: ['type'],
+    registers: [register],
+});
+
+// Cache counters are kept by utils/cache.js; they are copied into the registry on every scrape
+new client.Counter({
+    name: 'stremio_bitmagnet_cache_hits_total',
+    help: 'Cache hits by namespace',
+    labelNames: ['namespace', 'backend'],
+    registers: [register],
+    collect() {
+        this.reset();
+        const stats = getCacheStats();
+        Object.entries(stats.namespaces).forEach(([namespace, namespaceStats]) => {
+            this.inc({ namespace, backend: stats.backend }, namespaceStats.hits);
+        });
+    },
+});
+
+new client.Counter({
+    name: 'stremio_bitmagnet_cache_misses_total',
+    help: 'Cache misses by namespace',
+    labelNames: ['namespace', 'backend'],
+    registers: [register],
+    collect() {
+        this.reset();
+        const stats = getCacheStats();
+        Object.entries(stats.namespaces).forEach(([namespace, namespaceStats]) => {
+            this.inc({ namespace, backend: stats.backend }, namespaceStats.misses);
+        });
+    },
+});
+
+/**
+ * Express middleware that records the duration of every request by route pattern
+ * (e.g. '/stream/:type/:id.json'), so per-item URLs don't create a label each.
+ * @param {object} req - The Express request.
+ * @param {object} res - The Express response.
+ * @param {function} next - The next middleware.
+ */
+function metricsMiddleware(req, res, next) {
+    const endTimer = httpRequestDuration.startTimer();
+    res.on('finish', () => {
+        const route = req.route ? req.route.path : 'unmatched';
+        endTimer({ route, method: req.method, status_code: res.statusCode });
+    });
+    next();
+}
+
+/**
+ * Runs an upstream call and records it (count, duration and errors).
+ * Errors are rethrown unchanged, so callers keep their own error handling.
+ * @param {string} service - The upstream service ('bitmagnet', 'tmdb', 'omdb', 'trackers').
+ * @param {string} operation - The operation (e.g. 'search', 'find', 'details').
+ * @param {function(): Promise<*>} call - The call to make.
+ * @returns {Promise<*>} The call's result.
+ */
+async function trackUpstream(service, operation, call) {
+    const labels = { service, operation };
+    upstreamRequests.inc(labels);
+    const endTimer = upstreamDuration.startTimer(labels);
+    try {
+        return await call();
+    } catch (error) {
+        upstreamErrors.inc(labels);
+        throw error;
+    } finally {
+        endTimer();
+    }
+}
+
+/**
+ * Counts a stream response without any stream.
+ * @param {string} type - 'movie' or 'series'.
+ */
+function recordZeroStreamResponse(type) {
+    zeroStreamResponses.inc({ type });
+}
+
+/**
+ * Renders all metrics in the Prometheus text format.
+ * @returns {Promise<{contentType: string, body: string}>} The content type and the metrics.
+ */
+async function renderMetrics() {
+    return { contentType: register.contentType, body: await register.metrics() };
+}
+
+module.exports = {
+    metricsMiddleware,
+    trackUpstream,
+    recordZeroStreamResponse,
+    renderMetrics,
+};
@@ -1,11 +1,12 @@
 // utils/omdb.js
 // Utility functions for interacting with the OMDb API.
 
-const axios = require('axios');
 const config = require('../config');
-const NodeCache = require('node-cache');
+const { upstreamRequest } = require('./httpClient');
+const { createCache } = require('./cache');
+const { logger } = require('./logger');
 
-const omdbApiCache = new NodeCache({ stdTTL: 86400, checkperiod: 120 }); // Cache OMDb API calls for 24 hours
+const omdbApiCache = createCache('omdb', { ttl: 86400 }); // Cache OMDb API calls for 24 hours
 
 const OMDB_BASE_URL = 'http://www.omdbapi.com/'; // Corrected URL: removed Markdown link formatting
 
@@ -16,50 +17,67 @@ const OMDB_BASE_URL = 'http://www.omdbapi.com/'; // Corrected URL: removed Markd
  */
 async function getOmdbMetadata(imdbId) {
     if (!config.OMDB_API_KEY || config.OMDB_API_KEY.trim() === '' || config.OMDB_API_KEY === 'YOUR_OMDB_API_KEY_HERE') {
-        console.error('OMDB_API_KEY is not configured or is the placeholder. Please set a valid OMDb API Key in config.js or as an environment variable.');
+        logger.error('OMDB_API_KEY is not configured or is the placeholder. Please set a valid OMDb API Key in config.js or as an environment variable.');
         return null;
     }
 
     const cacheKey = `omdb_meta_fetch_${imdbId}`;
-    let cachedData = omdbApiCache.get(cacheKey);
+    let cachedData = await omdbApiCache.get(cacheKey);
     if (cachedData) {
-        console.log(`Returning cached OMDb metadata for ${imdbId}`);
+        logger.debug(`Returning cached OMDb metadata for ${imdbId}`);
         return cachedData;
     }
 
     try {
-        const url = `${OMDB_BASE_URL}?apikey=${config.OMDB_API_KEY}&i=${imdbId}`;
-        console.log(`Fetching OMDb metadata from URL: ${url}`);
-        const response = await axios.get(
-            url,
-            {
-                headers: {
-                    'User-Agent': 'Stremio-BitMagnet-Addon/1.0',
-                },
-                timeout: 10000, // 10 seconds timeout
-            }
-        );
+        logger.debug(`Fetching OMDb metadata from URL: ${OMDB_BASE_URL} for ${imdbId}`);
+        const response = await upstreamRequest('omdb', 'title', {
+            url: OMDB_BASE_URL,
+            params: {
+                apikey: config.OMDB_API_KEY, // Passed as a param so the key never ends up in a logged URL
+                i: imdbId,
+            },
+            timeout: 10000, // 10 seconds timeout
+        });
 
         if (response.data.Response === 'False') {
-            console.warn(`OMDb API responded with error for ${imdbId}: ${response.data.Error}`);
+            logger.warn(`OMDb API responded with error for ${imdbId}: ${response.data.Error}`);
             return null;
         }
 
-        omdbApiCache.set(cacheKey, response.data);
+        await omdbApiCache.set(cacheKey, response.data);
         return response.data;
     } catch (error) {
-        console.error(`Error fetching OMDb metadata for ${imdbId}:`, error.message);
+        logger.error(`Error fetching OMDb metadata for ${imdbId}:`, error.message);
         if (error.response) {
-            console.error('OMDb API Response Error Status:', error.response.status);
-            console.error('OMDb API Response Data:', error.response.data);
+            logger.error('OMDb API Response Error Status:', error.response.status);
+            logger.error('OMDb API Response Data:', error.response.data);
             if (error.response.status === 401) {
-                console.error('OMDb API Key might be invalid. Please check your OMDB_API_KEY.');
+                logger.error('OMDb API Key might be invalid. Please check your OMDB_API_KEY.');
             }
         }
         return null;
     }
 }
 
+/**
+ * Checks that the OMDb API is reachable and accepts the configured API key (used by the readiness check).
+ * @returns {Promise<void>} Resolves if OMDb answered, rejects otherwise.
+ */
+async function pingOmdb() {
+    const response = await upstreamRequest('omdb', 'ping', {
+        url: OMDB_BASE_URL,
+        params: {
+            apikey: config.OMDB_API_KEY,
+            i: 'tt0111161', // Any well-known title works
+        },
+        timeout: 5000, // 5 seconds timeout
+    }, { idempotent: false }); // No retries, the readiness check should answer quickly
+    if (response.data.Response === 'False') {
+        throw new Error(`OMDb API error: ${response.data.Error}`);
+    }
+}
+
 module.exports = {
     getOmdbMetadata,
+    pingOmdb,
 };
@@ -0,0 +1,188 @@
+// utils/releaseClusters.js
+// Deduplication of near-identical releases and tier diversity of the final stream list.
+// BitMagnet often indexes the same release several times under different info hashes (re-uploads, the same name
+// with different punctuation or a site tag). Such torrents are clustered by normalized release name, release group
+// and size (within DEDUP_SIZE_TOLERANCE_PERCENT), and only the best-seeded member of each cluster is kept.
+// The top of the ranking is then adjusted so it includes a 4K, a 1080p and a small encode when the results have one.
+
+const config = require('../config');
+const { parseRelease } = require('./releaseParser');
+
+const RESOLUTION_ORDER = ['360p', '480p', '540p', '576p', '720p', '1080p', '1440p', '2160p', '4320p'];
+const SMALL_ENCODE_MAX_GB = { movie: 4, episode: 1.5 }; // Upper size of a "small encode" for the diversity tiers
+
+// Tiers the final list should cover, in the order they are filled
+const DIVERSITY_TIERS = [
+    { name: '4k', test: props => props.resolutionRank >= RESOLUTION_ORDER.indexOf('2160p') },
+    { name: '1080p', test: props => props.resolution === '1080p' || props.resolution === '1440p' },
+    { name: 'small', test: props => props.sizeGB !== null && props.sizeGB <= props.smallEncodeMaxGB },
+];
+
+/**
+ * Normalizes a release name for clustering: no case, punctuation, file extension, site tags or website prefixes.
+ * @param {string} name - The release name.
+ * @returns {string} The normalized name (e.g. 'heat19951080pblurayx264grp').
+ */
+function normalizeReleaseName(name) {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/\.(mkv|mp4|avi|m4v|ts)$/, '')
+        .replace(/^\s*(?:www\.)?[a-z0-9-]+\.(?:com|org|net|to|me|cc|tv|xyz|se|io)\s*-?\s*/, '') // "www.site.com - Name"
+        .replace(/\s*\[(?:rarbg|eztv|ettv|yts(?:\.[a-z]+)?|tgx|torrentgalaxy|1337x)\]\s*$/, '') // Trailing uploader tag
+        .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Checks whether two sizes are equal within the configured tolerance.
+ * @param {number} sizeA - The first size in bytes.
+ * @param {number} sizeB - The second size in bytes.
+ * @returns {boolean} True if they differ by at most DEDUP_SIZE_TOLERANCE_PERCENT of the larger one.
+ */
+function isSimilarSize(sizeA, sizeB) {
+    const tolerancePercent = parseFloat(config.DEDUP_SIZE_TOLERANCE_PERCENT);
+    const tolerance = (isNaN(tolerancePercent) ? 1 : tolerancePercent) / 100;
+    const largerSize = Math.max(sizeA || 0, sizeB || 0);
+    return largerSize === 0 || Math.abs((sizeA || 0) - (sizeB || 0)) <= largerSize * tolerance;
+}
+
+/**
+ * Returns the normalized release group of a torrent (BitMagnet's classification first, then the release name).
+ * @param {object} torrentContent - The torrent content object.
+ * @returns {string|null} The group, or null if unknown.
+ */
+function getReleaseGroup(torrentContent) {
+    const group = torrentContent.releaseGroup || parseRelease(torrentContent.torrent.name).group;
+    return group ? group.toLowerCase().replace(/[^a-z0-9]/g, '') : null;
+}
+
+/**
+ * Checks whether two torrents are from the same release group. An unknown group is compatible with any group:
+ * it usually means the group just couldn't be parsed from a differently punctuated name ("x264 - GRP").
+ * @param {object} torrentA - The first torrent content object.
+ * @param {object} torrentB - The second torrent content object.
+ * @returns {boolean} True unless both groups are known and differ.
+ */
+function isSameGroup(torrentA, torrentB) {
+    const groupA = getReleaseGroup(torrentA);
+    const groupB = getReleaseGroup(torrentB);
+    return !groupA || !groupB || groupA === groupB;
+}
+
+/**
+ * Clusters near-identical releases and keeps the best-seeded member of each cluster.
+ * The order of the kept torrents is preserved.
+ * @param {Array<object>} torrents - The torrent content objects.
+ * @returns {{kept: Array<object>, duplicates: Array<{torrentContent: object, keptTorrent: object}>}}
+ *          The kept torrents and the dropped duplicates with the torrent kept in their place.
+ */
+function dedupeReleases(torrents) {
+    const clusters = new Map(); // Normalized name -> best-seeded members (one per size and group)
+    const bestSeededFirst = [...torrents].sort((a, b) => (b.seeders || 0) - (a.seeders || 0));
+    const keptTorrentOf = new Map(); // Torrent -> the member kept for its cluster
+
+    bestSeededFirst.forEach(torrentContent => {
+        const key = normalizeReleaseName(torrentContent.torrent.name);
+        const members = clusters.get(key) || [];
+        const keptTorrent = members.find(member =>
+            isSimilarSize(member.torrent.size, torrentContent.torrent.size) && isSameGroup(member, torrentContent));
+        if (keptTorrent) {
+            keptTorrentOf.set(torrentContent, keptTorrent);
+            return;
+        }
+        members.push(torrentContent);
+        clusters.set(key, members);
+    });
+
+    const kept = torrents.filter(torrentContent => !keptTorrentOf.has(torrentContent));
+    const duplicates = torrents
+        .filter(torrentContent => keptTorrentOf.has(torrentContent))
+        .map(torrentContent => ({ torrentContent, keptTorrent: keptTorrentOf.get(torrentContent) }));
+    return { kept, duplicates };
+}
+
+/**
+ * Reads the properties the diversity tiers are based on.
+ * @param {object} torrentContent - The torrent content object (with _episodeFile for season packs).
+ * @param {boolean} isEpisode - Whether an episode was requested (selects the small encode size).
+ * @returns {object} Resolution, its rank, the size in GB (of the episode file for packs, null if unknown) and the small encode limit.
+ */
+function getTierProperties(torrentContent, isEpisode) {
+    const resolution = torrentContent.videoResolution
+        ? torrentContent.videoResolution.replace('V', '')
+        : parseRelease(torrentContent.torrent.name).resolution;
+    const isPack = torrentContent.torrent.filesStatus === 'multi' || torrentContent.torrent.filesCount > 1;
+    let sizeBytes = torrentContent.torrent.size;
+    if (isEpisode && isPack) {
+        sizeBytes = torrentContent._episodeFile ? torrentContent._episodeFile.size : null; // A pack's total size says nothing
+    }
+    return {
+        resolution,
+        resolutionRank: RESOLUTION_ORDER.indexOf(resolution),
+        sizeGB: sizeBytes ? sizeBytes / (1024 * 1024 * 1024) : null,
+        smallEncodeMaxGB: isEpisode ? SMALL_ENCODE_MAX_GB.episode : SMALL_ENCODE_MAX_GB.movie,
+    };
+}
+
+/**
+ * Returns the diversity tiers a torrent belongs to.
+ * @param {object} torrentContent - The torrent content object.
+ * @param {boolean} isEpisode - Whether an episode was requested.
+ * @returns {Array<string>} The tier names ('4k', '1080p', 'small').
+ */
+function getDiversityTiers(torrentContent, isEpisode) {
+    const props = getTierProperties(torrentContent, isEpisode);
+    return DIVERSITY_TIERS.filter(tier => tier.test(props)).map(tier => tier.name);
+}
+
+/**
+ * Takes the top of a ranked list, swapping in the best torrent of each missing diversity tier.
+ * A tier's torrent only replaces a torrent it ties with on everything but quality (see rankKey), starting from
+ * the bottom, and never the last member of another tier, so relevance and language preferences still win.
+ * @param {Array<object>} ranked - The ranked torrent content objects, best first.
+ * @param {number} limit - The number of torrents to take.
+ * @param {object} options - Options.
+ * @param {boolean} options.isEpisode - Whether an episode was requested.
+ * @param {function(object): string} options.rankKey - The ranking criteria before quality, as a comparable string.
+ * @returns {{selected: Array<object>, promoted: Map<object, string>}} The selected torrents in ranking order and
+ *          the promoted ones with the tier they were promoted for.
+ */
+function selectDiverseTop(ranked, limit, { isEpisode, rankKey }) {
+    const selected = ranked.slice(0, limit);
+    const promoted = new Map();
+    if (config.STREAM_DIVERSITY === 'false' || ranked.length <= limit) {
+        return { selected, promoted };
+    }
+
+    const tiersOf = new Map(ranked.map(torrentContent => [torrentContent, getDiversityTiers(torrentContent, isEpisode)]));
+    const countTier = tierName => selected.filter(torrentContent => tiersOf.get(torrentContent).includes(tierName)).length;
+
+    DIVERSITY_TIERS.forEach(({ name: tierName }) => {
+        if (countTier(tierName) > 0) {
+            return;
+        }
+        const candidate = ranked.slice(limit).find(torrentContent => !selected.includes(torrentContent) && tiersOf.get(torrentContent).includes(tierName));
+        if (!candidate) {
+            return;
+        }
+        for (let index = selected.length - 1; index >= 0; index--) {
+            const replaced = selected[index];
+            const isLastOfATier = tiersOf.get(replaced).some(name => countTier(name) === 1);
+            if (promoted.has(replaced) || isLastOfATier || rankKey(replaced) !== rankKey(candidate)) {
+                continue;
+            }
+            selected[index] = candidate;
+            promoted.set(candidate, tierName);
+            break;
+        }
+    });
+
+    selected.sort((a, b) => ranked.indexOf(a) - ranked.indexOf(b));
+    return { selected, promoted };
+}
+
+module.exports = {
+    normalizeReleaseName,
+    dedupeReleases,
+    getDiversityTiers,
+    selectDiverseTop,
+};
@@ -0,0 +1,462 @@
+// utils/releaseParser.js
+// Structured parser for torrent release names
+// (e.g. "Movie.2019.2160p.UHD.BluRay.REMUX.DV.HDR10.TrueHD.Atmos.7.1-GROUP").
+// All patterns only match whole tokens, so "ts" (telesync) no longer matches inside "Sons" or "Settlers".
+
+/**
+ * Builds a case-insensitive regex that only matches the pattern as a whole token,
+ * i.e. not preceded or followed by a letter or digit.
+ * @param {string} pattern - The regex source of the token.
+ * @param {string} [flags=''] - Additional regex flags (e.g. 'g').
+ * @returns {RegExp} The token regex.
+ */
+function tokenRegex(pattern, flags = '') {
+    return new RegExp(`(?<![a-z0-9])(?:${pattern})(?![a-z0-9])`, `i${flags}`);
+}
+
+// Optional channel suffix directly attached to an audio codec, e.g. "DDP5.1" or "AAC2.0"
+const CHANNEL_SUFFIX = '(?:[\\s._-]?[1-9][.\\s_]?[0-2])?';
+
+const RESOLUTIONS = [
+    { value: '4320p', regex: tokenRegex('4320p|8k') },
+    { value: '2160p', regex: tokenRegex('2160p|4k|uhd') },
+    { value: '1440p', regex: tokenRegex('1440p|2k') },
+    { value: '1080p', regex: tokenRegex('1080[pi]') },
+    { value: '720p', regex: tokenRegex('720p') },
+    { value: '576p', regex: tokenRegex('576p') },
+    { value: '540p', regex: tokenRegex('540p') },
+    { value: '480p', regex: tokenRegex('480p') },
+    { value: '360p', regex: tokenRegex('360p') },
+];
+
+// Ordered from most to least specific; the first match wins.
+// The low-quality sources are only matched in the tag section (see getReleaseTagSection), since "Cam", "TS" or "TC"
+// are title words too: "Cam.2018.1080p.NF.WEB-DL" is a WEB-DL.
+const SOURCES = [
+    { value: 'CAM', regex: tokenRegex('cam|camrip|cam-?rip|hd-?cam'), tagOnly: true },
+    { value: 'TS', regex: tokenRegex('ts|telesync|hd-?ts|pdvd'), tagOnly: true },
+    { value: 'TC', regex: tokenRegex('tc|telecine|hd-?tc'), tagOnly: true },
+    { value: 'SCR', regex: tokenRegex('scr|screener|dvd-?scr|bd-?scr|web-?scr'), tagOnly: true },
+    { value: 'BluRay', regex: tokenRegex('blu-?ray|bluray|bdrip|brrip|bd-?remux|bdmv|uhd-?bluray') },
+    { value: 'WEBRip', regex: tokenRegex('web-?rip') },
+    { value: 'WEB-DL', regex: tokenRegex('web-?dl|web') },
+    { value: 'HDTV', regex: tokenRegex('hdtv|pdtv|dsr|tvrip') },
+    { value: 'DVD', regex: tokenRegex('dvd-?rip|dvd-?r|dvd[59]?') },
+    { value: 'HDRip', regex: tokenRegex('hd-?rip') },
+];
+
+const CODECS = [
+    { value: 'x265', regex: tokenRegex('x\\.?265') },
+    { value: 'H265', regex: tokenRegex('h\\.?265|hevc') },
+    { value: 'x264', regex: tokenRegex('x\\.?264') },
+    { value: 'H264', regex: tokenRegex('h\\.?264|avc') },
+    { value: 'AV1', regex: tokenRegex('av1') },
+    { value: 'VP9', regex: tokenRegex('vp9') },
+    { value: 'XviD', regex: tokenRegex('xvid') },
+    { value: 'DivX', regex: tokenRegex('divx') },
+    { value: 'MPEG2', regex: tokenRegex('mpeg-?2') },
+];
+
+// Ordered by quality; the first match is the primary audio codec
+const AUDIO_CODECS = [
+    { value: 'TrueHD', regex: tokenRegex(`true-?hd${CHANNEL_SUFFIX}`) },
+    { value: 'DTS-HD', regex: tokenRegex(`dts-?hd(?:[\\s._-]?ma)?${CHANNEL_SUFFIX}|dts-?x${CHANNEL_SUFFIX}`) },
+    { value: 'DTS', regex: tokenRegex(`dts${CHANNEL_SUFFIX}`) },
+    { value: 'FLAC', regex: tokenRegex(`flac${CHANNEL_SUFFIX}`) },
+    { value: 'LPCM', regex: tokenRegex(`l?pcm${CHANNEL_SUFFIX}`) },
+    { value: 'EAC3', regex: tokenRegex(`ddp${CHANNEL_SUFFIX}|dd\\+${CHANNEL_SUFFIX}|e-?ac-?3${CHANNEL_SUFFIX}`) },
+    { value: 'AC3', regex: tokenRegex(`ac-?3${CHANNEL_SUFFIX}|dd${CHANNEL_SUFFIX}`) },
+    { value: 'AAC', regex: tokenRegex(`aac${CHANNEL_SUFFIX}`) },
+    { value: 'Opus', regex: tokenRegex(`opus${CHANNEL_SUFFIX}`) },
+    { value: 'MP3', regex: tokenRegex(`mp3${CHANNEL_SUFFIX}`) },
+];
+
+const EDITIONS = [
+    { value: "Director's Cut", regex: tokenRegex("director'?s[\\s._-]?cut") },
+    { value: 'Extended', regex: tokenRegex('extended(?:[\\s._-]?(?:cut|edition))?') },
+    { value: 'Unrated', regex: tokenRegex('unrated') },
+    { value: 'Uncut', regex: tokenRegex('uncut') },
+    { value: 'Theatrical', regex: tokenRegex('theatrical(?:[\\s._-]?cut)?') },
+    { value: 'Remastered', regex: tokenRegex('remastered') },
+    { value: 'IMAX', regex: tokenRegex('imax') },
+    { value: 'Criterion', regex: tokenRegex('criterion') },
+    { value: 'Final Cut', regex: tokenRegex('final[\\s._-]?cut') },
+    { value: 'Special Edition', regex: tokenRegex('special[\\s._-]?edition') },
+];
+
+// Language names and 3-letter codes as they appear in release names.
+// Two-letter codes are left out on purpose: "it", "no" or "de" are far more often ordinary words.
+// The 3-letter codes are ordinary title words too ("Ben-Hur", "Dan in Real Life", "Mar Adentro"), so they are only
+// looked for in the tag section of the name, from the year, resolution, episode or source tag on (see getReleaseTagSection).
+const LANGUAGE_ALIASES = {
+    'english': ['english', 'eng'],
+    'hindi': ['hindi', 'hin'],
+    'tamil': ['tamil', 'tam'],
+    'telugu': ['telugu', 'tel'],
+    'malayalam': ['malayalam', 'mal'],
+    'kannada': ['kannada', 'kan'],
+    'bengali': ['bengali', 'ben'],
+    'marathi': ['marathi', 'mar'],
+    'french': ['french', 'fre', 'fra', 'vff', 'vfq', 'truefrench'],
+    'spanish': ['spanish', 'spa', 'esp', 'castellano', 'latino'],
+    'german': ['german', 'ger', 'deu'],
+    'japanese': ['japanese', 'jpn', 'jap'],
+    'korean': ['korean', 'kor'],
+    'mandarin': ['mandarin', 'chinese', 'chi', 'chs', 'cmn'],
+    'cantonese': ['cantonese', 'yue'],
+    'arabic': ['arabic', 'ara'],
+    'russian': ['russian', 'rus'],
+    'portuguese': ['portuguese', 'por'],
+    'italian': ['italian', 'ita'],
+    'dutch': ['dutch', 'dut', 'nld'],
+    'swedish': ['swedish', 'swe'],
+    'norwegian': ['norwegian', 'nor'],
+    'danish': ['danish', 'dan'],
+    'finnish': ['finnish', 'fin'],
+    'polish': ['polish', 'pol'],
+    'turkish': ['turkish', 'tur'],
+    'thai': ['thai', 'tha'],
+    'vietnamese': ['vietnamese', 'vie'],
+    'indonesian': ['indonesian', 'ind'],
+    'hebrew': ['hebrew', 'heb'],
+    'greek': ['greek', 'gre', 'ell'],
+    'czech': ['czech', 'cze', 'ces'],
+    'hungarian': ['hungarian', 'hun'],
+    'ukrainian': ['ukrainian', 'ukr'],
+};
+const SHORT_LANGUAGE_CODE_MAX_LENGTH = 3;
+
+// Tokens that end the title part of a release name (only the unambiguous low-quality source tags: a bare "Cam" or
+// "TS" may still be part of the title)
+const TITLE_BOUNDARY_REGEX = tokenRegex('(?:19|20)\\d{2}|\\d{3,4}[pi]|4k|s\\d{1,3}(?:[\\s._-]?e\\d{1,4})?|season|blu-?ray|bdrip|brrip|web-?(?:dl|rip)|hdtv|dvd-?rip|hd-?rip|remux'
+    + '|cam-?rip|hd-?cam|telesync|hd-?ts|pdvd|telecine|hd-?tc|screener|(?:dvd|bd|web)-?scr');
+
+/**
+ * Splits language aliases into full names, matched anywhere in a release name, and short codes, only matched in
+ * its tag section.
+ * @param {Array<string>} aliases - The language's names/codes.
+ * @returns {{names: Array<string>, codes: Array<string>}} The names and the codes.
+ */
+function splitLanguageAliases(aliases) {
+    return {
+        names: aliases.filter(alias => alias.length > SHORT_LANGUAGE_CODE_MAX_LENGTH),
+        codes: aliases.filter(alias => alias.length <= SHORT_LANGUAGE_CODE_MAX_LENGTH),
+    };
+}
+
+/**
+ * Returns the tag section of a release name: everything from the first year, resolution, episode or source tag on
+ * (e.g. "1959.1080p.BluRay.x264-GRP" for "Ben-Hur.1959.1080p.BluRay.x264-GRP").
+ * @param {string} name - The release name.
+ * @returns {string} The tag section, or '' if the name has no such tag.
+ */
+function getReleaseTagSection(name) {
+    const boundaryMatch = (name || '').match(TITLE_BOUNDARY_REGEX);
+    return boundaryMatch ? name.slice(boundaryMatch.index) : '';
+}
+
+const LANGUAGE_REGEXES = Object.entries(LANGUAGE_ALIASES).map(([language, aliases]) => {
+    const { names, codes } = splitLanguageAliases(aliases);
+    return {
+        value: language,
+        names: names.length > 0 ? tokenRegex(names.join('|')) : null,
+        codes: codes.length > 0 ? tokenRegex(codes.join('|')) : null,
+    };
+});
+
+/**
+ * Detects the source of a release name (low-quality sources in the tag section only, see SOURCES).
+ * @param {string} name - The release name.
+ * @returns {string|null} The source (e.g. 'BluRay', 'CAM'), or null if none is named.
+ */
+function parseSource(name) {
+    const tagSection = getReleaseTagSection(name);
+    const source = SOURCES.find(({ regex, tagOnly }) => regex.test(tagOnly ? tagSection : name));
+    return source ? source.value : null;
+}
+
+/**
+ * Detects the languages named in a release name (names anywhere, short codes in the tag section only).
+ * @param {string} name - The release name.
+ * @returns {Array<string>} The canonical languages.
+ */
+function parseLanguages(name) {
+    const tagSection = getReleaseTagSection(name);
+    return LANGUAGE_REGEXES
+        .filter(({ names, codes }) => (names && names.test(name)) || (codes && codes.test(tagSection)))
+        .map(({ value }) => value);
+}
+
+// Episode patterns, in priority order (see parseEpisodeInfo)
+const EPISODE_PATTERNS = [
+    // SXXEXX (single episode, e.g., S01E15, s1e1, S02.E05)
+    {
+        regex: /s(\d{1,3})[\s._-]?e(\d{1,3})/g,
+        parse: (match) => ({ season: parseInt(match[1], 10), episodes: [parseInt(match[2], 10)] })
+    },
+    // Multi-episode chains (e.g., S01E01E02, S01E01-E03 as a range)
+    {
+        regex: /s(\d{1,3})((?:[\s._-]*e\d{1,3}){2,})/g,
+        parse: (match) => ({ season: parseInt(match[1], 10), episodes: parseEpisodeChain(match[2]) })
+    },
+    // SXXE(YY-ZZ) (episode range without 'EP', e.g., s1e1-12)
+    {
+        regex: /s(\d{1,3})[\s._-]?e(\d{1,3})(?:-|–)(\d{1,3})/g,
+        parse: (match) => ({ season: parseInt(match[1], 10), episodes: range(parseInt(match[2], 10), parseInt(match[3], 10)) })
+    },
+    // SXXEP(YY-ZZ) or SXXEPYY-ZZ (episode range with 'EP', e.g., S01EP(13-16))
+    {
+        regex: /s(\d{1,3})\s*ep\(?(\d{1,3})(?:-|–)(\d{1,3})\)?/g,
+        parse: (match) => ({ season: parseInt(match[1], 10), episodes: range(parseInt(match[2], 10), parseInt(match[3], 10)) })
+    },
+    // Word-based "Season X Episode Y" or "Season X Ep Y"
+    {
+        regex: /season\s*(\d{1,3})(?:\s*episode|\s*ep)\s*(\d{1,3})/g,
+        parse: (match) => ({ season: parseInt(match[1], 10), episodes: [parseInt(match[2], 10)] })
+    },
+    // SXX-SYY (Season ranges, e.g., S01-S06) - treating each as a season pack
+    {
+        regex: /s(\d{1,3})(?:-|–)s(\d{1,3})/g,
+        parse: (match) => range(parseInt(match[1], 10), parseInt(match[2], 10)).map(s => ({ season: s, episodes: [] }))
+    },
+    // "Season X-Y" (Season ranges, e.g., Season 1-3) - treating each as a season pack
+    {
+        regex: /season\s*(\d{1,3})(?:-|–)(\d{1,3})/g,
+        parse: (match) => range(parseInt(match[1], 10), parseInt(match[2], 10)).map(s => ({ season: s, episodes: [] }))
+    },
+    // SXX (Season pack, e.g., S01, S1) - ensure it's not part of SXXEXX
+    // This regex specifically looks for 'S' followed by digits, not followed by an episode ('E', 'E05', '.E05') or another digit
+    {
+        regex: /(?<![a-z0-9])s(\d{1,3})(?![e\d]|[\s._-]e\d)/g,
+        parse: (match) => ({ season: parseInt(match[1], 10), episodes: [] })
+    },
+    // "Season X" (Season pack, e.g., Season 1) - ensure it's not part of "Season X Episode Y"
+    {
+        regex: /season\s*(\d{1,3})(?!(?:\s*episode|\s*ep|\d))/g, // Not followed by "episode", "ep", or digits
+        parse: (match) => ({ season: parseInt(match[1], 10), episodes: [] })
+    },
+];
+
+// Season-less patterns (daily shows, absolute numbering). Only used when none of the EPISODE_PATTERNS match,
+// so an "SxxEyy" release is never also read as an absolute episode.
+// Absolute numbers that look like years (19xx/20xx) are ignored.
+const FALLBACK_EPISODE_PATTERNS = [
+    // Air date (daily shows, e.g., Show.2024.03.15.Guest)
+    {
+        regex: /(?<!\d)((?:19|20)\d{2})[\s._-](0[1-9]|1[0-2])[\s._-](0[1-9]|[12]\d|3[01])(?!\d)/g,
+        parse: (match) => ({ season: null, episodes: [], airDate: `${match[1]}-${match[2]}-${match[3]}` })
+    },
+    // Absolute episode range (batches, e.g., "One Piece - 1000-1050", "Show - 01~12")
+    {
+        regex: /\s-\s(\d{1,4})\s*(?:-|–|~)\s*(\d{1,4})(?=[\s\[(._]|$)/g,
+        parse: (match) => ({ season: null, episodes: range(parseInt(match[1], 10), parseInt(match[2], 10)) })
+    },
+    // Absolute episode after a dash (anime style, e.g., "[Group] One Piece - 1071 (1080p)", "Show - 05v2")
+    {
+        regex: /\s-\s(\d{1,4})(?:v\d)?(?=[\s\[(._]|$)/g,
+        parse: (match) => absoluteEpisode(match[1])
+    },
+    // "Episode X", "EpX" or a bare "EXX" token without a season (e.g., Show.E05.1080p, Naruto Episode 150)
+    {
+        regex: /(?<![a-z0-9])(?:episode|ep|e)[\s._]*(\d{1,4})(?![a-z0-9])/g,
+        parse: (match) => absoluteEpisode(match[1])
+    }
+];
+
+/**
+ * Builds an inclusive integer range.
+ * @param {number} start - The first number.
+ * @param {number} end - The last number.
+ * @returns {Array<number>} The numbers from start to end.
+ */
+function range(start, end) {
+    const numbers = [];
+    for (let i = start; i <= end; i++) {
+        numbers.push(i);
+    }
+    return numbers;
+}
+
+/**
+ * Returns the value of the first matching entry of an ordered pattern list.
+ * @param {string} name - The release name.
+ * @param {Array<{value: string, regex: RegExp}>} patterns - The ordered patterns.
+ * @returns {string|null} The matched value, or null.
+ */
+function firstMatch(name, patterns) {
+    const match = patterns.find(pattern => pattern.regex.test(name));
+    return match ? match.value : null;
+}
+
+/**
+ * Detects the HDR formats of a release (most specific HDR10 variant only).
+ * @param {string} name - The release name.
+ * @returns {Array<string>} Detected formats: 'DV', 'HDR10+', 'HDR10', 'HDR' and/or 'HLG'.
+ */
+function parseHdrFormats(name) {
+    const formats = [];
+    if (tokenRegex('dv|dovi|dolby[\\s._-]?vision').test(name)) formats.push('DV');
+    if (tokenRegex('hdr10(?:\\+|plus)|hdr10p').test(name) || /hdr10\+/i.test(name)) formats.push('HDR10+');
+    else if (tokenRegex('hdr10').test(name)) formats.push('HDR10');
+    else if (tokenRegex('hdr').test(name)) formats.push('HDR');
+    if (tokenRegex('hlg').test(name)) formats.push('HLG');
+    return formats;
+}
+
+/**
+ * Detects the audio channel layout of a release (e.g. '5.1' from "DDP5.1" or "AAC 2.0").
+ * @param {string} name - The release name.
+ * @returns {string|null} The channel layout, or null if not present.
+ */
+function parseAudioChannels(name) {
+    // Not preceded/followed by a digit, so "1995.1080p" doesn't read as 5.1
+    const channelMatch = name.match(/(?<!\d)([1-9])[.\s_]([0-2])(?!\d)/);
+    if (channelMatch && ['1.0', '2.0', '2.1', '5.1', '6.1', '7.1'].includes(`${channelMatch[1]}.${channelMatch[2]}`)) {
+        return `${channelMatch[1]}.${channelMatch[2]}`;
+    }
+    if (tokenRegex('stereo').test(name)) return '2.0';
+    if (tokenRegex('mono').test(name)) return '1.0';
+    return null;
+}
+
+// Tokens after the last dash that are part of a tag (WEB-DL, DVD-Rip, S01E01-E03, x264) rather than a group
+const NON_GROUP_TOKEN_REGEX = /^(dl|rip|hd|ray|ts|tc|cam|scr|sbs|ou|audio|subs?|dub|x26[45]|h26[45]|hevc|avc|\d{3,4}[pi]|\d+|s\d{1,3}|e\d{1,4}|s\d{1,3}e\d{1,4}|ep?\d{1,4})$/i;
+
+/**
+ * Extracts the release group (e.g. "GROUP" from "Movie.2020.1080p.WEB-DL-GROUP.mkv" or "[SubsPlease] Show - 01").
+ * Only the token after the last dash is considered, and only if it is a single word that isn't a tag,
+ * so "WEB-DL.x264" or "S01E01-E03.1080p" don't read as groups.
+ * @param {string} name - The release name.
+ * @returns {string|null} The release group, or null if not found.
+ */
+function parseReleaseGroup(name) {
+    const withoutExtension = name.replace(/\.(mkv|mp4|avi|m4v|ts)$/i, '').replace(/\s*\[[^\]]*\]\s*$/, '');
+    const dashIndex = withoutExtension.lastIndexOf('-');
+    if (dashIndex !== -1) {
+        const group = withoutExtension.slice(dashIndex + 1).trim();
+        if (/^[a-z0-9][a-z0-9@_]*$/i.test(group) && !NON_GROUP_TOKEN_REGEX.test(group)) {
+            return group;
+        }
+    }
+    const prefixMatch = name.match(/^\s*\[([^\]]+)\]/);
+    return prefixMatch ? prefixMatch[1].trim() : null;
+}
+
+/**
+ * Builds a season-less episode entry from an absolute episode number, skipping numbers that look like years.
+ * @param {string} value - The matched number.
+ * @returns {{season: null, episodes: number[]}|null} The entry, or null if the number is a likely year.
+ */
+function absoluteEpisode(value) {
+    const number = parseInt(value, 10);
+    if (value.length === 4 && number >= 1900 && number < 2100) {
+        return null;
+    }
+    return { season: null, episodes: [number] };
+}
+
+/**
+ * Expands a multi-episode chain ("e01e02e03" lists, "e01-e03" ranges) into episode numbers.
+ * @param {string} chain - The matched chain, starting at the first "e".
+ * @returns {Array<number>} The episode numbers.
+ */
+function parseEpisodeChain(chain) {
+    const episodes = [];
+    for (const token of chain.matchAll(/(-|–)?[\s._]*e(\d{1,3})/g)) {
+        const number = parseInt(token[2], 10);
+        const previous = episodes[episodes.length - 1];
+        if (token[1] && previous !== undefined && number > previous) {
+            episodes.push(...range(previous + 1, number));
+        } else {
+            episodes.push(number);
+        }
+    }
+    return episodes;
+}
+
+/**
+ * Parses season/episode information from a release name.
+ * Season-less entries carry absolute episode numbers (anime) or an air date (daily shows).
+ * @param {string} name - The release name.
+ * @returns {Array<{season: number|null, episodes: number[], airDate?: string}>} Parsed entries (empty episodes = season pack).
+ */
+function parseEpisodeInfo(name) {
+    const parsedData = [];
+    const seenCombos = new Set(); // To avoid duplicates if multiple regexes match the same thing
+    const nameLower = (name || '').toLowerCase();
+
+    // Helper to add data if unique
+    const addData = (entry) => {
+        // Ensure episodes are sorted and unique for consistent key generation
+        const uniqueSortedEps = [...new Set(entry.episodes)].sort((a, b) => a - b);
+        const key = `${entry.season}-${JSON.stringify(uniqueSortedEps)}-${entry.airDate || ''}`;
+        if (!seenCombos.has(key)) {
+            parsedData.push(entry.airDate
+                ? { season: entry.season, episodes: uniqueSortedEps, airDate: entry.airDate }
+                : { season: entry.season, episodes: uniqueSortedEps });
+            seenCombos.add(key);
+        }
+    };
+
+    // Helper to run a pattern table over the name
+    const applyPatterns = (patterns) => patterns.forEach(pattern => {
+        for (const match of nameLower.matchAll(pattern.regex)) {
+            const result = pattern.parse(match);
+            if (Array.isArray(result)) { // Handle patterns that return multiple results (like season ranges)
+                result.forEach(addData);
+            } else if (result) {
+                addData(result);
+            }
+        }
+    });
+
+    applyPatterns(EPISODE_PATTERNS);
+    if (parsedData.length === 0) {
+        applyPatterns(FALLBACK_EPISODE_PATTERNS);
+    }
+
+    return parsedData;
+}
+
+/**
+ * Parses a release name into its structured parts.
+ * @param {string} name - The release (torrent) name.
+ * @returns {object} The parsed release:
+ *   resolution ('2160p'...), source ('BluRay', 'WEB-DL', 'CAM'...), remux, codec ('x265', 'H264'...),
+ *   bitDepth (8/10/12), hdr (['DV', 'HDR10'...]), audio ('TrueHD', 'EAC3'...), atmos, channels ('5.1'...),
+ *   edition, group, languages (['english'...]), multiAudio, threeD, container ('mkv'...) and episodes.
+ */
+function parseRelease(name) {
+    // The file extension is dropped for token matching, so a ".ts" container doesn't read as a telesync
+    const releaseName = (name || '').replace(/\.(mkv|mp4|avi|m4v|ts)$/i, '');
+    const bitDepthMatch = releaseName.match(tokenRegex('(8|10|12)[\\s._-]?bits?|hi10p?'));
+    const containerMatch = (name || '').match(/\.(mkv|mp4|avi|m4v)$/i) || releaseName.match(tokenRegex('mkv|mp4|avi'));
+
+    return {
+        resolution: firstMatch(releaseName, RESOLUTIONS),
+        source: parseSource(releaseName),
+        remux: tokenRegex('remux|bd-?remux').test(releaseName),
+        codec: firstMatch(releaseName, CODECS),
+        bitDepth: bitDepthMatch ? (bitDepthMatch[1] ? parseInt(bitDepthMatch[1], 10) : 10) : null,
+        hdr: parseHdrFormats(releaseName),
+        audio: firstMatch(releaseName, AUDIO_CODECS),
+        atmos: tokenRegex('atmos').test(releaseName),
+        channels: parseAudioChannels(releaseName),
+        edition: firstMatch(releaseName, EDITIONS),
+        group: parseReleaseGroup(releaseName),
+        languages: parseLanguages(releaseName),
+        multiAudio: tokenRegex('multi|multi-?audio|dual|dual-?audio').test(releaseName),
+        threeD: tokenRegex('3d|h-?sbs|sbs|h-?ou|half-?ou').test(releaseName),
+        container: containerMatch ? (containerMatch[1] || containerMatch[0]).toLowerCase() : null,
+        episodes: parseEpisodeInfo(releaseName),
+    };
+}
+
+module.exports = {
+    LANGUAGE_ALIASES,
+    tokenRegex,
+    splitLanguageAliases,
+    getReleaseTagSection,
+    parseRelease,
+    parseEpisodeInfo,
+};
@@ -0,0 +1,138 @@
+// utils/relevance.js
+// Utility functions to verify that BitMagnet hits actually belong to the requested title.
+// BitMagnet's text search is fuzzy, so a search for "Heat" also returns "Heat Wave" or
+// a different "Heat" from another year. Each hit is compared against the expected titles
+// and year, and is either accepted, demoted (partial title match) or rejected with a reason.
+
+const { sanitizeTitle } = require('./bitmagnet');
+
+const MIN_TITLE_SIMILARITY = 0.5; // Hits below this title similarity are rejected
+const FULL_TITLE_SIMILARITY = 0.85; // Hits at or above this are full matches, others are demoted
+const YEAR_TOLERANCE = 1; // Release years may differ by this much (festival vs. theatrical release, etc.)
+
+// Tokens that mark the end of the title part of a release name (season/episode markers, resolutions, sources, codecs)
+const RELEASE_INFO_TOKEN_REGEX = /\b(?:s\d{1,3}(?:e\d{1,3})*|e\d{2,4}|ep ?\d{1,4}|episode \d{1,4}|season \d{1,3}|\d{3,4}p|4k|uhd|complete|bluray|blu ray|bdrip|brrip|web ?dl|webrip|web|hdtv|dvdrip|hdrip|remux|x26[45]|h 26[45]|hevc|avc|xvid)\b/;
+const YEAR_REGEX = /\b(?:19|20)\d{2}\b/g;
+
+/**
+ * Normalizes a title for comparison: sanitized, lowercased and without diacritics.
+ * @param {string} title - The title to normalize.
+ * @returns {string} The normalized title.
+ */
+function normalizeTitle(title) {
+    return sanitizeTitle(title || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '') // Strip diacritics (e.g. "Amélie" -> "Amelie")
+        .toLowerCase();
+}
+
+/**
+ * Extracts the title and year parts of a release name (e.g. "Heat.1995.1080p.BluRay.x264-GRP" -> "heat", 1995).
+ * @param {string} torrentName - The torrent name.
+ * @returns {{title: string, year: number|null}} The normalized title and the release year, if present.
+ */
+function parseReleaseTitle(torrentName) {
+    const cleanedName = (torrentName || '')
+        .replace(/^\s*\[[^\]]*\]\s*/, '') // Leading group tag, e.g. "[SubsPlease] "
+        .replace(/^\s*www\.\S+\s*-\s*/i, '') // Leading site prefix, e.g. "www.Example.org - "
+        .replace(/\s-\s(?!(?:19|20)\d{2}\b)\d{1,4}(?:v\d)?(?=[\s\[(._~-]|$).*$/, ''); // Absolute episode and everything after, e.g. " - 1071 (1080p)"
+    const normalized = normalizeTitle(cleanedName);
+
+    // The first release info token after the first word ends the title
+    const firstSpace = normalized.indexOf(' ');
+    const infoMatch = firstSpace >= 0 ? normalized.substring(firstSpace).match(RELEASE_INFO_TOKEN_REGEX) : null;
+    const infoIndex = infoMatch ? firstSpace + infoMatch.index : normalized.length;
+
+    // The release year is the last year before the release info (so "Blade Runner 2049 2017" keeps 2049 in the title)
+    const years = Array.from(normalized.matchAll(YEAR_REGEX)).filter(match => match.index > 0 && match.index < infoIndex);
+    const yearMatch = years.length > 0 ? years[years.length - 1] : null;
+
+    const titleEnd = yearMatch ? yearMatch.index : infoIndex;
+    return {
+        title: normalized.substring(0, titleEnd).trim(),
+        year: yearMatch ? parseInt(yearMatch[0], 10) : null,
+    };
+}
+
+/**
+ * Calculates the similarity of two normalized titles (Dice coefficient over their words).
+ * @param {string} a - The first normalized title.
+ * @param {string} b - The second normalized title.
+ * @returns {number} The similarity between 0 and 1.
+ */
+function titleSimilarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    const tokensA = new Set(a.split(' '));
+    const tokensB = new Set(b.split(' '));
+    let common = 0;
+    tokensA.forEach(token => {
+        if (tokensB.has(token)) common++;
+    });
+    return (2 * common) / (tokensA.size + tokensB.size);
+}
+
+/**
+ * Collects the normalized titles an item is known by from combined TMDB/OMDb metadata,
+ * including original and alternative titles (TMDB's alternative_titles).
+ * @param {object} metadata - The combined metadata object.
+ * @returns {Array<string>} Distinct normalized titles.
+ */
+function getExpectedTitles(metadata) {
+    if (!metadata) return [];
+    const alternativeTitles = metadata.alternative_titles
+        ? (metadata.alternative_titles.titles || metadata.alternative_titles.results || []).map(t => t.title)
+        : [];
+    const titles = [metadata.title, metadata.name, metadata.original_title, metadata.original_name, ...alternativeTitles]
+        .map(normalizeTitle)
+        .filter(Boolean);
+    return [...new Set(titles)];
+}
+
+/**
+ * Verifies that a BitMagnet hit belongs to the requested title.
+ * Both BitMagnet's classified content title and the title parsed from the release name are compared,
+ * and the year is checked with a tolerance (series only check BitMagnet's content year, since
+ * years in series release names usually refer to the season rather than the show).
+ * @param {object} torrentContent - The torrent content object from BitMagnet.
+ * @param {object} expected - The expected item.
+ * @param {Array<string>} expected.titles - Normalized titles (see getExpectedTitles).
+ * @param {number|null} expected.year - The expected release year.
+ * @param {string} expected.type - 'movie' or 'series'.
+ * @returns {{accepted: boolean, tier: number, similarity: number, reason: string}} The verification result.
+ *          Tier 0 is a full match, tier 1 a partial (demoted) match.
+ */
+function verifyTorrentRelevance(torrentContent, { titles, year, type }) {
+    const release = parseReleaseTitle(torrentContent.torrent.name);
+    const content = torrentContent.content;
+    const candidateTitles = [content ? normalizeTitle(content.title) : '', release.title].filter(Boolean);
+
+    let similarity = 0;
+    titles.forEach(expectedTitle => {
+        candidateTitles.forEach(candidateTitle => {
+            similarity = Math.max(similarity, titleSimilarity(expectedTitle, candidateTitle));
+        });
+    });
+
+    if (similarity < MIN_TITLE_SIMILARITY) {
+        return { accepted: false, tier: 2, similarity, reason: `title mismatch ("${candidateTitles.join('" / "')}", similarity ${similarity.toFixed(2)})` };
+    }
+
+    const candidateYear = content && content.releaseYear ? content.releaseYear : (type === 'movie' ? release.year : null);
+    if (year && candidateYear && Math.abs(candidateYear - year) > YEAR_TOLERANCE) {
+        return { accepted: false, tier: 2, similarity, reason: `year mismatch (expected ${year}, got ${candidateYear})` };
+    }
+
+    if (similarity < FULL_TITLE_SIMILARITY) {
+        return { accepted: true, tier: 1, similarity, reason: `partial title match (similarity ${similarity.toFixed(2)})` };
+    }
+    return { accepted: true, tier: 0, similarity, reason: 'title match' };
+}
+
+module.exports = {
+    normalizeTitle,
+    parseReleaseTitle,
+    titleSimilarity,
+    getExpectedTitles,
+    verifyTorrentRelevance,
+};
@@ -0,0 +1,166 @@
+// utils/scoring.js
+// Configurable quality scoring for torrent ranking.
+// Scoring profiles are named sets of weights (resolution, codec, HDR type, audio, source, size, seeders)
+// defined in scoringProfiles.json, optionally extended/overridden by a file named in SCORING_PROFILES_FILE.
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { parseRelease } = require('./releaseParser');
+const { logger } = require('./logger');
+
+const DEFAULT_PROFILES_FILE = path.join(__dirname, '..', 'scoringProfiles.json');
+
+// Names of the same codec (compared without case and punctuation): releases say x264 or H.264, BitMagnet H264 or x264
+const CODEC_ALIASES = {
+    h264: 'H264', x264: 'H264', avc: 'H264',
+    h265: 'H265', x265: 'H265', hevc: 'H265',
+};
+
+let scoringProfiles = null; // Loaded lazily, see loadScoringProfiles()
+
+/**
+ * Loads the scoring profiles from the bundled JSON file and the optional override file.
+ * Profiles in the override file replace bundled profiles of the same name.
+ * @returns {object} Scoring profiles keyed by name.
+ */
+function loadScoringProfiles() {
+    if (scoringProfiles) {
+        return scoringProfiles;
+    }
+
+    scoringProfiles = JSON.parse(fs.readFileSync(DEFAULT_PROFILES_FILE, 'utf8'));
+
+    if (config.SCORING_PROFILES_FILE) {
+        try {
+            const customProfiles = JSON.parse(fs.readFileSync(config.SCORING_PROFILES_FILE, 'utf8'));
+            scoringProfiles = { ...scoringProfiles, ...customProfiles };
+            logger.info(`Loaded ${Object.keys(customProfiles).length} scoring profile(s) from ${config.SCORING_PROFILES_FILE}.`);
+        } catch (error) {
+            logger.error(`Error loading scoring profiles from ${config.SCORING_PROFILES_FILE} (using bundled profiles):`, error.message);
+        }
+    }
+
+    Object.values(scoringProfiles).forEach(profile => {
+        if (profile.codec) profile.codec = normalizeCodecWeights(profile.codec);
+    });
+    return scoringProfiles;
+}
+
+/**
+ * Returns the canonical name of a codec (H264 for x264/AVC, H265 for x265/HEVC, other codecs unchanged).
+ * @param {string} codec - The codec name.
+ * @returns {string} The canonical name.
+ */
+function normalizeCodec(codec) {
+    return CODEC_ALIASES[String(codec).toLowerCase().replace(/[^a-z0-9]/g, '')] || codec;
+}
+
+/**
+ * Rewrites a codec weight table to canonical codec names. When aliases of one codec have different weights,
+ * the first one listed wins.
+ * @param {object} weights - The codec weights (e.g. { x265: 10, H264: 5 }).
+ * @returns {object} The weights keyed by canonical codec name.
+ */
+function normalizeCodecWeights(weights) {
+    const normalized = {};
+    Object.entries(weights).forEach(([codec, weight]) => {
+        const canonical = normalizeCodec(codec);
+        if (!(canonical in normalized)) normalized[canonical] = weight;
+    });
+    return normalized;
+}
+
+/**
+ * Returns the names of all available scoring profiles.
+ * @returns {Array<string>} The profile names.
+ */
+function getScoringProfileNames() {
+    return Object.keys(loadScoringProfiles());
+}
+
+/**
+ * Returns a scoring profile by name, falling back to the configured default profile.
+ * @param {string} [name] - The profile name (e.g. 'bandwidth-saver').
+ * @returns {object} The scoring profile.
+ */
+function getScoringProfile(name) {
+    const profiles = loadScoringProfiles();
+    if (name && profiles[name]) {
+        return profiles[name];
+    }
+    if (name) {
+        logger.warn(`Unknown scoring profile "${name}", using "${config.SCORING_PROFILE}".`);
+    }
+    return profiles[config.SCORING_PROFILE] || profiles[Object.keys(profiles)[0]];
+}
+
+/**
+ * Sums the weights of the given keys in a weight table.
+ * @param {object} [weights] - The weight table (e.g. profile.hdr).
+ * @param {Array<string>} keys - The detected keys.
+ * @returns {number} The summed weight.
+ */
+function sumWeights(weights, keys) {
+    if (!weights) return 0;
+    return keys.reduce((total, key) => total + (weights[key] || 0), 0);
+}
+
+/**
+ * Calculates a quality score for a given torrent using a scoring profile.
+ * @param {object} torrentContent - The torrent content object from BitMagnet.
+ * @param {object} profile - The scoring profile (see getScoringProfile).
+ * @returns {number} The calculated quality score.
+ */
+function calculateQualityScore(torrentContent, profile) {
+    let score = 0;
+    const { torrent, videoModifier, videoSource } = torrentContent;
+    const release = parseRelease(torrent.name);
+    const seeders = torrentContent.seeders || 0;
+    const size = torrent.size || 0; // size in bytes
+
+    // 1. Resolution (BitMagnet's classification first, then the release name)
+    const videoResolution = torrentContent.videoResolution || (release.resolution ? `V${release.resolution}` : null);
+    score += sumWeights(profile.resolution, videoResolution ? [videoResolution] : []);
+
+    // 2. HDR/Dolby Vision
+    score += sumWeights(profile.hdr, release.hdr);
+
+    // 3. Codec (x264/H264/AVC and x265/H265/HEVC share one weight, see normalizeCodec)
+    const videoCodec = torrentContent.videoCodec || release.codec;
+    score += sumWeights(profile.codec, videoCodec ? [normalizeCodec(videoCodec)] : []);
+
+    // 4. Audio (Atmos counts as its own format)
+    const audioFormat = release.atmos ? 'Atmos' : release.audio;
+    score += sumWeights(profile.audio, audioFormat ? [audioFormat] : []);
+
+    // 5. Source, with REMUX (BitMagnet's videoModifier or the release name) as its own source
+    const sources = [];
+    if (videoModifier === 'REMUX' || release.remux) sources.push('REMUX');
+    if (videoSource) sources.push(videoSource);
+    score += sumWeights(profile.source, sources);
+
+    // 6. File Format
+    score += sumWeights(profile.container, release.container ? [release.container] : []);
+
+    // 7. File Size, capped so huge files don't dominate (negative weights prefer small files)
+    // Assuming size is in bytes. Convert to GB for scoring.
+    const sizeGB = size / (1024 * 1024 * 1024);
+    if (profile.size) {
+        score += Math.min(sizeGB, profile.size.capGB || 0) * (profile.size.perGB || 0);
+    }
+
+    // 8. Seeders, capped
+    if (profile.seeders) {
+        score += Math.min(seeders, profile.seeders.cap || 0) * (profile.seeders.perSeeder || 0);
+    }
+
+    return score;
+}
+
+module.exports = {
+    loadScoringProfiles,
+    getScoringProfileNames,
+    getScoringProfile,
+    calculateQualityScore,
+};
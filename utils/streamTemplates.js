@@ -0,0 +1,277 @@
+// utils/streamTemplates.js
+// Templates for the name and title of the streams, e.g. "{resolution} {hdr} | {size} | {seeders}👤 | {group}".
+//   {field}              the field's value (see STREAM_FIELDS)
+//   {field|text}         the value, or text if the field is empty
+//   {#field}...{/field}  only rendered if the field is not empty
+//   {^field}...{/field}  only rendered if the field is empty
+//   \n                   a line break
+// Parts separated by " | " whose fields are all empty are left out, and so are empty lines, so "💿 {source}"
+// doesn't show up as a bare "💿" for a torrent without a known source.
+// Users pick a preset (single-line, multi-line or without emoji) or write their own templates on the configure page.
+
+const config = require('../config');
+const { parseRelease } = require('./releaseParser');
+const { getLanguageDisplayCode, detectTorrentLanguages } = require('./languages');
+const { getTorrentSubtitleLanguages } = require('./subtitles');
+
+// Fields available in templates
+const STREAM_FIELDS = [
+    'title', 'debrid', 'resolution', 'size', 'seeders', 'leechers', 'codec', 'source', 'hdr', 'bitDepth', 'audio',
+    'channels', 'languages', 'subtitles', 'subs', 'group', 'edition', 'container', 'threeD', 'filename', 'name',
+];
+
+const DEFAULT_NAME_TEMPLATE = 'BitMagnet {#debrid}⚡{debrid}{/debrid}{^debrid}🧲{/debrid}-{resolution|Unknown}';
+
+const STREAM_TEMPLATE_PRESETS = {
+    'default': {
+        description: 'Single line with emoji',
+        name: DEFAULT_NAME_TEMPLATE,
+        title: '{title} | 💾 {size} | 👤 {seeders} | 🎬 {codec} | 💿 {source} | ⭐ {bitDepth} | 🔊 {audio} | 🗣️ {languages} | 💬 {subs}',
+        emoji: true,
+    },
+    'multi-line': {
+        description: 'Title, size/seeders, video and audio on separate lines',
+        name: DEFAULT_NAME_TEMPLATE,
+        title: '{title}{#edition} ({edition}){/edition}\\n💾 {size} | 👤 {seeders} | 🏷️ {group}\\n🎬 {codec} | 💿 {source} | 🌈 {hdr} | ⭐ {bitDepth} | 🧊 {threeD}\\n🔊 {audio} | 🗣️ {languages} | 💬 {subs}',
+        emoji: true,
+    },
+    'no-emoji': {
+        description: 'Plain text, for clients that render emoji poorly',
+        name: 'BitMagnet {debrid|P2P} {resolution|Unknown}',
+        title: '{title} | {size} | {seeders} seeders | {codec} | {source} | {hdr} | {bitDepth} | {audio} | Audio: {languages} | Subs: {subs}',
+        emoji: false,
+    },
+};
+
+const compiledTemplates = new Map(); // Template source -> parsed nodes
+
+/**
+ * Parses a template into nodes (text, field and section nodes).
+ * @param {string} source - The template.
+ * @returns {Array<object>} The nodes. Throws on unknown fields and unbalanced sections.
+ */
+function parseTemplate(source) {
+    const root = { children: [] };
+    const stack = [root];
+    const tagRegex = /\{([#^/]?)([a-zA-Z0-9]+)(?:\|([^}]*))?\}/g;
+    const text = String(source).replace(/\\n/g, '\n');
+    let lastIndex = 0;
+    let match;
+
+    const current = () => stack[stack.length - 1];
+    while ((match = tagRegex.exec(text)) !== null) {
+        const [tag, kind, field, fallback] = match;
+        if (match.index > lastIndex) {
+            current().children.push({ type: 'text', text: text.slice(lastIndex, match.index) });
+        }
+        lastIndex = match.index + tag.length;
+        if (!STREAM_FIELDS.includes(field)) {
+            throw new Error(`unknown field "${field}" (available: ${STREAM_FIELDS.join(', ')})`);
+        }
+        if (kind === '/') {
+            if (stack.length === 1 || current().field !== field) {
+                throw new Error(`unexpected {/${field}}`);
+            }
+            stack.pop();
+        } else if (kind) {
+            const section = { type: 'section', field, inverted: kind === '^', children: [] };
+            current().children.push(section);
+            stack.push(section);
+        } else {
+            current().children.push({ type: 'field', field, fallback: fallback === undefined ? null : fallback });
+        }
+    }
+    if (stack.length > 1) {
+        throw new Error(`missing {/${current().field}}`);
+    }
+    if (lastIndex < text.length) {
+        root.children.push({ type: 'text', text: text.slice(lastIndex) });
+    }
+    return root.children;
+}
+
+/**
+ * Returns the parsed nodes of a template, parsing it on first use.
+ * @param {string} source - The template.
+ * @returns {Array<object>} The nodes (see parseTemplate).
+ */
+function getCompiledTemplate(source) {
+    if (!compiledTemplates.has(source)) {
+        compiledTemplates.set(source, parseTemplate(source));
+    }
+    return compiledTemplates.get(source);
+}
+
+/**
+ * Checks a template for errors.
+ * @param {string} source - The template.
+ * @returns {string|null} The error message, or null if the template is valid.
+ */
+function validateTemplate(source) {
+    try {
+        parseTemplate(source);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Expands the nodes into flat pieces: text pieces and field pieces (with whether the field was empty).
+ * @param {Array<object>} nodes - The template nodes.
+ * @param {object} fields - The field values.
+ * @param {Array<object>} pieces - Receives the pieces.
+ */
+function expandNodes(nodes, fields, pieces) {
+    nodes.forEach(node => {
+        const value = node.field ? String(fields[node.field] === undefined || fields[node.field] === null ? '' : fields[node.field]) : '';
+        if (node.type === 'text') {
+            pieces.push({ text: node.text });
+        } else if (node.type === 'field') {
+            const text = value || node.fallback || '';
+            pieces.push({ text, field: true, empty: text === '' });
+        } else if ((value !== '') !== node.inverted) {
+            expandNodes(node.children, fields, pieces);
+        }
+    });
+}
+
+/**
+ * Renders a template, leaving out " | " parts whose fields are all empty and empty lines.
+ * @param {string} source - The template.
+ * @param {object} fields - The field values (see getStreamFields).
+ * @returns {string} The rendered text.
+ */
+function renderTemplate(source, fields) {
+    const pieces = [];
+    expandNodes(getCompiledTemplate(source), fields, pieces);
+
+    const lines = [[]]; // Lines of segments, each segment a list of pieces
+    let segment = [];
+    lines[0].push(segment);
+    pieces.forEach(piece => {
+        if (piece.field) {
+            segment.push(piece);
+            return;
+        }
+        piece.text.split(/(\n| \| )/).forEach(part => {
+            if (part === '\n') {
+                segment = [];
+                lines.push([segment]);
+            } else if (part === ' | ') {
+                segment = [];
+                lines[lines.length - 1].push(segment);
+            } else if (part) {
+                segment.push({ text: part });
+            }
+        });
+    });
+
+    return lines
+        .map(line => line
+            .filter(parts => !(parts.some(part => part.field) && parts.every(part => !part.field || part.empty)))
+            .map(parts => parts.map(part => part.text).join('').trim())
+            .filter(Boolean)
+            .join(' | '))
+        .filter(Boolean)
+        .join('\n');
+}
+
+/**
+ * Returns the templates of a user configuration: a preset, or the user's own templates for 'custom'.
+ * @param {object} userConfig - Decoded per-install configuration (streamTemplate, nameTemplate, titleTemplate).
+ * @returns {{name: string, title: string, emoji: boolean}} The name and title templates and whether emoji may be used in field values.
+ */
+function getStreamTemplates(userConfig) {
+    if (userConfig.streamTemplate === 'custom') {
+        const preset = STREAM_TEMPLATE_PRESETS.default;
+        return { name: userConfig.nameTemplate || preset.name, title: userConfig.titleTemplate || preset.title, emoji: true };
+    }
+    return STREAM_TEMPLATE_PRESETS[userConfig.streamTemplate] || STREAM_TEMPLATE_PRESETS[config.STREAM_TEMPLATE] || STREAM_TEMPLATE_PRESETS.default;
+}
+
+/**
+ * Formats a size in bytes the way stream titles show it.
+ * @param {number} bytes - The size.
+ * @returns {string} E.g. '7.5G' or '700M'.
+ */
+function formatSize(bytes) {
+    const sizeGB = (bytes || 0) / (1024 * 1024 * 1024);
+    return sizeGB >= 1 ? `${sizeGB.toFixed(1)}G` : `${(sizeGB * 1024).toFixed(0)}M`;
+}
+
+/**
+ * Builds the template fields of a torrent, from BitMagnet's classification first and the parsed release name second.
+ * @param {object} torrentContent - The torrent content object (with _languageMatch, _subtitleFiles and, for packs, _episodeFile).
+ * @param {object} options - Options.
+ * @param {string} options.title - The display title (e.g. 'Heat (1995)' or 'S01E02 Show').
+ * @param {boolean} [options.emoji=true] - Whether the matched language may be marked with ✓ (otherwise *).
+ * @returns {object} The field values ('' for unknown values).
+ */
+function getStreamFields(torrentContent, { title, emoji = true }) {
+    const { torrent } = torrentContent;
+    const release = parseRelease(torrent.name);
+    const matchMark = emoji ? '✓' : '*';
+
+    // Source/Modifier (BitMagnet's classification first, then the release name)
+    let source = torrentContent.videoModifier || torrentContent.videoSource || '';
+    if (!source) {
+        source = release.remux ? 'REMUX' : (release.source || '');
+    }
+    const is10Bit = (torrent.tagNames && torrent.tagNames.some(tag => tag.toLowerCase().includes('10bit'))) || release.bitDepth === 10;
+
+    // Audio languages, the matched preferred language first and marked
+    const detectedLanguages = detectTorrentLanguages(torrentContent);
+    const languageMatch = torrentContent._languageMatch;
+    const audioLanguages = detectedLanguages.originalIsAudio && !detectedLanguages.audio.includes(detectedLanguages.original)
+        ? [...detectedLanguages.audio, detectedLanguages.original]
+        : detectedLanguages.audio;
+    const audioMatch = languageMatch && languageMatch.kind !== 'subtitles' ? languageMatch.language : null;
+    const languageCodes = [
+        ...(audioMatch ? [`${getLanguageDisplayCode(audioMatch)}${matchMark}`] : []),
+        ...audioLanguages.filter(language => language !== audioMatch).map(getLanguageDisplayCode),
+        ...(detectedLanguages.multiAudio ? ['MULTi'] : []),
+    ];
+
+    // Subtitle languages (files in the torrent and name tags), the matched preferred language first and marked
+    const subtitleLanguages = getTorrentSubtitleLanguages(torrentContent);
+    const subtitleMatch = languageMatch && languageMatch.kind === 'subtitles' ? languageMatch.language : null;
+    const subtitleCodes = [
+        ...(subtitleMatch ? [`${getLanguageDisplayCode(subtitleMatch)}${matchMark}`] : []),
+        ...subtitleLanguages.languages.filter(language => language !== subtitleMatch).map(getLanguageDisplayCode),
+        ...(subtitleLanguages.multi ? ['MULTi'] : []),
+    ];
+
+    return {
+        title,
+        debrid: '', // Set to the debrid service's short name for debrid streams
+        resolution: torrentContent.videoResolution ? torrentContent.videoResolution.replace('V', '') : (release.resolution || ''),
+        size: formatSize(torrent.size),
+        seeders: torrentContent.seeders === undefined || torrentContent.seeders === null ? '' : torrentContent.seeders,
+        leechers: torrentContent.leechers === undefined || torrentContent.leechers === null ? '' : torrentContent.leechers,
+        codec: torrentContent.videoCodec || release.codec || '',
+        source,
+        hdr: release.hdr.join(' '),
+        bitDepth: is10Bit ? '10bit' : '',
+        audio: release.atmos ? 'Atmos' : (release.audio || release.channels || ''), // Atmos first, then the codec, then just the channel layout
+        channels: release.channels || '',
+        languages: languageCodes.join('|'),
+        subtitles: subtitleMatch ? `${getLanguageDisplayCode(subtitleMatch)}${matchMark}` : '',
+        subs: subtitleCodes.length > 0 ? subtitleCodes.join('|') : (subtitleLanguages.any ? 'Subs' : ''),
+        group: torrentContent.releaseGroup || release.group || '',
+        edition: release.edition || '',
+        container: release.container || '',
+        threeD: torrentContent.video3d || release.threeD ? '3D' : '',
+        filename: torrentContent._episodeFile ? torrentContent._episodeFile.path.split('/').pop() : '',
+        name: torrent.name,
+    };
+}
+
+module.exports = {
+    STREAM_FIELDS,
+    STREAM_TEMPLATE_PRESETS,
+    validateTemplate,
+    renderTemplate,
+    getStreamTemplates,
+    getStreamFields,
+};
@@ -0,0 +1,277 @@
+// utils/subtitles.js
+// Subtitle files inside indexed torrents (.srt, .ass, .ssa, .vtt), found in BitMagnet's file listings.
+// Their language is detected from the file name ("Movie.en.forced.srt", "Subs/2_English.srt") or, failing that,
+// the folder they are in ("Subs/Spanish/Movie.srt").
+//   - The {subs} stream template field shows which torrents carry subtitles: subtitle files in the listing, and
+//     subtitle tags in the release name ("ESub", "MultiSub", "Eng Subs").
+//   - With SUBTITLE_FETCH_URL set (a local torrent streaming server that serves single files of a torrent, such as
+//     Stremio's own at 'http://127.0.0.1:11470/{infoHash}/{fileIdx}'), the addon also offers the subtitles resource:
+//     the subtitle files of the torrent being played are listed for Stremio and served through the addon's
+//     /subtitle-file route. Only files BitMagnet lists as subtitle files (up to SUBTITLE_MAX_BYTES) are fetched.
+
+const config = require('../config');
+const { parseEpisodeInfo, tokenRegex } = require('./releaseParser');
+const { canonicalLanguage, detectTorrentLanguages } = require('./languages');
+const { upstreamRequest } = require('./httpClient');
+const { createCache } = require('./cache');
+const { logger } = require('./logger');
+
+const subtitleFileCache = createCache('subtitle-files', { ttl: 86400 }); // Cache fetched subtitle files for 24 hours
+
+const SUBTITLE_FILE_EXTENSION_REGEX = /\.(srt|ass|ssa|vtt)$/i;
+const VIDEO_FILE_EXTENSION_REGEX = /\.(mkv|mp4|avi|m4v|ts|wmv|mov|webm)$/i;
+const SUBTITLE_MAX_BYTES = 2 * 1024 * 1024; // Larger "subtitle" files are not subtitles Stremio can load
+const SUBTITLE_FETCH_TIMEOUT_MS = 60000; // The streaming server may need to find peers first
+const LANGUAGE_TOKEN_LOOKBACK = 2; // Language tags are at the end of the file name ("Movie.2020.en.forced")
+
+// File name tokens that mark the kind of subtitle rather than its language
+const SUBTITLE_FLAG_TOKENS = ['forced', 'sdh', 'cc', 'hi', 'full', 'default', 'sub', 'subs', 'subtitle', 'subtitles'];
+
+// Release name tags for subtitles without a named language
+const MULTI_SUBTITLE_REGEX = tokenRegex('multi[\\s._-]?subs?');
+const SUBTITLE_TAG_REGEX = tokenRegex('subs|subbed|subtitled|(?:hard|soft)[\\s._-]?subs?');
+
+// Stremio's subtitle languages are ISO 639-2 codes
+const LANGUAGE_ISO_639_2_CODES = {
+    english: 'eng', hindi: 'hin', tamil: 'tam', telugu: 'tel', malayalam: 'mal', kannada: 'kan', bengali: 'ben',
+    marathi: 'mar', french: 'fre', spanish: 'spa', german: 'ger', japanese: 'jpn', korean: 'kor', mandarin: 'chi',
+    cantonese: 'chi', arabic: 'ara', russian: 'rus', portuguese: 'por', italian: 'ita', dutch: 'dut', swedish: 'swe',
+    norwegian: 'nor', danish: 'dan', finnish: 'fin', polish: 'pol', turkish: 'tur', thai: 'tha', vietnamese: 'vie',
+    indonesian: 'ind', hebrew: 'heb', greek: 'gre', czech: 'cze', hungarian: 'hun', ukrainian: 'ukr',
+};
+
+const SUBTITLE_CONTENT_TYPES = {
+    srt: 'application/x-subrip',
+    vtt: 'text/vtt',
+    ass: 'text/x-ssa',
+    ssa: 'text/x-ssa',
+};
+
+/**
+ * Returns the file name of a path in a torrent.
+ * @param {string} path - The path (e.g. 'Subs/English.srt').
+ * @returns {string} The file name.
+ */
+function getFileName(path) {
+    return String(path).split('/').pop();
+}
+
+/**
+ * Checks whether a file of a torrent's listing is a video file.
+ * @param {{path: string, fileType: string|null}} file - The file.
+ * @returns {boolean} True for video files.
+ */
+function isVideoFile(file) {
+    return file.fileType === 'video' || VIDEO_FILE_EXTENSION_REGEX.test(getFileName(file.path));
+}
+
+/**
+ * Checks whether a file of a torrent's listing is a subtitle file Stremio can load.
+ * @param {{path: string, size: number}} file - The file.
+ * @returns {boolean} True for .srt/.ass/.ssa/.vtt files up to SUBTITLE_MAX_BYTES.
+ */
+function isSubtitleFile(file) {
+    return SUBTITLE_FILE_EXTENSION_REGEX.test(getFileName(file.path)) && (file.size || 0) <= SUBTITLE_MAX_BYTES;
+}
+
+/**
+ * Detects the language of a subtitle file from its name, or from its folder's name.
+ * @param {string} path - The file's path in the torrent.
+ * @returns {{language: string|null, forced: boolean}} The canonical language (null if unknown) and whether it is a
+ *          forced subtitle (only the foreign parts).
+ */
+function detectSubtitleLanguage(path) {
+    const parts = String(path).split('/');
+    const tokens = parts.pop().replace(SUBTITLE_FILE_EXTENSION_REGEX, '').toLowerCase().split(/[\s._()[\]-]+/).filter(Boolean);
+    const forced = tokens.includes('forced');
+
+    const candidates = tokens.filter(token => !SUBTITLE_FLAG_TOKENS.includes(token) && !/^\d+$/.test(token));
+    const fromName = candidates.slice(-LANGUAGE_TOKEN_LOOKBACK).reverse().map(canonicalLanguage).find(Boolean);
+    const folder = parts.length > 0 ? parts[parts.length - 1].replace(/^\d+[\s._-]*/, '') : '';
+    return { language: fromName || canonicalLanguage(folder), forced };
+}
+
+/**
+ * Lists the subtitle files of a torrent.
+ * @param {Array<{index: number, path: string, size: number, fileType: string|null}>} files - The torrent's files.
+ * @returns {Array<{index: number, path: string, size: number, language: string|null, forced: boolean}>} The subtitle files.
+ */
+function listSubtitleFiles(files) {
+    return files.filter(isSubtitleFile).map(file => ({
+        index: file.index,
+        path: file.path,
+        size: file.size,
+        ...detectSubtitleLanguage(file.path),
+    }));
+}
+
+/**
+ * Returns the season/episode key of a file name (e.g. '1x2' for "Show.S01E02.srt").
+ * @param {string} name - The file or folder name.
+ * @returns {string|null} The key, or null if the name has no single episode.
+ */
+function getEpisodeKey(name) {
+    const entry = parseEpisodeInfo(name).find(parsed => parsed.season !== null && parsed.episodes.length === 1);
+    return entry ? `${entry.season}x${entry.episodes[0]}` : null;
+}
+
+/**
+ * Normalizes a name for containment checks (no case, punctuation or extension).
+ * @param {string} name - The name.
+ * @returns {string} The normalized name.
+ */
+function normalizeName(name) {
+    return String(name).toLowerCase().replace(/\.[a-z0-9]{2,4}$/, '').replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Lists the subtitle files that belong to one video file of a torrent. In torrents with a single video every
+ * subtitle file belongs to it; otherwise (season packs, movies with extras) a subtitle file belongs to the video if
+ * its path contains the video's name ("Subs/<video name>/2_English.srt") or names the same episode. Subtitle files
+ * naming no video or episode ("Subs/English.srt") belong to the largest video, the main feature.
+ * @param {Array<{index: number, path: string, size: number, fileType: string|null}>} files - The torrent's files.
+ * @param {{path: string}|null} videoFile - The video file (e.g. the episode file), or null for the largest one.
+ * @returns {Array<object>} The subtitle files (see listSubtitleFiles).
+ */
+function selectVideoSubtitles(files, videoFile) {
+    const subtitleFiles = listSubtitleFiles(files);
+    const videoFiles = files.filter(isVideoFile);
+    if (subtitleFiles.length === 0 || videoFiles.length <= 1) {
+        return subtitleFiles;
+    }
+
+    const largestVideo = videoFiles.reduce((largest, file) => ((file.size || 0) > (largest.size || 0) ? file : largest));
+    const video = videoFile || largestVideo;
+    const videoNames = videoFiles.map(file => normalizeName(getFileName(file.path))).filter(Boolean);
+    const videoName = normalizeName(getFileName(video.path));
+    const videoEpisodeKey = getEpisodeKey(getFileName(video.path));
+    return subtitleFiles.filter(subtitleFile => {
+        const subtitlePath = normalizeName(subtitleFile.path);
+        if (videoName && subtitlePath.includes(videoName)) {
+            return true;
+        }
+        const parts = subtitleFile.path.split('/');
+        const subtitleEpisodeKey = getEpisodeKey(parts[parts.length - 1]) || (parts.length > 1 ? getEpisodeKey(parts[parts.length - 2]) : null);
+        if (subtitleEpisodeKey) {
+            return subtitleEpisodeKey === videoEpisodeKey;
+        }
+        return video.path === largestVideo.path && !videoNames.some(name => subtitlePath.includes(name));
+    });
+}
+
+/**
+ * Returns the subtitle languages a torrent carries: from its subtitle files (torrentContent._subtitleFiles, set for
+ * the top torrents with a file listing) and from subtitle tags in the release name.
+ * @param {object} torrentContent - The torrent content object.
+ * @returns {{languages: Array<string>, multi: boolean, any: boolean}} The canonical languages, whether the name has a
+ *          MultiSub tag, and whether the torrent carries any subtitles at all (also with unknown languages).
+ */
+function getTorrentSubtitleLanguages(torrentContent) {
+    const subtitleFiles = torrentContent._subtitleFiles || [];
+    const languages = [...new Set([
+        ...detectTorrentLanguages(torrentContent).subtitles,
+        ...subtitleFiles.map(subtitleFile => subtitleFile.language).filter(Boolean),
+    ])];
+    const multi = MULTI_SUBTITLE_REGEX.test(torrentContent.torrent.name);
+    const any = languages.length > 0 || multi || subtitleFiles.length > 0 || SUBTITLE_TAG_REGEX.test(torrentContent.torrent.name);
+    return { languages, multi, any };
+}
+
+/**
+ * Checks whether subtitle files can be fetched (see SUBTITLE_FETCH_URL).
+ * @returns {boolean} True if the subtitles resource is offered.
+ */
+function isSubtitleFetchEnabled() {
+    return Boolean(config.SUBTITLE_FETCH_URL);
+}
+
+/**
+ * Finds the torrent and video file being played, among the candidates' file listings.
+ * Stremio identifies the video by file name and size only, so the file name is matched first, then the size.
+ * @param {Map<string, Array<object>>} filesByInfoHash - The candidate torrents' files, best-ranked first.
+ * @param {{filename?: string, videoSize?: string|number}} extra - Stremio's extra arguments of the subtitles request.
+ * @returns {{infoHash: string, files: Array<object>, videoFile: object}|null} The played torrent, or null if none matches.
+ */
+function findPlayedTorrent(filesByInfoHash, { filename, videoSize } = {}) {
+    const size = parseInt(videoSize, 10) || null;
+    const matchers = [
+        filename ? file => getFileName(file.path) === filename : null,
+        size ? file => file.size === size : null,
+    ].filter(Boolean);
+
+    for (const matches of matchers) {
+        for (const [infoHash, files] of filesByInfoHash) {
+            const videoFile = files.find(file => isVideoFile(file) && matches(file));
+            if (videoFile) {
+                return { infoHash, files, videoFile };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Builds the Stremio subtitle objects of the played video's subtitle files.
+ * @param {string} infoHash - The torrent's info hash.
+ * @param {Array<object>} subtitleFiles - The subtitle files (see selectVideoSubtitles).
+ * @param {string} baseUrl - Public URL of the addon (including the config segment).
+ * @returns {Array<{id: string, url: string, lang: string}>} The subtitles.
+ */
+function buildSubtitleEntries(infoHash, subtitleFiles, baseUrl) {
+    return subtitleFiles.map(subtitleFile => ({
+        id: `${infoHash}:${subtitleFile.index}`,
+        url: `${baseUrl}/subtitle-file/${infoHash}/${subtitleFile.index}`,
+        lang: LANGUAGE_ISO_639_2_CODES[subtitleFile.language] || 'und', // 'und': undetermined
+    }));
+}
+
+/**
+ * Returns the content type of a subtitle file.
+ * @param {string} path - The file's path.
+ * @returns {string} The content type.
+ */
+function getSubtitleContentType(path) {
+    const extension = getFileName(path).split('.').pop().toLowerCase();
+    return SUBTITLE_CONTENT_TYPES[extension] || 'text/plain';
+}
+
+/**
+ * Fetches a subtitle file from the torrent streaming server (SUBTITLE_FETCH_URL) and caches it.
+ * @param {string} infoHash - The torrent's info hash (lowercase).
+ * @param {{index: number, path: string}} file - The subtitle file (checked with isSubtitleFile by the caller).
+ * @returns {Promise<Buffer>} The file's content. Rejects if the streaming server fails.
+ */
+async function fetchSubtitleFile(infoHash, file) {
+    const cacheKey = `${infoHash}_${file.index}`;
+    const cached = await subtitleFileCache.get(cacheKey);
+    if (cached !== undefined) {
+        return Buffer.from(cached, 'base64');
+    }
+
+    const url = config.SUBTITLE_FETCH_URL
+        .replace('{infoHash}', infoHash)
+        .replace('{fileIdx}', String(file.index));
+    const response = await upstreamRequest('subtitles', 'fetch', {
+        url,
+        responseType: 'arraybuffer',
+        maxContentLength: SUBTITLE_MAX_BYTES,
+        timeout: SUBTITLE_FETCH_TIMEOUT_MS,
+    }, { optional: true });
+    const content = Buffer.from(response.data);
+    logger.info(`Fetched subtitle file "${file.path}" of ${infoHash} (${content.length} bytes).`);
+    await subtitleFileCache.set(cacheKey, content.toString('base64'));
+    return content;
+}
+
+module.exports = {
+    isSubtitleFile,
+    detectSubtitleLanguage,
+    listSubtitleFiles,
+    selectVideoSubtitles,
+    getTorrentSubtitleLanguages,
+    isSubtitleFetchEnabled,
+    findPlayedTorrent,
+    buildSubtitleEntries,
+    getSubtitleContentType,
+    fetchSubtitleFile,
+};
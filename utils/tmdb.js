@@ -1,11 +1,12 @@
 // utils/tmdb.js
 // Utility functions for interacting with the TMDB API.
 
-const axios = require('axios');
 const config = require('../config');
-const NodeCache = require('node-cache');
+const { upstreamRequest } = require('./httpClient');
+const { createCache } = require('./cache');
+const { logger } = require('./logger');
 
-const tmdbApiCache = new NodeCache({ stdTTL: 86400, checkperiod: 120 }); // Cache TMDB API calls for 24 hours
+const tmdbApiCache = createCache('tmdb', { ttl: 86400 }); // Cache TMDB API calls for 24 hours
 
 const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
 
@@ -18,69 +19,64 @@ const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
 async function getTmdbMetadata(imdbId, type) {
     // Validate TMDB API Key before making any API call
     if (!config.TMDB_API_KEY || config.TMDB_API_KEY.trim() === '' || config.TMDB_API_KEY === 'YOUR_TMDB_API_KEY_HERE') {
-        console.error('TMDB_API_KEY is not configured or is the placeholder. Please set a valid TMDB API Key in config.js or as an environment variable.');
+        logger.error('TMDB_API_KEY is not configured or is the placeholder. Please set a valid TMDB API Key in config.js or as an environment variable.');
         return null;
     }
 
     const cacheKey = `tmdb_meta_fetch_${imdbId}_${type}`;
-    let cachedData = tmdbApiCache.get(cacheKey);
+    let cachedData = await tmdbApiCache.get(cacheKey);
     if (cachedData) {
-        console.log(`Returning cached TMDB metadata for ${imdbId}`);
+        logger.debug(`Returning cached TMDB metadata for ${imdbId}`);
         return cachedData;
     }
 
     try {
         // TMDB uses 'external_ids' endpoint to find by IMDb ID
         const findUrl = `${TMDB_BASE_URL}/find/${imdbId}`;
-        console.log(`Fetching TMDB metadata from URL: ${findUrl}`); // Log the URL
-        const response = await axios.get(
-            findUrl,
-            {
-                params: {
-                    api_key: config.TMDB_API_KEY,
-                    external_source: 'imdb_id',
-                },
-                headers: {
-                    'User-Agent': 'Stremio-BitMagnet-Addon/1.0',
-                },
-                timeout: 10000, // 10 seconds timeout
-            }
-        );
+        logger.debug(`Fetching TMDB metadata from URL: ${findUrl}`); // Log the URL
+        const response = await upstreamRequest('tmdb', 'find', {
+            url: findUrl,
+            params: {
+                api_key: config.TMDB_API_KEY,
+                external_source: 'imdb_id',
+            },
+            timeout: 10000, // 10 seconds timeout
+        });
 
         let data = null;
         if (type === 'movie' && response.data.movie_results && response.data.movie_results.length > 0) {
             data = response.data.movie_results[0];
-            // Fetch detailed movie info for genres, runtime etc.
+            // Fetch detailed movie info for genres, runtime, alternative titles etc.
             const movieDetailsUrl = `${TMDB_BASE_URL}/movie/${data.id}`;
-            console.log(`Fetching TMDB movie details from URL: ${movieDetailsUrl}`); // Log the URL
-            const movieDetails = await axios.get(movieDetailsUrl, { params: { api_key: config.TMDB_API_KEY } });
+            logger.debug(`Fetching TMDB movie details from URL: ${movieDetailsUrl}`); // Log the URL
+            const movieDetails = await upstreamRequest('tmdb', 'details', { url: movieDetailsUrl, params: { api_key: config.TMDB_API_KEY, append_to_response: 'alternative_titles' }, timeout: 10000 });
             data = { ...data, ...movieDetails.data };
         } else if (type === 'series' && response.data.tv_results && response.data.tv_results.length > 0) {
             data = response.data.tv_results[0];
-            // Fetch detailed TV info for genres, seasons, episodes etc.
+            // Fetch detailed TV info for genres, seasons, episodes, alternative titles etc.
             const tvDetailsUrl = `${TMDB_BASE_URL}/tv/${data.id}`;
-            console.log(`Fetching TMDB TV details from URL: ${tvDetailsUrl}`); // Log the URL
-            const tvDetails = await axios.get(tvDetailsUrl, { params: { api_key: config.TMDB_API_KEY } });
+            logger.debug(`Fetching TMDB TV details from URL: ${tvDetailsUrl}`); // Log the URL
+            const tvDetails = await upstreamRequest('tmdb', 'details', { url: tvDetailsUrl, params: { api_key: config.TMDB_API_KEY, append_to_response: 'alternative_titles' }, timeout: 10000 });
             data = { ...data, ...tvDetails.data };
         }
 
         if (data) {
-            tmdbApiCache.set(cacheKey, data);
+            await tmdbApiCache.set(cacheKey, data);
             return data;
         } else {
-            console.warn(`No TMDB results found for IMDb ID: ${imdbId} and type: ${type}`);
+            logger.warn(`No TMDB results found for IMDb ID: ${imdbId} and type: ${type}`);
             return null;
         }
 
     } catch (error) {
-        console.error(`Error fetching TMDB metadata for ${imdbId}:`, error.message);
+        logger.error(`Error fetching TMDB metadata for ${imdbId}:`, error.message);
         if (error.response) {
-            console.error('TMDB API Response Error Status:', error.response.status);
-            console.error('TMDB API Response Data:', error.response.data);
+            logger.error('TMDB API Response Error Status:', error.response.status);
+            logger.error('TMDB API Response Data:', error.response.data);
             if (error.response.status === 401) {
-                console.error('TMDB API Key might be invalid. Please check your TMDB_API_KEY.');
+                logger.error('TMDB API Key might be invalid. Please check your TMDB_API_KEY.');
             } else if (error.response.status === 429) {
-                console.error('TMDB API rate limit exceeded. Please wait before retrying.');
+                logger.error('TMDB API rate limit exceeded, even after retrying.');
             }
         }
         return null;
@@ -96,52 +92,160 @@ async function getTmdbMetadata(imdbId, type) {
 async function searchTmdb(query, type) {
     // Validate TMDB API Key before making any API call
     if (!config.TMDB_API_KEY || config.TMDB_API_KEY.trim() === '' || config.TMDB_API_KEY === 'YOUR_TMDB_API_KEY_HERE') {
-        console.error('TMDB_API_KEY is not configured or is the placeholder. Please set a valid TMDB API Key in config.js or as an environment variable.');
+        logger.error('TMDB_API_KEY is not configured or is the placeholder. Please set a valid TMDB API Key in config.js or as an environment variable.');
         return [];
     }
 
     const cacheKey = `tmdb_search_${query}_${type}`;
-    let cachedData = tmdbApiCache.get(cacheKey);
+    let cachedData = await tmdbApiCache.get(cacheKey);
     if (cachedData) {
-        console.log(`Returning cached TMDB search results for "${query}"`);
+        logger.debug(`Returning cached TMDB search results for "${query}"`);
         return cachedData;
     }
 
     const searchPath = type === 'movie' ? 'movie' : 'tv';
     try {
         const searchUrl = `${TMDB_BASE_URL}/search/${searchPath}`;
-        console.log(`Searching TMDB from URL: ${searchUrl} with query: "${query}"`); // Log the URL
-        const response = await axios.get(
-            searchUrl,
-            {
-                params: {
-                    api_key: config.TMDB_API_KEY,
-                    query: query,
-                },
-                headers: {
-                    'User-Agent': 'Stremio-BitMagnet-Addon/1.0',
-                },
-                timeout: 10000, // 10 seconds timeout
-            }
-        );
-        tmdbApiCache.set(cacheKey, response.data.results);
+        logger.debug(`Searching TMDB from URL: ${searchUrl} with query: "${query}"`); // Log the URL
+        const response = await upstreamRequest('tmdb', 'search', {
+            url: searchUrl,
+            params: {
+                api_key: config.TMDB_API_KEY,
+                query: query,
+            },
+            timeout: 10000, // 10 seconds timeout
+        });
+        await tmdbApiCache.set(cacheKey, response.data.results);
         return response.data.results;
     } catch (error) {
-        console.error(`Error searching TMDB for "${query}" (${type}):`, error.message);
+        logger.error(`Error searching TMDB for "${query}" (${type}):`, error.message);
         if (error.response) {
-            console.error('TMDB API Response Error Status:', error.response.status);
-            console.error('TMDB API Response Data:', error.response.data);
+            logger.error('TMDB API Response Error Status:', error.response.status);
+            logger.error('TMDB API Response Data:', error.response.data);
             if (error.response.status === 401) {
-                console.error('TMDB API Key might be invalid. Please check your TMDB_API_KEY.');
+                logger.error('TMDB API Key might be invalid. Please check your TMDB_API_KEY.');
             } else if (error.response.status === 429) {
-                console.error('TMDB API rate limit exceeded. Please wait before retrying.');
+                logger.error('TMDB API rate limit exceeded, even after retrying.');
             }
         }
         return [];
     }
 }
 
+/**
+ * Fetches TMDB details for a given TMDB ID, including its external IDs (IMDb).
+ * @param {string|number} tmdbId - The TMDB ID.
+ * @param {string} type - 'movie' or 'series'.
+ * @returns {object|null} The TMDB details object (with an external_ids field), or null if not found.
+ */
+async function getTmdbDetails(tmdbId, type) {
+    // Validate TMDB API Key before making any API call
+    if (!config.TMDB_API_KEY || config.TMDB_API_KEY.trim() === '' || config.TMDB_API_KEY === 'YOUR_TMDB_API_KEY_HERE') {
+        logger.error('TMDB_API_KEY is not configured or is the placeholder. Please set a valid TMDB API Key in config.js or as an environment variable.');
+        return null;
+    }
+
+    const cacheKey = `tmdb_details_${tmdbId}_${type}`;
+    let cachedData = await tmdbApiCache.get(cacheKey);
+    if (cachedData) {
+        logger.debug(`Returning cached TMDB details for ${type} ${tmdbId}`);
+        return cachedData;
+    }
+
+    const detailsPath = type === 'movie' ? 'movie' : 'tv';
+    try {
+        const detailsUrl = `${TMDB_BASE_URL}/${detailsPath}/${tmdbId}`;
+        logger.debug(`Fetching TMDB details from URL: ${detailsUrl}`); // Log the URL
+        const response = await upstreamRequest('tmdb', 'details', {
+            url: detailsUrl,
+            params: {
+                api_key: config.TMDB_API_KEY,
+                append_to_response: 'external_ids', // Include the IMDb ID in the same request
+            },
+            timeout: 10000, // 10 seconds timeout
+        });
+        await tmdbApiCache.set(cacheKey, response.data);
+        return response.data;
+    } catch (error) {
+        logger.error(`Error fetching TMDB details for ${type} ${tmdbId}:`, error.message);
+        if (error.response) {
+            logger.error('TMDB API Response Error Status:', error.response.status);
+            logger.error('TMDB API Response Data:', error.response.data);
+            if (error.response.status === 401) {
+                logger.error('TMDB API Key might be invalid. Please check your TMDB_API_KEY.');
+            } else if (error.response.status === 429) {
+                logger.error('TMDB API rate limit exceeded, even after retrying.');
+            }
+        }
+        return null;
+    }
+}
+
+/**
+ * Fetches TMDB season details (episode list with air dates) for a TV series.
+ * @param {string|number} tmdbId - The TMDB ID of the series.
+ * @param {number} seasonNumber - The season number.
+ * @returns {object|null} The TMDB season object (with an episodes array), or null if not found.
+ */
+async function getTmdbSeason(tmdbId, seasonNumber) {
+    // Validate TMDB API Key before making any API call
+    if (!config.TMDB_API_KEY || config.TMDB_API_KEY.trim() === '' || config.TMDB_API_KEY === 'YOUR_TMDB_API_KEY_HERE') {
+        logger.error('TMDB_API_KEY is not configured or is the placeholder. Please set a valid TMDB API Key in config.js or as an environment variable.');
+        return null;
+    }
+
+    const cacheKey = `tmdb_season_${tmdbId}_${seasonNumber}`;
+    let cachedData = await tmdbApiCache.get(cacheKey);
+    if (cachedData) {
+        logger.debug(`Returning cached TMDB season ${seasonNumber} for ${tmdbId}`);
+        return cachedData;
+    }
+
+    try {
+        const seasonUrl = `${TMDB_BASE_URL}/tv/${tmdbId}/season/${seasonNumber}`;
+        logger.debug(`Fetching TMDB season from URL: ${seasonUrl}`); // Log the URL
+        const response = await upstreamRequest('tmdb', 'season', {
+            url: seasonUrl,
+            params: {
+                api_key: config.TMDB_API_KEY,
+            },
+            timeout: 10000, // 10 seconds timeout
+        });
+        await tmdbApiCache.set(cacheKey, response.data);
+        return response.data;
+    } catch (error) {
+        logger.error(`Error fetching TMDB season ${seasonNumber} for ${tmdbId}:`, error.message);
+        if (error.response) {
+            logger.error('TMDB API Response Error Status:', error.response.status);
+            logger.error('TMDB API Response Data:', error.response.data);
+            if (error.response.status === 401) {
+                logger.error('TMDB API Key might be invalid. Please check your TMDB_API_KEY.');
+            } else if (error.response.status === 429) {
+                logger.error('TMDB API rate limit exceeded, even after retrying.');
+            }
+        }
+        return null;
+    }
+}
+
+/**
+ * Checks that the TMDB API is reachable and accepts the configured API key (used by the readiness check).
+ * @returns {Promise<void>} Resolves if TMDB answered, rejects otherwise.
+ */
+async function pingTmdb() {
+    await upstreamRequest('tmdb', 'ping', {
+        url: `${TMDB_BASE_URL}/configuration`,
+        params: {
+            api_key: config.TMDB_API_KEY,
+        },
+        timeout: 5000, // 5 seconds timeout
+    }, { idempotent: false }); // No retries, the readiness check should answer quickly
+}
+
 module.exports = {
     getTmdbMetadata,
     searchTmdb,
+    getTmdbDetails,
+    getTmdbSeason,
+    pingTmdb,
 };
@@ -1,15 +1,16 @@
 // utils/trackerFetcher.js
 // Utility to fetch and cache a list of public BitTorrent trackers from an external URL.
 
-const axios = require('axios');
-const NodeCache = require('node-cache');
+const { upstreamRequest } = require('./httpClient');
+const { createCache } = require('./cache');
+const { logger } = require('./logger');
 
 // URL for the best public trackers list
 const TRACKERS_LIST_URL = 'https://raw.githubusercontent.com/ngosang/trackerslist/refs/heads/master/trackers_best.txt';
 
 // Cache for storing the fetched trackers list
 // stdTTL: 86400 seconds = 24 hours. The list is updated periodically.
-const trackerCache = new NodeCache({ stdTTL: 86400, checkperiod: 120 });
+const trackerCache = createCache('trackers', { ttl: 86400 });
 
 /**
  * Fetches the list of best public trackers from a URL and caches it.
@@ -17,16 +18,17 @@ const trackerCache = new NodeCache({ stdTTL: 86400, checkperiod: 120 });
  */
 async function getTrackers() {
     const cacheKey = 'bestPublicTrackers';
-    let cachedTrackers = trackerCache.get(cacheKey);
+    let cachedTrackers = await trackerCache.get(cacheKey);
 
     if (cachedTrackers) {
-        console.log('Returning cached public trackers.');
+        logger.debug('Returning cached public trackers.');
         return cachedTrackers;
     }
 
     try {
-        console.log(`Fetching public trackers from: ${TRACKERS_LIST_URL}`);
-        const response = await axios.get(TRACKERS_LIST_URL, { timeout: 10000 }); // 10 seconds timeout
+        logger.debug(`Fetching public trackers from: ${TRACKERS_LIST_URL}`);
+        // Optional: the streams still work without the extra trackers, so a failure doesn't keep them out of the cache
+        const response = await upstreamRequest('trackers', 'list', { url: TRACKERS_LIST_URL, timeout: 10000 }, { optional: true }); // 10 seconds timeout
 
         // Split the response text by new lines and filter out empty lines or comments
         const trackers = response.data
@@ -35,18 +37,18 @@ async function getTrackers() {
             .filter(line => line !== '' && !line.startsWith('#'));
 
         if (trackers.length > 0) {
-            trackerCache.set(cacheKey, trackers);
-            console.log(`Successfully fetched and cached ${trackers.length} public trackers.`);
+            await trackerCache.set(cacheKey, trackers);
+            logger.info(`Successfully fetched and cached ${trackers.length} public trackers.`);
             return trackers;
         } else {
-            console.warn('Fetched an empty or invalid trackers list. Returning empty array.');
+            logger.warn('Fetched an empty or invalid trackers list. Returning empty array.');
             return [];
         }
     } catch (error) {
-        console.error('Error fetching public trackers:', error.message);
+        logger.error('Error fetching public trackers:', error.message);
         if (error.response) {
-            console.error('Tracker Fetch API Response Error Status:', error.response.status);
-            console.error('Tracker Fetch API Response Data:', error.response.data);
+            logger.error('Tracker Fetch API Response Error Status:', error.response.status);
+            logger.error('Tracker Fetch API Response Data:', error.response.data);
         }
         // Return empty array on failure to prevent app crash
         return [];
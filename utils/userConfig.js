@@ -0,0 +1,169 @@
+// utils/userConfig.js
+// Utility functions for encoding and decoding per-install user configuration.
+// The configuration is carried in the addon URL (e.g. /<config>/manifest.json),
+// so every Stremio install can have its own settings without any server-side storage.
+
+const config = require('../config');
+const { getScoringProfileNames } = require('./scoring');
+const { getDebridProviders } = require('./debrid');
+const { parseFilterRules } = require('./filterRules');
+const { parseLanguagePreferences } = require('./languages');
+const { STREAM_TEMPLATE_PRESETS, validateTemplate } = require('./streamTemplates');
+const { logger } = require('./logger');
+
+// How debrid streams are combined with the P2P ones:
+//   alongside: cached torrents are listed as debrid streams first, all P2P streams follow
+//   instead: cached torrents are only listed as debrid streams, the rest stay P2P
+//   cached-only: only debrid streams are listed
+const DEBRID_MODES = ['alongside', 'instead', 'cached-only'];
+
+// Stream name/title templates: a preset, or 'custom' for the user's own nameTemplate/titleTemplate
+const STREAM_TEMPLATE_NAMES = [...Object.keys(STREAM_TEMPLATE_PRESETS), 'custom'];
+
+/**
+ * Builds the default user configuration from the process-wide environment settings.
+ * These values are used for any field missing from (or invalid in) the encoded config.
+ * @returns {object} The default user configuration.
+ */
+function getDefaultUserConfig() {
+    return {
+        maxStreams: parseInt(config.MAX_STREAMS_PER_ITEM, 10) || 10,
+        maxTorrentSizeGB: parseFloat(config.MAX_TORRENT_SIZE_GB) || 0,
+        preferredLanguage: parseLanguagePreferences(config.PREFERRED_LANGUAGE).join(','), // Most preferred first
+        scoringProfile: config.SCORING_PROFILE,
+        filterRules: normalizeFilterRules(config.FILTER_RULES, 'FILTER_RULES'),
+        streamTemplate: STREAM_TEMPLATE_NAMES.includes(config.STREAM_TEMPLATE) ? config.STREAM_TEMPLATE : 'default',
+        nameTemplate: normalizeTemplate(config.STREAM_NAME_TEMPLATE, 'STREAM_NAME_TEMPLATE'),
+        titleTemplate: normalizeTemplate(config.STREAM_TITLE_TEMPLATE, 'STREAM_TITLE_TEMPLATE'),
+        debridProvider: '', // Debrid is per user only: a server-wide API key would be shown on the configure page
+        debridApiKey: '',
+        debridMode: 'alongside',
+    };
+}
+
+/**
+ * Normalizes an exclusion rule list, dropping (and logging) invalid rules.
+ * @param {string} spec - The rules (see utils/filterRules.js).
+ * @param {string} source - Where the rules come from, for the log.
+ * @returns {string} The valid rules, '; '-separated.
+ */
+function normalizeFilterRules(spec, source) {
+    const { rules, errors } = parseFilterRules(spec);
+    errors.forEach(error => logger.warn(`Ignoring invalid filter rule in ${source}: ${error}`));
+    return rules.map(rule => rule.text).join('; ');
+}
+
+/**
+ * Validates a stream name/title template, dropping (and logging) invalid ones.
+ * @param {string} template - The template (see utils/streamTemplates.js).
+ * @param {string} source - Where the template comes from, for the log.
+ * @returns {string} The template, or '' if it is invalid (the default template is used instead).
+ */
+function normalizeTemplate(template, source) {
+    const trimmedTemplate = String(template || '').trim();
+    const error = trimmedTemplate ? validateTemplate(trimmedTemplate) : null;
+    if (error) {
+        logger.warn(`Ignoring invalid stream template in ${source}: ${error}`);
+        return '';
+    }
+    return trimmedTemplate;
+}
+
+/**
+ * Validates and normalizes a raw configuration object, falling back to defaults per field.
+ * @param {object} raw - The raw configuration object (e.g., decoded from the URL).
+ * @returns {object} A normalized user configuration.
+ */
+function normalizeUserConfig(raw) {
+    const defaults = getDefaultUserConfig();
+    const userConfig = { ...defaults };
+    if (!raw || typeof raw !== 'object') {
+        return userConfig;
+    }
+
+    const maxStreams = parseInt(raw.maxStreams, 10);
+    if (!isNaN(maxStreams) && maxStreams > 0) {
+        userConfig.maxStreams = Math.min(maxStreams, 100); // Hard cap to keep responses reasonable
+    }
+
+    const maxTorrentSizeGB = parseFloat(raw.maxTorrentSizeGB);
+    if (!isNaN(maxTorrentSizeGB) && maxTorrentSizeGB >= 0) {
+        userConfig.maxTorrentSizeGB = maxTorrentSizeGB; // 0 disables the size limit
+    }
+
+    if (typeof raw.preferredLanguage === 'string') {
+        userConfig.preferredLanguage = parseLanguagePreferences(raw.preferredLanguage).join(',');
+    }
+
+    if (typeof raw.scoringProfile === 'string' && getScoringProfileNames().includes(raw.scoringProfile)) {
+        userConfig.scoringProfile = raw.scoringProfile;
+    }
+
+    if (typeof raw.filterRules === 'string') {
+        userConfig.filterRules = normalizeFilterRules(raw.filterRules.slice(0, 2000), 'user configuration');
+    }
+
+    if (STREAM_TEMPLATE_NAMES.includes(raw.streamTemplate)) {
+        userConfig.streamTemplate = raw.streamTemplate;
+    }
+
+    if (typeof raw.nameTemplate === 'string') {
+        userConfig.nameTemplate = normalizeTemplate(raw.nameTemplate.slice(0, 500), 'user configuration');
+    }
+
+    if (typeof raw.titleTemplate === 'string') {
+        userConfig.titleTemplate = normalizeTemplate(raw.titleTemplate.slice(0, 1000), 'user configuration');
+    }
+
+    if (typeof raw.debridProvider === 'string' && getDebridProviders().some(provider => provider.id === raw.debridProvider)) {
+        userConfig.debridProvider = raw.debridProvider;
+    }
+
+    if (typeof raw.debridApiKey === 'string') {
+        userConfig.debridApiKey = raw.debridApiKey.trim();
+    }
+
+    if (DEBRID_MODES.includes(raw.debridMode)) {
+        userConfig.debridMode = raw.debridMode;
+    }
+
+    return userConfig;
+}
+
+/**
+ * Encodes a user configuration into a URL-safe string.
+ * @param {object} userConfig - The user configuration object.
+ * @returns {string} The base64url-encoded JSON configuration.
+ */
+function encodeUserConfig(userConfig) {
+    return Buffer.from(JSON.stringify(normalizeUserConfig(userConfig)), 'utf8').toString('base64url');
+}
+
+/**
+ * Decodes a user configuration from the URL path segment.
+ * Invalid or missing configurations fall back to the defaults instead of failing the request.
+ * @param {string} [encoded] - The base64url-encoded JSON configuration.
+ * @returns {object} A normalized user configuration.
+ */
+function decodeUserConfig(encoded) {
+    if (!encoded) {
+        return getDefaultUserConfig();
+    }
+    try {
+        const json = Buffer.from(encoded, 'base64url').toString('utf8');
+        return normalizeUserConfig(JSON.parse(json));
+    } catch (error) {
+        // Neither the payload nor the parser's message (which quotes it) is logged: it may contain the debrid API key
+        logger.warn(`Could not decode user configuration (${encoded.length} characters, ${error.name}), using defaults.`);
+        return getDefaultUserConfig();
+    }
+}
+
+module.exports = {
+    DEBRID_MODES,
+    STREAM_TEMPLATE_NAMES,
+    getDefaultUserConfig,
+    normalizeUserConfig,
+    encodeUserConfig,
+    decodeUserConfig,
+};